@@ -1,52 +1,125 @@
 #!/usr/bin/env node
 
-const { Octokit } = require('@octokit/rest');
 const fs = require('fs');
-const csv = require('csv-parser');
 const readline = require('readline');
+const { loadAttendees } = require('./lib/attendees');
+const { groupAttendees, describeGroup } = require('./lib/teams');
+const { hasFlag, getArgValue } = require('./lib/cli-args');
+const { hasCredentials, describeAuth } = require('./lib/github-auth');
+const { createGitHubClient, logApiUsage } = require('./lib/github-client');
+const { installConsoleRedaction, writeRedactedJson } = require('./lib/redact');
+const { workshopIdFrom, requireExplicitWorkshopId, workshopTopic, otherWorkshopTopics, removeWorkshopTopic } = require('./lib/workshop-tag');
+const { findWorkshopRepos, findReposFromResults } = require('./lib/repo-discovery');
+const { loadWorkshopConfig } = require('./lib/workshop-config');
+const { createRepoNaming } = require('./lib/repo-naming');
+const { parseRepoFilters, hasRepoFilters, describeRepoFilters, matchRepoFilters } = require('./lib/repo-filters');
+const { backupRepository } = require('./lib/repo-backup');
+const { workshopTeamName, findTeam, deleteTeam } = require('./lib/access-teams');
 require('dotenv').config();
 
+// Keep tokens out of everything this script prints
+installConsoleRedaction();
+
 // Configuration - Update these variables as needed
 const CONFIG = {
   targetOrg: process.env.TARGET_ORG || 'your-target-org',
   csvFile: process.env.CSV_FILE || 'attendees.csv',
-  githubToken: process.env.GITHUB_TOKEN,
+  teamSize: parseInt(getArgValue(process.argv.slice(2), '--team-size', process.env.TEAM_SIZE || '1')), // Must match the setup run
+  workshopId: workshopIdFrom(process.argv.slice(2)), // Must match the setup run
+  fromResults: getArgValue(process.argv.slice(2), '--from-results'), // Delete exactly the repos listed in a setup-results-*.json
+  matchSuffix: hasFlag(process.argv.slice(2), '--match-suffix'), // Legacy: find repos by name (repos created before workshop tags)
+  repoNameTemplate: null, // Must match the setup run; from workshop.json, loaded by validateConfig
+  backend: process.env.BACKEND || 'nodejs', // Fills {{backend}} in repo names, as in setup
+  archive: hasFlag(process.argv.slice(2), '--archive'), // Archive (read-only) instead of deleting
+  dropCollaborators: hasFlag(process.argv.slice(2), '--drop-collaborators'), // With --archive: also remove collaborators and pending invitations
+  backupDir: getArgValue(process.argv.slice(2), '--backup'), // Back up each repo here before deleting or archiving it
+  accessTeam: workshopTeamName(workshopIdFrom(process.argv.slice(2)), getArgValue(process.argv.slice(2), '--access-team', process.env.ACCESS_TEAM || '')), // Workshop team of setup --access teams
+  revokeAccess: hasFlag(process.argv.slice(2), '--revoke-access'), // Only delete the teams setup created, keeping the repos
   
-  // Performance & Rate Limiting
+  // Performance (rate limits and retries are handled by the shared GitHub client)
   concurrentDeletions: parseInt(process.env.CONCURRENT_DELETIONS || '5'), // Delete N repos at once
-  delayBetweenBatches: parseInt(process.env.DELAY_BETWEEN_BATCHES || '1000'), // ms delay between batches
 };
 
-// Initialize Octokit
-const octokit = new Octokit({
-  auth: CONFIG.githubToken,
-});
+// GitHub App installation or personal access token, throttled and retried like setup
+const { octokit, scheduler } = createGitHubClient({ org: CONFIG.targetOrg });
+
+/**
+ * Who a repo was created for. Repos found by workshop tag may have no
+ * matching attendee in the CSV (or be a shared template repository).
+ */
+function describeOwner(repo) {
+  if (repo.group) {
+    return describeGroup(repo.group);
+  }
+  return repo.template ? 'workshop template repository' : 'no matching attendee in CSV';
+}
 
 class WorkshopRepoCleanup {
   constructor() {
     this.results = {
       deleted: [],
+      archived: [],
       notFound: [],
-      failed: []
+      failed: [],
+      sharedTemplates: [], // Templates other workshops still use: only this workshop's topic was removed
+      removedTeams: [] // Teams setup created, deleted with their child teams
     };
-    
-    // Rate limit tracking
-    this.apiCallCount = 0;
-  }
-  
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    this.filters = null; // From --attendee, --source-repo, --created-*, --name-glob, --exclude
+    this.teamsToDelete = []; // Teams the setup results file records as created by setup
+    this.resultsAccessTeam = null; // Team the setup results file granted access through
+    this.workshopId = CONFIG.workshopId; // Or the one the setup results file records
+    this.groups = []; // Attendee and team groups from the CSV, when it is read
   }
 
   async validateConfig() {
     console.log('🔍 Validating configuration...');
     
-    if (!CONFIG.githubToken) {
-      throw new Error('GITHUB_TOKEN is required. Please set it in your .env file or environment variables.');
+    if (!hasCredentials()) {
+      throw new Error('GITHUB_TOKEN (or GITHUB_APP_ID with a private key) is required. Please set it in your .env file or environment variables.');
     }
+    console.log(`✅ Authenticating with ${describeAuth()}`);
+
+    CONFIG.repoNameTemplate = loadWorkshopConfig({ profile: getArgValue(process.argv.slice(2), '--profile') }).repoNameTemplate;
 
-    if (!fs.existsSync(CONFIG.csvFile)) {
-      throw new Error(`CSV file not found: ${CONFIG.csvFile}`);
+    // The CSV only labels owners when repos are found by workshop tag or results file
+    if (CONFIG.matchSuffix && !fs.existsSync(CONFIG.csvFile)) {
+      throw new Error(`CSV file not found: ${CONFIG.csvFile} (required with --match-suffix)`);
+    }
+    if (CONFIG.fromResults && !fs.existsSync(CONFIG.fromResults)) {
+      throw new Error(`Results file not found: ${CONFIG.fromResults}`);
+    }
+    if (!CONFIG.fromResults && !CONFIG.matchSuffix) {
+      requireExplicitWorkshopId(process.argv.slice(2), 'Cleanup');
+    }
+
+    if (CONFIG.dropCollaborators && !CONFIG.archive) {
+      throw new Error('--drop-collaborators only applies together with --archive');
+    }
+    if (CONFIG.revokeAccess && (CONFIG.archive || CONFIG.backupDir)) {
+      throw new Error('--revoke-access keeps the repos; it cannot be combined with --archive or --backup');
+    }
+    if (CONFIG.revokeAccess && !CONFIG.fromResults) {
+      throw new Error('--revoke-access needs --from-results <setup-results-*.json>, which records the teams setup created');
+    }
+    if (CONFIG.backupDir) {
+      console.log(`✅ Backing up repositories to ${CONFIG.backupDir} first`);
+    }
+
+    this.filters = parseRepoFilters(process.argv.slice(2));
+    if (hasRepoFilters(this.filters)) {
+      if (CONFIG.revokeAccess) {
+        throw new Error('--revoke-access removes everyone\'s access; it cannot be combined with repo filters');
+      }
+      console.log(`✅ Filters: ${describeRepoFilters(this.filters)}`);
+    }
+
+    // Only teams the setup run created are deleted, never a team it reused. Deleting
+    // the workshop team takes its child teams with it, so they are not listed separately.
+    if (CONFIG.fromResults) {
+      const { accessTeam, createdTeams = [] } = JSON.parse(fs.readFileSync(CONFIG.fromResults, 'utf-8'));
+      if (accessTeam) CONFIG.accessTeam = accessTeam;
+      this.resultsAccessTeam = accessTeam || null;
+      this.teamsToDelete = createdTeams.includes(accessTeam) ? [accessTeam] : createdTeams;
     }
 
     // Validate target organization exists
@@ -63,106 +136,274 @@ class WorkshopRepoCleanup {
   async loadAttendees() {
     console.log(`📖 Loading attendees from ${CONFIG.csvFile}...`);
     
-    const attendees = [];
-    return new Promise((resolve, reject) => {
-      fs.createReadStream(CONFIG.csvFile)
-        .pipe(csv())
-        .on('data', (row) => {
-          // Expecting CSV with columns: github_username, email (optional)
-          if (row.github_username) {
-            attendees.push({
-              githubUsername: row.github_username.trim(),
-              email: row.email ? row.email.trim() : null
-            });
-          }
-        })
-        .on('end', () => {
-          console.log(`✅ Loaded ${attendees.length} attendees`);
-          resolve(attendees);
-        })
-        .on('error', reject);
-    });
+    const attendees = await loadAttendees(CONFIG.csvFile);
+    console.log(`✅ Loaded ${attendees.length} attendees`);
+    return attendees;
   }
 
-  async findExistingRepos(attendees) {
-    console.log('🔍 Scanning for existing repositories...');
-    
-    const existingRepos = [];
+  /**
+   * Group attendees the same way setup did, so team-owned repos are found too.
+   */
+  groupAttendees(attendees) {
+    const groups = groupAttendees(attendees, { teamSize: CONFIG.teamSize });
+    const teams = groups.filter(g => g.team);
+    if (teams.length > 0) {
+      console.log(`👥 ${teams.length} team(s) sharing repos, ${groups.length - teams.length} solo attendee(s)`);
+    }
+    this.groups = groups;
+    return groups;
+  }
+
+  repoNaming() {
+    return createRepoNaming({ template: CONFIG.repoNameTemplate, workshopId: this.workshopId, defaultBackend: CONFIG.backend });
+  }
+
+  /**
+   * Find the workshop's repos in the org. Every repo is listed (all pages),
+   * then kept when it carries the workshop topic, or with --match-suffix
+   * when its name is an attendee's or team's repo name under the naming template.
+   */
+  async findExistingRepos(groups) {
+    const criteria = CONFIG.matchSuffix ? `name ${CONFIG.repoNameTemplate}` : `topic ${workshopTopic(CONFIG.workshopId)}`;
+    console.log(`🔍 Scanning for existing repositories (by ${criteria})...`);
     
-    // Get all repos in the organization
+    let found;
     try {
-      const { data: allRepos } = await octokit.rest.repos.listForOrg({
+      found = await findWorkshopRepos(octokit, {
         org: CONFIG.targetOrg,
-        type: 'all',
-        per_page: 100
+        workshopId: CONFIG.workshopId,
+        groups,
+        matchSuffix: CONFIG.matchSuffix,
+        naming: this.repoNaming()
       });
-      
-      // For each attendee, find repos that end with their username
-      for (const attendee of attendees) {
-        const suffix = `-${attendee.githubUsername}`;
-        const attendeeRepos = allRepos.filter(repo => repo.name.endsWith(suffix));
-        
-        for (const repo of attendeeRepos) {
-          existingRepos.push({
-            attendee,
-            repoName: repo.name,
-            repoUrl: repo.html_url,
-            createdAt: repo.created_at,
-            updatedAt: repo.updated_at
-          });
-        }
-      }
     } catch (error) {
       console.error(`❌ Error listing repositories: ${error.message}`);
       throw error;
     }
-    
-    console.log(`✅ Found ${existingRepos.length} existing repositories to potentially delete`);
-    return existingRepos;
+    console.log(`   Listed ${found.listed} repositories in ${CONFIG.targetOrg}`);
+    console.log(`✅ Found ${found.repos.length} existing repositories to potentially delete`);
+    return found.repos;
+  }
+
+  /**
+   * The repos (and template repositories) a setup run created, from its
+   * setup-results-*.json. Repos that no longer exist are left out.
+   */
+  async findReposFromResults(resultsFile) {
+    console.log(`📖 Loading repositories created by the run in ${resultsFile}...`);
+
+    const found = await findReposFromResults(octokit, { org: CONFIG.targetOrg, resultsFile });
+    found.missing.forEach(repoName => console.log(`  ℹ️  ${repoName} no longer exists`));
+    if (found.workshopId) {
+      this.workshopId = found.workshopId;
+    }
+
+    console.log(`✅ Found ${found.repos.length} of ${found.total} repositories from ${found.workshopId ? `workshop ${found.workshopId}` : 'that run'}`);
+    return found.repos;
+  }
+
+  /**
+   * Keep only the repos every filter matches, adding the matching filters to
+   * each repo's `matchedBy`.
+   */
+  applyFilters(repos) {
+    if (!hasRepoFilters(this.filters)) {
+      return repos;
+    }
+
+    if (this.filters.attendees.length > 0 && this.groups.length === 0 && !CONFIG.fromResults) {
+      console.log(`⚠️  No attendees loaded from ${CONFIG.csvFile}: --attendee checks repo names only, so --attendee bob can also select jim-bob's repos`);
+    }
+    const naming = this.repoNaming();
+    const selected = [];
+    for (const repo of repos) {
+      const matched = matchRepoFilters(repo, this.filters, { naming, groups: this.groups });
+      if (matched) {
+        selected.push({ ...repo, matchedBy: [...repo.matchedBy, ...matched] });
+      }
+    }
+    console.log(`🔎 Filters selected ${selected.length} of ${repos.length} repositories`);
+    return selected;
+  }
+
+  /**
+   * The teams setup created go with the repos (or with their access when
+   * archiving with --drop-collaborators), unless filters selected only some repos.
+   */
+  removesAccessTeams() {
+    return this.teamsToDelete.length > 0 && (!CONFIG.archive || CONFIG.dropCollaborators) && !hasRepoFilters(this.filters);
+  }
+
+  describeTeamsToDelete() {
+    return this.teamsToDelete.length === 1 && this.teamsToDelete[0] === CONFIG.accessTeam
+      ? `Team ${CONFIG.accessTeam} and its child teams`
+      : `Teams ${this.teamsToDelete.join(', ')}`;
   }
 
   async confirmDeletion(repos) {
+    const verb = CONFIG.archive ? 'archive' : 'delete';
     if (repos.length === 0) {
-      console.log('ℹ️ No repositories found to delete');
+      console.log(`ℹ️ No repositories found to ${verb}`);
       return false;
     }
 
     console.log('\n' + '='.repeat(60));
-    console.log('🗑️  REPOSITORIES TO BE DELETED');
+    console.log(CONFIG.archive ? '📦 REPOSITORIES TO BE ARCHIVED' : '🗑️  REPOSITORIES TO BE DELETED');
     console.log('='.repeat(60));
     
     repos.forEach((repo, index) => {
       console.log(`${index + 1}. ${CONFIG.targetOrg}/${repo.repoName}`);
-      console.log(`   Owner: ${repo.attendee.githubUsername}`);
+      console.log(`   Owner: ${describeOwner(repo)}`);
+      console.log(`   Matched: ${repo.matchedBy.join(', ')}`);
       console.log(`   Created: ${new Date(repo.createdAt).toLocaleString()}`);
       console.log(`   URL: ${repo.repoUrl}`);
       console.log('');
     });
 
-    console.log('⚠️  WARNING: This action CANNOT be undone!');
-    console.log('⚠️  All repository data, issues, pull requests, and history will be permanently lost!');
+    if (CONFIG.archive) {
+      console.log('⚠️  Archived repositories become read-only for everyone until they are unarchived.');
+      if (CONFIG.dropCollaborators) {
+        console.log('⚠️  Attendees lose access: collaborators and pending invitations are removed.');
+      }
+    } else {
+      console.log('⚠️  WARNING: This action CANNOT be undone!');
+      console.log(CONFIG.backupDir
+        ? `⚠️  Only the backups in ${CONFIG.backupDir} will be left of these repositories.`
+        : '⚠️  All repository data, issues, pull requests, and history will be permanently lost!');
+    }
+    if (this.removesAccessTeams()) {
+      console.log(`⚠️  ${this.describeTeamsToDelete()} (created by setup) are deleted too, if they exist.`);
+    }
     
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout
     });
 
+    const confirmation = verb.toUpperCase();
     const answer = await new Promise(resolve => {
-      rl.question('\n❓ Are you sure you want to delete these repositories? (type "DELETE" to confirm): ', resolve);
+      rl.question(`\n❓ Are you sure you want to ${verb} these repositories? (type "${confirmation}" to confirm): `, resolve);
     });
     
     rl.close();
     
-    return answer === 'DELETE';
+    return answer === confirmation;
+  }
+
+  /**
+   * Back up (with --backup), then archive (with --archive) or delete one repo.
+   * A repo whose backup fails is left untouched.
+   */
+  async processRepository(repoInfo) {
+    if (repoInfo.template && await this.releaseSharedTemplate(repoInfo)) {
+      return;
+    }
+
+    if (CONFIG.backupDir) {
+      console.log(`  💾 Backing up: ${repoInfo.repoName}...`);
+      try {
+        const backup = await backupRepository(octokit, { owner: CONFIG.targetOrg, repo: repoInfo.repoName, backupDir: CONFIG.backupDir });
+        console.log(`  ✅ Backed up: ${repoInfo.repoName} → ${backup}`);
+        repoInfo = { ...repoInfo, backup };
+      } catch (error) {
+        if (error.status === 404) {
+          console.log(`  ℹ️  Not found: ${repoInfo.repoName}`);
+          this.results.notFound.push(repoInfo);
+        } else {
+          console.error(`  ❌ Backup failed, leaving ${repoInfo.repoName} in place: ${error.message}`);
+          this.results.failed.push({ ...repoInfo, error: `backup failed: ${error.message}` });
+        }
+        return;
+      }
+    }
+
+    if (CONFIG.archive) {
+      await this.archiveRepository(repoInfo);
+    } else {
+      await this.deleteRepository(repoInfo);
+    }
+  }
+
+  /**
+   * A template repository carrying another workshop's topic is still used by
+   * that workshop: drop this workshop's topic and keep it. True when kept.
+   */
+  async releaseSharedTemplate(repoInfo) {
+    const { repoName } = repoInfo;
+    const owner = CONFIG.targetOrg;
+    try {
+      const { data } = await octokit.rest.repos.getAllTopics({ owner, repo: repoName });
+      const otherWorkshops = otherWorkshopTopics(data.names, this.workshopId);
+      if (otherWorkshops.length === 0) return false;
+
+      await removeWorkshopTopic(octokit, { owner, repo: repoName, workshopId: this.workshopId });
+      console.log(`  🤝 Kept template ${repoName}: still used by ${otherWorkshops.join(', ')}`);
+      this.results.sharedTemplates.push({ ...repoInfo, otherWorkshops });
+      return true;
+    } catch (error) {
+      if (error.status === 404) return false; // Reported as not found by the delete
+      console.error(`  ❌ Could not check whether other workshops use template ${repoName}: ${error.message}`);
+      this.results.failed.push({ ...repoInfo, error: `template check failed: ${error.message}` });
+      return true;
+    }
+  }
+
+  /**
+   * Remove every direct collaborator and pending invitation. Returns how many were removed.
+   */
+  async dropCollaborators(repoName) {
+    const owner = CONFIG.targetOrg;
+    const collaborators = await octokit.paginate(octokit.rest.repos.listCollaborators, { owner, repo: repoName, affiliation: 'direct', per_page: 100 });
+    for (const user of collaborators) {
+      await octokit.rest.repos.removeCollaborator({ owner, repo: repoName, username: user.login });
+    }
+    const invitations = await octokit.paginate(octokit.rest.repos.listInvitations, { owner, repo: repoName, per_page: 100 });
+    for (const invitation of invitations) {
+      await octokit.rest.repos.deleteInvitation({ owner, repo: repoName, invitation_id: invitation.id });
+    }
+    return collaborators.length + invitations.length;
+  }
+
+  async archiveRepository(repoInfo) {
+    const { repoName } = repoInfo;
+
+    console.log(`  📦 Archiving: ${repoName}...`);
+
+    try {
+      // Collaborators are removed first; an archived repo is read-only
+      let dropped = 0;
+      if (CONFIG.dropCollaborators) {
+        dropped = await this.dropCollaborators(repoName);
+      }
+      await octokit.rest.repos.update({
+        owner: CONFIG.targetOrg,
+        repo: repoName,
+        archived: true
+      });
+
+      console.log(`  ✅ Archived: ${repoName}${CONFIG.dropCollaborators ? ` (${dropped} collaborator(s)/invitation(s) removed)` : ''}`);
+      this.results.archived.push({ ...repoInfo, droppedCollaborators: dropped });
+
+    } catch (error) {
+      if (error.status === 404) {
+        console.log(`  ℹ️  Not found: ${repoName}`);
+        this.results.notFound.push(repoInfo);
+      } else {
+        console.error(`  ❌ Failed: ${repoName} - ${error.message}`);
+        this.results.failed.push({
+          ...repoInfo,
+          error: error.message
+        });
+      }
+    }
   }
 
   async deleteRepository(repoInfo) {
-    const { repoName, attendee } = repoInfo;
+    const { repoName } = repoInfo;
     
     console.log(`  🗑️ Deleting: ${repoName}...`);
     
     try {
-      this.apiCallCount++;
       await octokit.rest.repos.delete({
         owner: CONFIG.targetOrg,
         repo: repoName
@@ -185,6 +426,86 @@ class WorkshopRepoCleanup {
     }
   }
 
+  async confirmRevoke(teams) {
+    console.log('\n' + '='.repeat(60));
+    console.log('🚫 ACCESS TO BE REVOKED');
+    console.log('='.repeat(60));
+    teams.forEach(team => {
+      console.log(`Team ${CONFIG.targetOrg}/${team.slug} (${team.members_count ?? '?'} members) and its child teams will be deleted.`);
+    });
+    console.log('⚠️  Attendees lose the access these teams granted. The repositories are kept.');
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    const answer = await new Promise(resolve => {
+      rl.question('\n❓ Are you sure you want to revoke access? (type "REVOKE" to confirm): ', resolve);
+    });
+    rl.close();
+
+    return answer === 'REVOKE';
+  }
+
+  /**
+   * Delete the teams setup --access teams created to grant repo access
+   * through. GitHub deletes child teams with their parent, so with the
+   * workshop team every attendee loses that access in one call.
+   */
+  async removeAccessTeams() {
+    for (const name of this.teamsToDelete) {
+      try {
+        if (await deleteTeam(octokit, { org: CONFIG.targetOrg, name })) {
+          console.log(`  ✅ Deleted team ${name} and its child teams`);
+          this.results.removedTeams.push(name);
+        }
+      } catch (error) {
+        console.error(`  ❌ Could not delete team ${name}: ${error.message}`);
+        this.results.failed.push({ team: name, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Say why the workshop team is left alone when the repos' access goes:
+   * setup reused it, or without a setup results file cleanup cannot tell a
+   * team setup created from one it reused.
+   */
+  async reportKeptAccessTeam() {
+    if ((CONFIG.archive && !CONFIG.dropCollaborators) || hasRepoFilters(this.filters)) return;
+    if (CONFIG.fromResults) {
+      if (this.resultsAccessTeam && this.teamsToDelete.length === 0) {
+        console.log(`ℹ️ Team ${this.resultsAccessTeam} was kept: setup used an existing team instead of creating it`);
+      }
+      return;
+    }
+    const team = await findTeam(octokit, { org: CONFIG.targetOrg, name: CONFIG.accessTeam }).catch(() => null);
+    if (team) {
+      console.log(`ℹ️ Team ${CONFIG.accessTeam} was kept: only teams a setup results file records as created by setup are deleted (use --from-results)`);
+    }
+  }
+
+  /**
+   * --revoke-access: delete the teams setup created, keeping the repos.
+   */
+  async revokeAccess() {
+    const teams = [];
+    for (const name of this.teamsToDelete) {
+      const team = await findTeam(octokit, { org: CONFIG.targetOrg, name });
+      if (team) teams.push(team);
+    }
+    if (teams.length === 0) {
+      console.log(`ℹ️ ${CONFIG.fromResults} records no team created by setup that still exists in ${CONFIG.targetOrg}; nothing to revoke`);
+      return;
+    }
+    if (!await this.confirmRevoke(teams)) {
+      console.log('❌ Revoke cancelled');
+      return;
+    }
+    await this.removeAccessTeams();
+    this.printSummary();
+  }
+
   async run() {
     console.log('🧹 Workshop Repository Cleanup Starting...\n');
     
@@ -192,16 +513,29 @@ class WorkshopRepoCleanup {
       // Validate configuration
       await this.validateConfig();
 
-      // Load attendees
-      const attendees = await this.loadAttendees();
-
-      if (attendees.length === 0) {
-        console.log('⚠️ No attendees found in CSV file');
+      if (CONFIG.revokeAccess) {
+        await this.revokeAccess();
         return;
       }
 
-      // Find existing repositories
-      const existingRepos = await this.findExistingRepos(attendees);
+      let existingRepos;
+      if (CONFIG.fromResults) {
+        existingRepos = await this.findReposFromResults(CONFIG.fromResults);
+      } else {
+        // Attendees name the owner of each repo (and are the match with --match-suffix)
+        const attendees = fs.existsSync(CONFIG.csvFile) ? await this.loadAttendees() : [];
+
+        if (attendees.length === 0 && CONFIG.matchSuffix) {
+          console.log('⚠️ No attendees found in CSV file');
+          return;
+        }
+
+        // Find existing repositories (solo and team-owned)
+        existingRepos = await this.findExistingRepos(this.groupAttendees(attendees));
+      }
+
+      // Narrow down to the repos selected by --attendee, --source-repo, ... (if any)
+      existingRepos = this.applyFilters(existingRepos);
 
       // Confirm deletion
       const confirmed = await this.confirmDeletion(existingRepos);
@@ -211,9 +545,9 @@ class WorkshopRepoCleanup {
         return;
       }
 
-      console.log('\n🚀 Starting repository deletion...\n');
+      console.log(`\n🚀 Starting repository ${CONFIG.archive ? 'archiving' : 'deletion'}...\n`);
 
-      // Delete repositories in batches with concurrency control
+      // Process repositories in batches with concurrency control
       const startTime = Date.now();
       
       for (let i = 0; i < existingRepos.length; i += CONFIG.concurrentDeletions) {
@@ -221,10 +555,10 @@ class WorkshopRepoCleanup {
         const batchNum = Math.floor(i / CONFIG.concurrentDeletions) + 1;
         const totalBatches = Math.ceil(existingRepos.length / CONFIG.concurrentDeletions);
         
-        console.log(`\n📊 Batch ${batchNum}/${totalBatches} - Deleting repositories ${i + 1}-${Math.min(i + CONFIG.concurrentDeletions, existingRepos.length)}/${existingRepos.length}`);
+        console.log(`\n📊 Batch ${batchNum}/${totalBatches} - ${CONFIG.archive ? 'Archiving' : 'Deleting'} repositories ${i + 1}-${Math.min(i + CONFIG.concurrentDeletions, existingRepos.length)}/${existingRepos.length}`);
         
-        // Delete batch concurrently
-        const batchPromises = batch.map(repo => this.deleteRepository(repo));
+        // Process batch concurrently
+        const batchPromises = batch.map(repo => this.processRepository(repo));
         await Promise.all(batchPromises);
         
         // Calculate and display progress
@@ -235,18 +569,18 @@ class WorkshopRepoCleanup {
         const remaining = Math.round((existingRepos.length - processedCount) * avgTimePerRepo);
         
         console.log(`\n⏱️  Progress: ${percentComplete}% complete | Elapsed: ${elapsed}s | Est. remaining: ${remaining}s`);
-        console.log(`   Deleted: ${this.results.deleted.length} | Not Found: ${this.results.notFound.length} | Failed: ${this.results.failed.length}`);
-        
-        // Delay between batches to avoid rate limiting
-        if (i + CONFIG.concurrentDeletions < existingRepos.length) {
-          console.log(`⏸️  Waiting ${CONFIG.delayBetweenBatches / 1000}s before next batch...`);
-          await this.sleep(CONFIG.delayBetweenBatches);
-        }
+        console.log(`   ${CONFIG.archive ? `Archived: ${this.results.archived.length}` : `Deleted: ${this.results.deleted.length}`} | Not Found: ${this.results.notFound.length} | Failed: ${this.results.failed.length}`);
       }
       
       const totalTime = Math.round((Date.now() - startTime) / 1000);
       console.log(`\n✅ All repositories processed in ${totalTime}s (${Math.round(totalTime / 60)}m ${totalTime % 60}s)`);
 
+      if (this.removesAccessTeams()) {
+        await this.removeAccessTeams();
+      } else {
+        await this.reportKeptAccessTeam();
+      }
+
       // Print summary
       this.printSummary();
 
@@ -262,13 +596,36 @@ class WorkshopRepoCleanup {
     console.log('='.repeat(50));
     
     console.log(`🗑️ Deleted: ${this.results.deleted.length}`);
+    console.log(`📦 Archived: ${this.results.archived.length}`);
     console.log(`❓ Not Found: ${this.results.notFound.length}`);
     console.log(`❌ Failed: ${this.results.failed.length}`);
+    if (this.results.sharedTemplates.length > 0) {
+      console.log(`🤝 Kept (template used by other workshops): ${this.results.sharedTemplates.map(result => result.repoName).join(', ')}`);
+    }
+    if (this.results.removedTeams.length > 0) {
+      console.log(`🚫 Access revoked: team(s) ${this.results.removedTeams.join(', ')} deleted`);
+    }
+    logApiUsage(scheduler);
 
     if (this.results.deleted.length > 0) {
       console.log('\n✅ Successfully Deleted Repositories:');
       this.results.deleted.forEach(result => {
-        console.log(`  • ${result.repoName} (${result.attendee.githubUsername})`);
+        console.log(`  • ${result.repoName} (${describeOwner(result)})`);
+      });
+    }
+
+    if (this.results.archived.length > 0) {
+      console.log('\n📦 Archived Repositories:');
+      this.results.archived.forEach(result => {
+        console.log(`  • ${result.repoName} (${describeOwner(result)})`);
+      });
+    }
+
+    const backups = [...this.results.deleted, ...this.results.archived].filter(result => result.backup);
+    if (backups.length > 0) {
+      console.log(`\n💾 Backups (restore with: node restore-repo.js <backup>):`);
+      backups.forEach(result => {
+        console.log(`  • ${result.backup}`);
       });
     }
 
@@ -280,18 +637,18 @@ class WorkshopRepoCleanup {
     }
 
     if (this.results.failed.length > 0) {
-      console.log('\n❌ Failed to Delete:');
+      console.log(`\n❌ Failed to ${CONFIG.archive ? 'Archive' : 'Delete'}:`);
       this.results.failed.forEach(result => {
-        console.log(`  • ${result.repoName} - ${result.error}`);
+        console.log(`  • ${result.repoName || `team ${result.team}`} - ${result.error}`);
       });
     }
 
     // Write results to file
     const resultsFile = `cleanup-results-${new Date().toISOString().split('T')[0]}.json`;
-    fs.writeFileSync(resultsFile, JSON.stringify(this.results, null, 2));
+    writeRedactedJson(resultsFile, this.results);
     console.log(`\n💾 Detailed results saved to: ${resultsFile}`);
     
-    if (this.results.deleted.length > 0) {
+    if (this.results.deleted.length > 0 || this.results.archived.length > 0) {
       console.log('\n🎉 Repository cleanup completed successfully!');
     }
   }
@@ -312,25 +669,38 @@ if (require.main === module) {
     // Dry run - just show what would be deleted
     class DryRunCleanup extends WorkshopRepoCleanup {
       async confirmDeletion(repos) {
+        const verb = CONFIG.archive ? 'archived' : 'deleted';
         if (repos.length === 0) {
-          console.log('ℹ️ No repositories found that would be deleted');
+          console.log(`ℹ️ No repositories found that would be ${verb}`);
           return false;
         }
 
         console.log('\n' + '='.repeat(60));
-        console.log('🔍 REPOSITORIES THAT WOULD BE DELETED (DRY RUN)');
+        console.log(`🔍 REPOSITORIES THAT WOULD BE ${verb.toUpperCase()} (DRY RUN)`);
         console.log('='.repeat(60));
         
         repos.forEach((repo, index) => {
           console.log(`${index + 1}. ${CONFIG.targetOrg}/${repo.repoName}`);
-          console.log(`   Owner: ${repo.attendee.githubUsername}`);
+          console.log(`   Owner: ${describeOwner(repo)}`);
+          console.log(`   Matched: ${repo.matchedBy.join(', ')}`);
           console.log(`   Created: ${new Date(repo.createdAt).toLocaleString()}`);
           console.log(`   URL: ${repo.repoUrl}`);
           console.log('');
         });
 
-        console.log('🔍 This is a dry run - no repositories were actually deleted');
-        console.log('💡 Run without --dry-run to perform actual deletion');
+        if (this.removesAccessTeams()) {
+          console.log(`🔍 ${this.describeTeamsToDelete()} (created by setup) would be deleted too, if they exist.`);
+        }
+        console.log(`🔍 This is a dry run - no repositories were actually ${verb}`);
+        console.log(`💡 Run without --dry-run to perform actual ${CONFIG.archive ? 'archiving' : 'deletion'}`);
+        return false;
+      }
+
+      async confirmRevoke(teams) {
+        console.log('');
+        teams.forEach(team => {
+          console.log(`🔍 Team ${CONFIG.targetOrg}/${team.slug} (${team.members_count ?? '?'} members) and its child teams would be deleted (DRY RUN)`);
+        });
         return false;
       }
     }
@@ -0,0 +1,583 @@
+#!/usr/bin/env node
+// Usage: node handoff-repos.js [--mode transfer|copy] [--dry-run] [--yes] [--accept-within <duration>]
+//          [--state <file>] [--from-results <file>] [--workshop-id <id>] [--match-suffix] [--team-size <n>] [filters]
+
+const fs = require('fs');
+const fsPromises = fs.promises;
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { loadAttendees } = require('./lib/attendees');
+const { groupAttendees, describeGroup } = require('./lib/teams');
+const { hasFlag, getArgValue } = require('./lib/cli-args');
+const { hasCredentials, describeAuth, gitCredentialEnv } = require('./lib/github-auth');
+const { createGitHubClient, logApiUsage } = require('./lib/github-client');
+const { installConsoleRedaction, writeRedactedJson } = require('./lib/redact');
+const { workshopIdFrom, requireExplicitWorkshopId, workshopTopic, removeWorkshopTopic } = require('./lib/workshop-tag');
+const { findWorkshopRepos, findReposFromResults } = require('./lib/repo-discovery');
+const { loadWorkshopConfig } = require('./lib/workshop-config');
+const { createRepoNaming } = require('./lib/repo-naming');
+const { parseRepoFilters, hasRepoFilters, describeRepoFilters, matchRepoFilters } = require('./lib/repo-filters');
+const { parseDuration } = require('./lib/lifecycle');
+const { runPool } = require('./lib/scheduler');
+const { git } = require('./lib/git');
+require('dotenv').config();
+
+// Keep tokens out of everything this script prints
+installConsoleRedaction();
+
+const args = process.argv.slice(2);
+const WORKSHOP_ID = workshopIdFrom(args);
+
+const CONFIG = {
+  targetOrg: process.env.TARGET_ORG || 'your-target-org',
+  csvFile: process.env.CSV_FILE || 'attendees.csv',
+  teamSize: parseInt(getArgValue(args, '--team-size', process.env.TEAM_SIZE || '1')), // Must match the setup run
+  workshopId: WORKSHOP_ID, // Must match the setup run
+  fromResults: getArgValue(args, '--from-results'), // Hand off exactly the repos listed in a setup-results-*.json
+  matchSuffix: hasFlag(args, '--match-suffix'), // Legacy: find repos by name (repos created before workshop tags)
+  repoNameTemplate: null, // Must match the setup run; from workshop.json, loaded by validateConfig
+  backend: process.env.BACKEND || 'nodejs', // Fills {{backend}} in repo names, as in setup
+  mode: getArgValue(args, '--mode', process.env.HANDOFF_MODE || 'transfer'), // transfer: move the repo; copy: push a copy into the attendee's repo
+  acceptWithin: getArgValue(args, '--accept-within', process.env.HANDOFF_ACCEPT_WITHIN || '7d'), // Archive repos not handed off by then
+  stateFile: getArgValue(args, '--state', `handoff-state-${WORKSHOP_ID}.json`), // Progress kept between runs
+  dryRun: hasFlag(args, '--dry-run', '-n'), // Report the next step for each repo without changing anything
+  yes: hasFlag(args, '--yes', '-y'), // Skip the confirmation prompt (e.g. from cron)
+  concurrentRepos: parseInt(process.env.CONCURRENT_REPOS || '3') // Repos processed in parallel
+};
+
+// GitHub App installation or personal access token, throttled and retried like setup
+const { octokit, scheduler } = createGitHubClient({ org: CONFIG.targetOrg });
+
+const MODES = ['transfer', 'copy'];
+
+// GitHub expires a transfer request the recipient has not accepted after a day
+const TRANSFER_REQUEST_TTL_MS = 24 * 60 * 60 * 1000;
+
+// States after which a repo needs nothing more
+const FINAL_STATES = ['transferred', 'copied', 'archived'];
+
+/**
+ * Where an attendee repo goes, as { owner, name }: the `handoff_to` CSV
+ * column (`login` or `login/repo-name`), or the attendee's own account for
+ * solo repos without one. A team repo goes to the one member with a
+ * `handoff_to`. Resolves to { reason } when the repo has no destination.
+ */
+function handoffDestination(repo) {
+  if (repo.template) {
+    return { reason: 'workshop template repository' };
+  }
+  if (!repo.group) {
+    return { reason: 'no matching attendee in CSV' };
+  }
+
+  const members = repo.group.members;
+  const chosen = members.map(member => member.fields?.handoff_to).filter(Boolean);
+  let destination;
+  if (chosen.length === 1) {
+    destination = chosen[0];
+  } else if (chosen.length === 0 && members.length === 1) {
+    destination = members[0].githubUsername;
+  } else {
+    return { reason: `${describeGroup(repo.group)} needs exactly one member with a handoff_to (has ${chosen.length})` };
+  }
+
+  return parseDestination(destination, repo.repoName);
+}
+
+function parseDestination(destination, repoName) {
+  const [owner, name = repoName, ...rest] = destination.split('/');
+  if (!owner || rest.length > 0) {
+    return { reason: `handoff_to "${destination}" must be a login or login/repo-name` };
+  }
+  return { owner, name };
+}
+
+/**
+ * Hands attendee repos over at the end of a workshop: transfers each repo to
+ * its attendee, or pushes a copy into a private repo the attendee created.
+ * Progress is kept in a state file, so running it again (e.g. daily) checks
+ * which transfers were accepted, re-sends expired requests, and archives the
+ * repos of attendees who have not taken them within --accept-within.
+ */
+class WorkshopHandoff {
+  constructor() {
+    this.results = {
+      requested: [],
+      transferred: [],
+      copied: [],
+      waiting: [],
+      archived: [],
+      skipped: [],
+      failed: []
+    };
+    this.filters = null; // From --attendee, --source-repo, --created-*, --name-glob, --exclude
+    this.state = null;
+  }
+
+  async validateConfig() {
+    console.log('🔍 Validating configuration...');
+
+    if (!hasCredentials()) {
+      throw new Error('GITHUB_TOKEN (or GITHUB_APP_ID with a private key) is required. Please set it in your .env file or environment variables.');
+    }
+    console.log(`✅ Authenticating with ${describeAuth()}`);
+
+    CONFIG.repoNameTemplate = loadWorkshopConfig({ profile: getArgValue(args, '--profile') }).repoNameTemplate;
+
+    if (!MODES.includes(CONFIG.mode)) {
+      throw new Error(`--mode must be one of: ${MODES.join(', ')}`);
+    }
+    this.acceptWithinMs = parseDuration(CONFIG.acceptWithin);
+    if (this.acceptWithinMs === null) {
+      throw new Error(`--accept-within must be a duration such as "12h", "7d" or "2w", got "${CONFIG.acceptWithin}"`);
+    }
+    console.log(`✅ Mode: ${CONFIG.mode}, archiving repos not handed off within ${CONFIG.acceptWithin}`);
+
+    // The CSV names each repo's recipient, so it is always needed
+    if (!fs.existsSync(CONFIG.csvFile)) {
+      throw new Error(`CSV file not found: ${CONFIG.csvFile}`);
+    }
+    if (CONFIG.fromResults && !fs.existsSync(CONFIG.fromResults)) {
+      throw new Error(`Results file not found: ${CONFIG.fromResults}`);
+    }
+    if (!CONFIG.fromResults && !CONFIG.matchSuffix) {
+      requireExplicitWorkshopId(args, 'Handoff');
+    }
+
+    this.filters = parseRepoFilters(args);
+    if (hasRepoFilters(this.filters)) {
+      console.log(`✅ Filters: ${describeRepoFilters(this.filters)}`);
+    }
+  }
+
+  /**
+   * Progress from earlier runs, keyed by repo name.
+   */
+  loadState() {
+    if (!fs.existsSync(CONFIG.stateFile)) {
+      return { workshopId: CONFIG.workshopId, targetOrg: CONFIG.targetOrg, mode: CONFIG.mode, repos: {} };
+    }
+    const state = JSON.parse(fs.readFileSync(CONFIG.stateFile, 'utf-8'));
+    if (state.targetOrg !== CONFIG.targetOrg || state.mode !== CONFIG.mode) {
+      throw new Error(`${CONFIG.stateFile} belongs to a ${state.mode} handoff from ${state.targetOrg}; pass another --state to start a new one`);
+    }
+    console.log(`📖 Continuing the handoff in ${CONFIG.stateFile} (${Object.keys(state.repos).length} repositories tracked)`);
+    return state;
+  }
+
+  saveState() {
+    fs.writeFileSync(CONFIG.stateFile, JSON.stringify(this.state, null, 2) + '\n');
+  }
+
+  /**
+   * The attendee repos to hand off, found the same way cleanup finds them.
+   * Repos from a results file are matched to the CSV by their group's slug.
+   */
+  async findRepos() {
+    const attendees = await loadAttendees(CONFIG.csvFile);
+    const groups = groupAttendees(attendees, { teamSize: CONFIG.teamSize });
+    console.log(`✅ Loaded ${attendees.length} attendees`);
+
+    const naming = createRepoNaming({ template: CONFIG.repoNameTemplate, workshopId: CONFIG.workshopId, defaultBackend: CONFIG.backend });
+    let repos;
+    if (CONFIG.fromResults) {
+      console.log(`📖 Loading repositories created by the run in ${CONFIG.fromResults}...`);
+      const found = await findReposFromResults(octokit, { org: CONFIG.targetOrg, resultsFile: CONFIG.fromResults });
+      repos = found.repos.map(repo => ({
+        ...repo,
+        group: repo.group && groups.find(group => group.slug.toLowerCase() === repo.group.slug.toLowerCase())
+      }));
+    } else {
+      console.log(`🔍 Listing repositories with topic ${workshopTopic(CONFIG.workshopId)}...`);
+      ({ repos } = await findWorkshopRepos(octokit, {
+        org: CONFIG.targetOrg,
+        workshopId: CONFIG.workshopId,
+        groups,
+        matchSuffix: CONFIG.matchSuffix,
+        naming
+      }));
+    }
+
+    // A repo whose transfer was accepted has left the org, and with it the listing
+    const listed = new Set(repos.map(repo => repo.repoName));
+    for (const [repoName, entry] of Object.entries(this.state.repos)) {
+      if (!listed.has(repoName) && entry.requests?.length && !FINAL_STATES.includes(entry.status)) {
+        repos.push({ repoName, group: null, createdAt: entry.createdAt });
+      }
+    }
+
+    if (hasRepoFilters(this.filters)) {
+      const total = repos.length;
+      repos = repos.filter(repo => matchRepoFilters(repo, this.filters, { naming, groups }));
+      console.log(`🔎 Filters selected ${repos.length} of ${total} repositories`);
+    }
+    return repos;
+  }
+
+  /**
+   * Where a repo goes. Once a transfer was requested it keeps going there,
+   * even if the CSV changed since.
+   */
+  destinationFor(repo) {
+    const entry = this.state.repos[repo.repoName];
+    return entry?.requests?.length ? parseDestination(entry.destination, repo.repoName) : handoffDestination(repo);
+  }
+
+  async confirmHandoff(repos) {
+    console.log('\n' + '='.repeat(60));
+    console.log(`📤 REPOSITORIES TO HAND OFF (${CONFIG.mode.toUpperCase()})`);
+    console.log('='.repeat(60));
+
+    repos.forEach((repo, index) => {
+      const destination = this.destinationFor(repo);
+      console.log(`${index + 1}. ${CONFIG.targetOrg}/${repo.repoName}`);
+      console.log(`   To: ${destination.owner ? `${destination.owner}/${destination.name}` : `(skipped: ${destination.reason})`}`);
+      console.log(`   Status: ${this.state.repos[repo.repoName]?.status || 'new'}`);
+      console.log('');
+    });
+
+    if (CONFIG.mode === 'transfer') {
+      console.log('⚠️  Transferred repositories leave the organization. Secrets, variables, webhooks and deploy keys are removed first.');
+    }
+    console.log(`⚠️  Repositories not handed off within ${CONFIG.acceptWithin} of the first attempt are archived.`);
+
+    if (CONFIG.yes) {
+      return true;
+    }
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    const answer = await new Promise(resolve => {
+      rl.question('\n❓ Are you sure you want to hand off these repositories? (type "HANDOFF" to confirm): ', resolve);
+    });
+    rl.close();
+
+    return answer === 'HANDOFF';
+  }
+
+  /**
+   * Remove what only made sense inside the workshop org before the repo
+   * leaves it: Actions, Codespaces and Dependabot secrets, Actions variables,
+   * webhooks and deploy keys. The workshop topic stays until the transfer is
+   * accepted, so cleanup and lifecycle still find the repo meanwhile.
+   * Returns { removed, notChecked }: secret stores the token may not list
+   * (403/404, e.g. Codespaces not enabled) are reported instead of failing.
+   */
+  async stripWorkshopSettings(repoName) {
+    const owner = CONFIG.targetOrg;
+    const repo = repoName;
+    const removed = [];
+    const notChecked = [];
+
+    const secretStores = [
+      ['Actions secret', octokit.rest.actions],
+      ['Codespaces secret', octokit.rest.codespaces],
+      ['Dependabot secret', octokit.rest.dependabot]
+    ];
+    for (const [label, api] of secretStores) {
+      let secrets;
+      try {
+        secrets = await octokit.paginate(api.listRepoSecrets, { owner, repo, per_page: 100 });
+      } catch (error) {
+        if (error.status !== 403 && error.status !== 404) throw error;
+        notChecked.push(`${label}s (${error.message})`);
+        continue;
+      }
+      for (const secret of secrets) {
+        await api.deleteRepoSecret({ owner, repo, secret_name: secret.name });
+        removed.push(`${label} ${secret.name}`);
+      }
+    }
+
+    const variables = await octokit.paginate(octokit.rest.actions.listRepoVariables, { owner, repo, per_page: 30 });
+    for (const variable of variables) {
+      await octokit.rest.actions.deleteRepoVariable({ owner, repo, name: variable.name });
+      removed.push(`Actions variable ${variable.name}`);
+    }
+
+    const hooks = await octokit.paginate(octokit.rest.repos.listWebhooks, { owner, repo, per_page: 100 });
+    for (const hook of hooks) {
+      await octokit.rest.repos.deleteWebhook({ owner, repo, hook_id: hook.id });
+      removed.push(`webhook ${hook.config?.url || hook.id}`);
+    }
+
+    const keys = await octokit.paginate(octokit.rest.repos.listDeployKeys, { owner, repo, per_page: 100 });
+    for (const key of keys) {
+      await octokit.rest.repos.deleteDeployKey({ owner, repo, key_id: key.id });
+      removed.push(`deploy key ${key.title}`);
+    }
+    return { removed, notChecked };
+  }
+
+  async requestTransfer(repoName, destination, entry, now) {
+    if (!entry.stripped) {
+      const { removed, notChecked } = await this.stripWorkshopSettings(repoName);
+      if (removed.length > 0) {
+        console.log(`  🧽 ${repoName}: removed ${removed.join(', ')}`);
+      }
+      if (notChecked.length > 0) {
+        console.log(`  ⚠️  ${repoName}: not checked: ${notChecked.join(', ')}`);
+        entry.notChecked = notChecked;
+      }
+      entry.stripped = true;
+    }
+
+    await octokit.rest.repos.transfer({
+      owner: CONFIG.targetOrg,
+      repo: repoName,
+      new_owner: destination.owner,
+      ...(destination.name !== repoName ? { new_name: destination.name } : {})
+    });
+    entry.requests = [...(entry.requests || []), new Date(now).toISOString()];
+    entry.firstAttemptAt = entry.firstAttemptAt || new Date(now).toISOString();
+    entry.status = 'requested';
+  }
+
+  /**
+   * Where a requested transfer stands: the repo's new full name once the
+   * recipient accepted it, or null while it is still in the org.
+   */
+  async acceptedTransfer(repoName, destination) {
+    try {
+      const { data: repo } = await octokit.rest.repos.get({ owner: CONFIG.targetOrg, repo: repoName });
+      return repo.owner.login.toLowerCase() === CONFIG.targetOrg.toLowerCase() ? null : repo.full_name;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      // Gone from the org; a private repo in a personal account is not visible to us
+      return `${destination.owner}/${destination.name}`;
+    }
+  }
+
+  /**
+   * Remove the workshop topic from a repo that was transferred, if we can
+   * still write to it. Returns a note for the results when we cannot.
+   */
+  async removeTopicAfterTransfer(fullName) {
+    const [owner, repo] = fullName.split('/');
+    try {
+      await removeWorkshopTopic(octokit, { owner, repo, workshopId: CONFIG.workshopId });
+      return null;
+    } catch (error) {
+      if (error.status !== 403 && error.status !== 404) throw error;
+      return `topic ${workshopTopic(CONFIG.workshopId)} left on ${fullName}, which we can no longer write to`;
+    }
+  }
+
+  /**
+   * Push every branch and tag into the attendee's repo. Resolves to a reason
+   * to wait when that repo does not exist yet, is not private, or is not
+   * writable with our credentials.
+   */
+  async pushCopy(repoName, destination) {
+    let target;
+    try {
+      ({ data: target } = await octokit.rest.repos.get({ owner: destination.owner, repo: destination.name }));
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      return `${destination.owner}/${destination.name} does not exist or is not shared with us`;
+    }
+    if (!target.private) {
+      return `${target.full_name} is not private`;
+    }
+    if (!target.permissions?.push) {
+      return `no write access to ${target.full_name}`;
+    }
+
+    const cloneDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'workshop-handoff-'));
+    try {
+      const env = await gitCredentialEnv(octokit);
+      await git(['clone', '--quiet', '--bare', `https://github.com/${CONFIG.targetOrg}/${repoName}.git`, cloneDir], { env });
+      if (!await git(['for-each-ref', '--count=1'], { cwd: cloneDir })) {
+        return null; // Empty repo, nothing to copy
+      }
+      const url = `https://github.com/${target.full_name}.git`;
+      await git(['push', '--quiet', url, 'refs/heads/*:refs/heads/*'], { cwd: cloneDir, env });
+      await git(['push', '--quiet', '--tags', url], { cwd: cloneDir, env });
+    } finally {
+      await fsPromises.rm(cloneDir, { recursive: true, force: true });
+    }
+    return null;
+  }
+
+  async archive(repoName, entry, now) {
+    if (!CONFIG.dryRun) {
+      await octokit.rest.repos.update({ owner: CONFIG.targetOrg, repo: repoName, archived: true });
+    }
+    entry.status = 'archived';
+    entry.archivedAt = new Date(now).toISOString();
+  }
+
+  /**
+   * Move one repo a step further. Works on a copy of its state entry, which
+   * is only kept when this is not a dry run.
+   */
+  async processRepository(repo, now) {
+    const { repoName } = repo;
+    const previous = this.state.repos[repoName];
+    const entry = { ...previous };
+    const record = (bucket, message, extra = {}) => {
+      console.log(`  ${message}`);
+      this.results[bucket].push({ repoName, ...extra, status: entry.status });
+      if (!CONFIG.dryRun) {
+        this.state.repos[repoName] = entry;
+      }
+    };
+
+    const destination = this.destinationFor(repo);
+    if (!destination.owner) {
+      entry.status = 'skipped';
+      entry.reason = destination.reason;
+      return record('skipped', `⏭️  ${repoName}: ${destination.reason}`, { reason: destination.reason });
+    }
+    entry.destination = `${destination.owner}/${destination.name}`;
+    entry.createdAt = entry.createdAt || repo.createdAt;
+    delete entry.reason;
+    delete entry.error;
+
+    const would = CONFIG.dryRun ? 'would be ' : '';
+    const overdue = entry.firstAttemptAt && now - new Date(entry.firstAttemptAt).getTime() > this.acceptWithinMs;
+
+    try {
+      if (CONFIG.mode === 'transfer') {
+        if (entry.status === 'requested') {
+          const newName = await this.acceptedTransfer(repoName, destination);
+          if (newName) {
+            entry.status = 'transferred';
+            entry.transferredTo = newName;
+            entry.transferredAt = new Date(now).toISOString();
+            const note = await this.removeTopicAfterTransfer(newName);
+            if (note) {
+              entry.note = note;
+            }
+            return record('transferred', `✅ ${repoName}: accepted, now ${newName}${note ? `; ${note}` : ''}`, { destination: newName });
+          }
+        }
+        if (overdue) {
+          await this.archive(repoName, entry, now);
+          return record('archived', `📦 ${repoName}: ${entry.destination} did not accept within ${CONFIG.acceptWithin}, ${would}archived`);
+        }
+
+        const lastRequest = (entry.requests || []).at(-1);
+        if (lastRequest && now - new Date(lastRequest).getTime() < TRANSFER_REQUEST_TTL_MS) {
+          return record('waiting', `⏳ ${repoName}: waiting for ${entry.destination} to accept`, { destination: entry.destination });
+        }
+        if (!CONFIG.dryRun) {
+          await this.requestTransfer(repoName, destination, entry, now);
+        }
+        return record('requested', `📤 ${repoName}: transfer to ${entry.destination} ${would}${lastRequest ? 're-' : ''}requested`, { destination: entry.destination });
+      }
+
+      // Copy mode: wait for the attendee's private repo, then push into it
+      entry.firstAttemptAt = entry.firstAttemptAt || new Date(now).toISOString();
+      if (overdue) {
+        await this.archive(repoName, entry, now);
+        return record('archived', `📦 ${repoName}: ${entry.destination} was not ready within ${CONFIG.acceptWithin}, ${would}archived`);
+      }
+      if (CONFIG.dryRun) {
+        return record('copied', `🔍 ${repoName}: would be copied to ${entry.destination} once it is ready`, { destination: entry.destination });
+      }
+      const waitReason = await this.pushCopy(repoName, destination);
+      if (waitReason) {
+        entry.status = 'waiting';
+        entry.reason = waitReason;
+        return record('waiting', `⏳ ${repoName}: ${waitReason}`, { destination: entry.destination, reason: waitReason });
+      }
+      entry.status = 'copied';
+      entry.copiedAt = new Date(now).toISOString();
+      return record('copied', `✅ ${repoName}: copied to ${entry.destination}`, { destination: entry.destination });
+    } catch (error) {
+      entry.error = error.message;
+      console.error(`  ❌ ${repoName}: ${error.message}`);
+      this.results.failed.push({ repoName, destination: entry.destination, error: error.message });
+      if (!CONFIG.dryRun) {
+        this.state.repos[repoName] = entry;
+      }
+    }
+  }
+
+  async run() {
+    console.log(`📤 Workshop Repository Handoff${CONFIG.dryRun ? ' (DRY RUN)' : ''} Starting...\n`);
+
+    try {
+      await this.validateConfig();
+      this.state = this.loadState();
+
+      const repos = (await this.findRepos())
+        .filter(repo => !FINAL_STATES.includes(this.state.repos[repo.repoName]?.status));
+      const done = Object.values(this.state.repos).filter(entry => FINAL_STATES.includes(entry.status));
+      console.log(`✅ ${repos.length} repositories to hand off${done.length ? `, ${done.length} already done` : ''}`);
+
+      if (repos.length === 0) {
+        console.log('ℹ️ Nothing to do');
+        return;
+      }
+      if (!CONFIG.dryRun && !await this.confirmHandoff(repos)) {
+        console.log('❌ Handoff cancelled by user');
+        return;
+      }
+      console.log('');
+
+      const now = Date.now();
+      try {
+        await runPool(repos, CONFIG.concurrentRepos, repo => this.processRepository(repo, now));
+      } finally {
+        if (!CONFIG.dryRun) {
+          this.saveState();
+        }
+      }
+
+      this.printSummary();
+      if (this.results.failed.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('💥 Handoff failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(50));
+    console.log(`📊 HANDOFF SUMMARY${CONFIG.dryRun ? ' (DRY RUN)' : ''}`);
+    console.log('='.repeat(50));
+
+    if (CONFIG.mode === 'transfer') {
+      console.log(`📤 ${CONFIG.dryRun ? 'Would request' : 'Requested'}: ${this.results.requested.length}`);
+      console.log(`✅ Transferred: ${this.results.transferred.length}`);
+    } else {
+      console.log(`✅ ${CONFIG.dryRun ? 'Would copy' : 'Copied'}: ${this.results.copied.length}`);
+    }
+    console.log(`⏳ Waiting: ${this.results.waiting.length}`);
+    console.log(`📦 ${CONFIG.dryRun ? 'Would archive' : 'Archived'}: ${this.results.archived.length}`);
+    console.log(`⏭️ Skipped: ${this.results.skipped.length}`);
+    console.log(`❌ Failed: ${this.results.failed.length}`);
+    logApiUsage(scheduler);
+
+    if (this.results.failed.length > 0) {
+      console.log('\n❌ Failed Repositories:');
+      this.results.failed.forEach(result => {
+        console.log(`  • ${result.repoName} - ${result.error}`);
+      });
+    }
+
+    if (!CONFIG.dryRun) {
+      const resultsFile = `handoff-results-${new Date().toISOString().split('T')[0]}.json`;
+      writeRedactedJson(resultsFile, { workshopId: CONFIG.workshopId, targetOrg: CONFIG.targetOrg, mode: CONFIG.mode, ...this.results });
+      console.log(`\n💾 Detailed results saved to: ${resultsFile}`);
+      console.log(`💾 Handoff progress saved to: ${CONFIG.stateFile} (run again to follow up)`);
+    }
+  }
+}
+
+if (require.main === module) {
+  const handoff = new WorkshopHandoff();
+  handoff.run().catch(error => {
+    console.error('💥 Unexpected error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = WorkshopHandoff;
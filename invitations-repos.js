@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+// Usage: node invitations-repos.js [--from-results <file>] [--dry-run] [--invite-to-org] [--invite-team <slug>]
+//          [--workshop-id <id>] [--match-suffix] [--team-size <n>] [--access teams [--access-team <name>] [--attendee-teams]]
+
+const fs = require('fs');
+const { loadAttendees } = require('./lib/attendees');
+const { groupAttendees } = require('./lib/teams');
+const { hasFlag, getArgValue } = require('./lib/cli-args');
+const { hasCredentials, describeAuth } = require('./lib/github-auth');
+const { createGitHubClient, logApiUsage } = require('./lib/github-client');
+const { installConsoleRedaction, writeRedactedJson } = require('./lib/redact');
+const { workshopIdFrom, workshopTopic } = require('./lib/workshop-tag');
+const { findWorkshopRepos, findReposFromResults } = require('./lib/repo-discovery');
+const { loadWorkshopConfig } = require('./lib/workshop-config');
+const { createRepoNaming } = require('./lib/repo-naming');
+const { inviteToOrg, addRepoCollaborator, isExpired } = require('./lib/invitations');
+const { workshopTeamName, groupTeamName, findTeam } = require('./lib/access-teams');
+const { runPool } = require('./lib/scheduler');
+require('dotenv').config();
+
+// Keep tokens out of everything this script prints
+installConsoleRedaction();
+
+const args = process.argv.slice(2);
+
+const CONFIG = {
+  targetOrg: process.env.TARGET_ORG || 'your-target-org',
+  csvFile: process.env.CSV_FILE || 'attendees.csv',
+  teamSize: parseInt(getArgValue(args, '--team-size', process.env.TEAM_SIZE || '1')), // Must match the setup run
+  workshopId: workshopIdFrom(args), // Must match the setup run
+  fromResults: getArgValue(args, '--from-results'), // Follow up on the attendees and invitations of a setup-results-*.json
+  matchSuffix: hasFlag(args, '--match-suffix'), // Legacy: find repos by name (repos created before workshop tags)
+  repoNameTemplate: null, // Must match the setup run; from workshop.json, loaded by validateConfig
+  backend: process.env.BACKEND || 'nodejs', // Fills {{backend}} in repo names, as in setup
+  inviteTeam: getArgValue(args, '--invite-team', process.env.INVITE_TEAM || ''), // Org team that invited attendees join (implies --invite-to-org)
+  inviteToOrg: hasFlag(args, '--invite-to-org', '--invite-team') || process.env.INVITE_TO_ORG === 'true' || Boolean(process.env.INVITE_TEAM), // (Re-)invite attendees who are not org members
+  accessMode: getArgValue(args, '--access', process.env.ACCESS_MODE || 'collaborators'), // Must match the setup run
+  accessPermission: getArgValue(args, '--access-permission', process.env.ACCESS_PERMISSION || 'admin'), // Must match the setup run
+  accessTeam: workshopTeamName(workshopIdFrom(args), getArgValue(args, '--access-team', process.env.ACCESS_TEAM || '')), // Must match the setup run
+  attendeeTeams: hasFlag(args, '--attendee-teams') || process.env.ATTENDEE_TEAMS === 'true', // Must match the setup run
+  dryRun: hasFlag(args, '--dry-run', '-n'), // Report only; resend nothing
+  concurrentAttendees: parseInt(process.env.CONCURRENT_ATTENDEES || '5') // Attendees checked in parallel
+};
+
+// GitHub App installation or personal access token, throttled and retried like setup
+const { octokit, scheduler } = createGitHubClient({ org: CONFIG.targetOrg });
+
+/**
+ * Follows up on the invitations setup sent: checks who accepted, resends
+ * expired org and repo invitations, and reports the attendees who still
+ * cannot see their repos. Safe to run repeatedly until everyone is in.
+ */
+class InvitationFollowUp {
+  constructor() {
+    this.results = {
+      ready: [],
+      pending: [],
+      resent: [],
+      failed: []
+    };
+    this.members = new Set();
+    this.orgInvitations = new Map(); // lowercase login -> pending org invitation
+    this.expiredOrgInvitations = new Map(); // lowercase login -> failed (e.g. expired) org invitation
+    this.repoInvitations = new Map(); // repo name -> Promise of its pending invitations
+    this.orgInvited = new Set(); // lowercase logins setup invited to the org
+    this.accessTeams = new Map(); // team name -> Promise of team (or null)
+  }
+
+  async validateConfig() {
+    console.log('🔍 Validating configuration...');
+
+    if (!hasCredentials()) {
+      throw new Error('GITHUB_TOKEN (or GITHUB_APP_ID with a private key) is required. Please set it in your .env file or environment variables.');
+    }
+    console.log(`✅ Authenticating with ${describeAuth()}`);
+
+    CONFIG.repoNameTemplate = loadWorkshopConfig({ profile: getArgValue(args, '--profile') }).repoNameTemplate;
+
+    if (CONFIG.fromResults && !fs.existsSync(CONFIG.fromResults)) {
+      throw new Error(`Results file not found: ${CONFIG.fromResults}`);
+    }
+    if (!CONFIG.fromResults && !fs.existsSync(CONFIG.csvFile)) {
+      throw new Error(`CSV file not found: ${CONFIG.csvFile} (or pass --from-results <setup-results-*.json>)`);
+    }
+
+    if (CONFIG.inviteTeam) {
+      try {
+        const { data: team } = await octokit.rest.teams.getByName({ org: CONFIG.targetOrg, team_slug: CONFIG.inviteTeam });
+        this.inviteTeamId = team.id;
+      } catch (error) {
+        throw new Error(`Team ${CONFIG.inviteTeam} not found in ${CONFIG.targetOrg}: ${error.message}`);
+      }
+    }
+    if (CONFIG.inviteToOrg) {
+      console.log(`✅ Attendees who are not members of ${CONFIG.targetOrg} will be ${CONFIG.dryRun ? 'reported' : 'invited'}${CONFIG.inviteTeam ? ` (into team ${CONFIG.inviteTeam})` : ''}`);
+    }
+  }
+
+  /**
+   * Every attendee with the repos they should see, as
+   * [{ username, repos: [repoName] }], from the results file or the CSV.
+   */
+  async findAttendees() {
+    let repos;
+    if (CONFIG.fromResults) {
+      console.log(`📖 Loading repositories created by the run in ${CONFIG.fromResults}...`);
+      let workshopId;
+      ({ repos, workshopId } = await findReposFromResults(octokit, { org: CONFIG.targetOrg, resultsFile: CONFIG.fromResults }));
+      if (workshopId) CONFIG.workshopId = workshopId;
+      const { invitations, accessTeam } = JSON.parse(fs.readFileSync(CONFIG.fromResults, 'utf-8'));
+      this.orgInvited = new Set((invitations?.org || []).map(invitation => invitation.username.toLowerCase()));
+      if (accessTeam) {
+        CONFIG.accessMode = 'teams';
+        CONFIG.accessTeam = accessTeam;
+      }
+    } else {
+      const groups = groupAttendees(await loadAttendees(CONFIG.csvFile), { teamSize: CONFIG.teamSize });
+      console.log(`🔍 Listing repositories with ${CONFIG.matchSuffix ? `names like ${CONFIG.repoNameTemplate}` : `topic ${workshopTopic(CONFIG.workshopId)}`}...`);
+      ({ repos } = await findWorkshopRepos(octokit, {
+        org: CONFIG.targetOrg,
+        workshopId: CONFIG.workshopId,
+        groups,
+        matchSuffix: CONFIG.matchSuffix,
+        naming: createRepoNaming({ template: CONFIG.repoNameTemplate, workshopId: CONFIG.workshopId, defaultBackend: CONFIG.backend })
+      }));
+    }
+
+    const attendees = new Map();
+    for (const repo of repos.filter(repo => repo.group)) {
+      for (const { githubUsername } of repo.group.members) {
+        const key = githubUsername.toLowerCase();
+        if (!attendees.has(key)) attendees.set(key, { username: githubUsername, group: repo.group, repos: [] });
+        attendees.get(key).repos.push(repo.repoName);
+      }
+    }
+    return [...attendees.values()];
+  }
+
+  /**
+   * Org members and org invitations, listed once for all attendees.
+   */
+  async loadOrgState() {
+    const org = CONFIG.targetOrg;
+    const members = await octokit.paginate(octokit.rest.orgs.listMembers, { org, per_page: 100 });
+    this.members = new Set(members.map(member => member.login.toLowerCase()));
+
+    const pending = await octokit.paginate(octokit.rest.orgs.listPendingInvitations, { org, per_page: 100 });
+    this.orgInvitations = new Map(pending.filter(invitation => invitation.login).map(invitation => [invitation.login.toLowerCase(), invitation]));
+
+    const failed = await octokit.paginate(octokit.rest.orgs.listFailedInvitations, { org, per_page: 100 });
+    this.expiredOrgInvitations = new Map(failed.filter(invitation => invitation.login).map(invitation => [invitation.login.toLowerCase(), invitation]));
+
+    console.log(`✅ ${this.members.size} members, ${this.orgInvitations.size} pending and ${this.expiredOrgInvitations.size} failed or expired invitations in ${org}`);
+  }
+
+  /**
+   * The team setup --access teams granted a group's repos to, or null.
+   */
+  accessTeamFor(group) {
+    const name = CONFIG.attendeeTeams ? groupTeamName(CONFIG.accessTeam, group) : CONFIG.accessTeam;
+    if (!this.accessTeams.has(name)) {
+      this.accessTeams.set(name, findTeam(octokit, { org: CONFIG.targetOrg, name }));
+    }
+    return this.accessTeams.get(name);
+  }
+
+  pendingRepoInvitations(repoName) {
+    if (!this.repoInvitations.has(repoName)) {
+      this.repoInvitations.set(repoName,
+        octokit.paginate(octokit.rest.repos.listInvitations, { owner: CONFIG.targetOrg, repo: repoName, per_page: 100 }));
+    }
+    return this.repoInvitations.get(repoName);
+  }
+
+  /**
+   * Where an attendee stands with the org: 'member', 'invited', 're-invited'
+   * or 'not a member'. Expired invitations are resent with --invite-to-org,
+   * or when the setup run being followed up invited the attendee. With
+   * --access teams the invitation is into the attendee's access team.
+   */
+  async followUpOrg(username, group) {
+    const key = username.toLowerCase();
+    if (this.members.has(key)) return 'member';
+
+    const invitation = this.orgInvitations.get(key);
+    if (invitation && !isExpired(invitation)) {
+      return `invited ${invitation.created_at.split('T')[0]}`;
+    }
+    if (!CONFIG.inviteToOrg && !this.orgInvited.has(key)) {
+      return this.expiredOrgInvitations.has(key) ? 'invitation expired' : 'not a member';
+    }
+    if (CONFIG.dryRun) {
+      return 'would re-invite';
+    }
+    const team = CONFIG.accessMode === 'teams' ? await this.accessTeamFor(group) : null;
+    const { status } = await inviteToOrg(octokit, {
+      org: CONFIG.targetOrg,
+      username,
+      teamId: team ? team.id : this.inviteTeamId,
+      teamSlug: team ? team.slug : (CONFIG.inviteTeam || null)
+    });
+    // Only 'invited' means a new invitation was sent; the attendee may have
+    // joined or been invited since the invitations were listed
+    if (status === 'pending') return 'invited';
+    return status === 'invited' ? 're-invited' : status;
+  }
+
+  /**
+   * Where an attendee stands with one repo: 'access', 'invited',
+   * 're-invited' or 'added'. Expired or missing invitations are resent.
+   * With --access teams, access comes with the team membership instead.
+   */
+  async followUpRepo(repoName, username) {
+    const owner = CONFIG.targetOrg;
+    try {
+      await octokit.rest.repos.checkCollaborator({ owner, repo: repoName, username });
+      return 'access';
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+    if (CONFIG.accessMode === 'teams') {
+      return 'waiting for team membership';
+    }
+
+    const invitations = await this.pendingRepoInvitations(repoName);
+    const invitation = invitations.find(inv => inv.invitee?.login?.toLowerCase() === username.toLowerCase());
+    if (invitation && !isExpired(invitation)) {
+      return `invited ${invitation.created_at.split('T')[0]}`;
+    }
+    if (CONFIG.dryRun) {
+      return 'would re-invite';
+    }
+    if (invitation) {
+      await octokit.rest.repos.deleteInvitation({ owner, repo: repoName, invitation_id: invitation.id });
+    }
+    const { status } = await addRepoCollaborator(octokit, { owner, repo: repoName, username, permission: CONFIG.accessPermission });
+    return status === 'added' ? 'added' : 're-invited';
+  }
+
+  async processAttendee({ username, group, repos }) {
+    const entry = { username, org: null, repos: {} };
+    try {
+      entry.org = await this.followUpOrg(username, group);
+      for (const repoName of repos) {
+        entry.repos[repoName] = await this.followUpRepo(repoName, username);
+      }
+    } catch (error) {
+      console.error(`  ❌ ${username}: ${error.message}`);
+      this.results.failed.push({ ...entry, error: error.message });
+      return;
+    }
+
+    const states = [entry.org, ...Object.values(entry.repos)];
+    const detail = `org: ${entry.org}; ${Object.entries(entry.repos).map(([repoName, state]) => `${repoName}: ${state}`).join(', ')}`;
+    if (Object.values(entry.repos).every(state => state === 'access' || state === 'added')) {
+      this.results.ready.push(entry);
+    } else if (states.some(state => ['re-invited', 'would re-invite'].includes(state))) {
+      console.log(`  📨 ${username} - ${detail}`);
+      this.results.resent.push(entry);
+    } else {
+      console.log(`  ⏳ ${username} - ${detail}`);
+      this.results.pending.push(entry);
+    }
+  }
+
+  async run() {
+    console.log(`📨 Workshop Invitation Follow-up${CONFIG.dryRun ? ' (DRY RUN)' : ''} Starting...\n`);
+
+    try {
+      await this.validateConfig();
+
+      const attendees = await this.findAttendees();
+      console.log(`✅ Found ${attendees.length} attendees with workshop repositories`);
+      await this.loadOrgState();
+
+      console.log('');
+      await runPool(attendees, CONFIG.concurrentAttendees, attendee => this.processAttendee(attendee));
+
+      this.printSummary();
+      if (this.results.failed.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('💥 Invitation follow-up failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(50));
+    console.log(`📊 INVITATION SUMMARY${CONFIG.dryRun ? ' (DRY RUN)' : ''}`);
+    console.log('='.repeat(50));
+
+    console.log(`✅ Can see their repos: ${this.results.ready.length}`);
+    console.log(`⏳ Invitation pending: ${this.results.pending.length}`);
+    console.log(`📨 ${CONFIG.dryRun ? 'Would resend' : 'Resent'}: ${this.results.resent.length}`);
+    console.log(`❌ Failed: ${this.results.failed.length}`);
+    logApiUsage(scheduler);
+
+    const waiting = [...this.results.pending, ...this.results.resent, ...this.results.failed];
+    if (waiting.length > 0) {
+      console.log('\n🚫 Still Cannot See Their Repos:');
+      waiting.forEach(entry => {
+        const missing = Object.entries(entry.repos).filter(([, state]) => state !== 'access' && state !== 'added').map(([repoName]) => repoName);
+        console.log(`  • ${entry.username}${entry.error ? ` - ${entry.error}` : ` (org: ${entry.org}) - ${missing.join(', ')}`}`);
+      });
+    }
+
+    if (!CONFIG.dryRun) {
+      const resultsFile = `invitations-results-${new Date().toISOString().split('T')[0]}.json`;
+      writeRedactedJson(resultsFile, { workshopId: CONFIG.workshopId, targetOrg: CONFIG.targetOrg, ...this.results });
+      console.log(`\n💾 Detailed results saved to: ${resultsFile}`);
+    }
+  }
+}
+
+if (require.main === module) {
+  const followUp = new InvitationFollowUp();
+  followUp.run().catch(error => {
+    console.error('💥 Unexpected error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = InvitationFollowUp;
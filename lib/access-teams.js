@@ -0,0 +1,125 @@
+// Team-based repo access: one workshop team in the org, optionally with a
+// child team per attendee (or per team in team mode). Repos are granted to
+// teams instead of individual collaborators, so deleting the workshop team
+// (GitHub deletes its child teams with it) revokes everyone's access at once.
+
+// Repo permission levels, lowest first, as the teams API names them
+const PERMISSIONS = ['pull', 'triage', 'push', 'maintain', 'admin'];
+
+// The names the collaborator permission API reports for the same levels
+const PERMISSION_ALIASES = { read: 'pull', write: 'push' };
+
+/**
+ * The slug GitHub derives from a team name.
+ */
+function teamSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * The workshop team: `name` if given (ACCESS_TEAM), else workshop-<workshopId>.
+ */
+function workshopTeamName(workshopId, name = '') {
+  return name || `workshop-${workshopId}`;
+}
+
+/**
+ * The child team of one attendee or team group, named after the workshop team.
+ */
+function groupTeamName(workshopTeam, group) {
+  return `${workshopTeam}-${group.slug}`;
+}
+
+/**
+ * Whether a granted permission (e.g. 'write' or 'maintain') is at least `required`.
+ */
+function permissionCovers(granted, required) {
+  const rank = permission => PERMISSIONS.indexOf(PERMISSION_ALIASES[permission] || permission);
+  return rank(granted) >= rank(required);
+}
+
+/**
+ * The team with this name, or null.
+ */
+async function findTeam(octokit, { org, name }) {
+  try {
+    const { data } = await octokit.rest.teams.getByName({ org, team_slug: teamSlug(name) });
+    return data;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Find or create a team. Teams are created 'closed' (visible to org members),
+ * the only privacy nested teams allow. Resolves to { team, created }.
+ */
+async function ensureTeam(octokit, { org, name, description, parentTeamId = null }) {
+  const existing = await findTeam(octokit, { org, name });
+  if (existing) {
+    return { team: existing, created: false };
+  }
+  const { data: team } = await octokit.rest.teams.create({
+    org,
+    name,
+    description,
+    privacy: 'closed',
+    ...(parentTeamId ? { parent_team_id: parentTeamId } : {})
+  });
+  return { team, created: true };
+}
+
+/**
+ * Add `username` to a team. Users who are not org members yet are invited to
+ * the org by GitHub and join the team once they accept. Resolves to the
+ * membership state: 'active' or 'pending'.
+ */
+async function addTeamMember(octokit, { org, team, username }) {
+  const { data } = await octokit.rest.teams.addOrUpdateMembershipForUserInOrg({
+    org,
+    team_slug: team.slug,
+    username,
+    role: 'member'
+  });
+  return data.state;
+}
+
+/**
+ * Grant a team `permission` on a repo in the org.
+ */
+async function grantTeamAccess(octokit, { org, team, repo, permission }) {
+  await octokit.rest.teams.addOrUpdateRepoPermissionsInOrg({
+    org,
+    team_slug: team.slug,
+    owner: org,
+    repo,
+    permission
+  });
+}
+
+/**
+ * Delete a team and its child teams. Resolves to false when it did not exist.
+ */
+async function deleteTeam(octokit, { org, name }) {
+  try {
+    await octokit.rest.teams.deleteInOrg({ org, team_slug: teamSlug(name) });
+    return true;
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  teamSlug,
+  workshopTeamName,
+  groupTeamName,
+  permissionCovers,
+  findTeam,
+  ensureTeam,
+  addTeamMember,
+  grantTeamAccess,
+  deleteTeam
+};
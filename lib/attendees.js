@@ -0,0 +1,132 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+
+// CSV columns become `attendee.<column>` template variables, so they must be valid Liquid identifiers
+const COLUMN_NAME = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * The column name for a CSV header: without a UTF-8 byte order mark (as
+ * Excel writes), trimmed and lowercased, with runs of spaces and other
+ * separators turned into underscores (`Display Name` -> `display_name`).
+ */
+function normalizeHeader(header) {
+  return header
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+class AttendeeCsvError extends Error {
+  constructor(file, problems) {
+    super(`Invalid attendee CSV ${file}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'AttendeeCsvError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Return a problem message for every header that cannot be used as a
+ * template variable or appears more than once.
+ */
+function validateColumns(headers) {
+  const problems = [];
+  const seen = new Set();
+  for (const header of headers) {
+    if (!COLUMN_NAME.test(header)) {
+      problems.push(`column "${header}" must start with a letter`);
+    } else if (seen.has(header)) {
+      problems.push(`column "${header}" appears more than once`);
+    }
+    seen.add(header);
+  }
+  if (!seen.has('github_username')) {
+    problems.push('missing required column "github_username"');
+  }
+  return problems;
+}
+
+/**
+ * Read attendees from the workshop CSV. Headers are normalized with
+ * normalizeHeader; columns with an empty header are dropped.
+ * Columns: github_username (required), email and backend (optional). Every
+ * column, including any extra ones, is also kept in `fields` for templates.
+ */
+function loadAttendees(csvFile) {
+  const attendees = [];
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(csvFile)
+      .pipe(csv({ mapHeaders: ({ header }) => normalizeHeader(header) || null }))
+      .on('headers', (headers) => {
+        const problems = validateColumns(headers.filter(Boolean));
+        if (problems.length > 0) {
+          reject(new AttendeeCsvError(csvFile, problems));
+        }
+      })
+      .on('data', (row) => {
+        if (row.github_username && row.github_username.trim()) {
+          const fields = {};
+          for (const [column, value] of Object.entries(row)) {
+            fields[column] = typeof value === 'string' ? value.trim() : '';
+          }
+          attendees.push({
+            githubUsername: fields.github_username,
+            email: fields.email || null,
+            backend: fields.backend ? fields.backend.toLowerCase() : null,
+            fields
+          });
+        }
+      })
+      .on('end', () => resolve(attendees))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Names of the CSV columns available as `attendee.*` template variables.
+ */
+function attendeeColumns(attendees) {
+  return attendees.length > 0 ? Object.keys(attendees[0].fields) : [];
+}
+
+/**
+ * Collect the `attendee.<column>` names referenced inside Liquid tags
+ * (`<$ ... $>` and `<% ... %>`) of a template.
+ */
+function findAttendeeReferences(content) {
+  const references = new Set();
+  for (const [, tag] of content.matchAll(/<[$%]([\s\S]*?)[$%]>/g)) {
+    for (const [, column] of tag.matchAll(/\battendee\.([A-Za-z_][A-Za-z0-9_]*)/g)) {
+      references.add(column);
+    }
+  }
+  return references;
+}
+
+/**
+ * Return a problem message for every attendee whose backend (or the default
+ * backend, for attendees without one) is not in `supportedBackends`.
+ */
+function findUnsupportedBackends(attendees, supportedBackends, defaultBackend) {
+  const problems = [];
+  if (!supportedBackends.includes(defaultBackend)) {
+    problems.push(`BACKEND "${defaultBackend}" is not supported (expected one of: ${supportedBackends.join(', ')})`);
+  }
+  for (const attendee of attendees) {
+    if (attendee.backend && !supportedBackends.includes(attendee.backend)) {
+      problems.push(`${attendee.githubUsername}: backend "${attendee.backend}" is not supported (expected one of: ${supportedBackends.join(', ')})`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  loadAttendees,
+  attendeeColumns,
+  findAttendeeReferences,
+  findUnsupportedBackends,
+  validateColumns,
+  normalizeHeader,
+  AttendeeCsvError
+};
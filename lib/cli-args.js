@@ -0,0 +1,27 @@
+// Minimal command-line helpers shared by the workshop scripts.
+
+/**
+ * True if any of `names` appears in `args` (e.g. hasFlag(args, '--dry-run', '-n')).
+ */
+function hasFlag(args, ...names) {
+  return names.some(name => args.includes(name));
+}
+
+/**
+ * Return the value of a flag given as `--name value` or `--name=value`,
+ * or `fallback` when the flag is absent or has no value.
+ */
+function getArgValue(args, name, fallback = null) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) {
+      const value = args[i + 1];
+      return value && !value.startsWith('-') ? value : fallback;
+    }
+    if (args[i].startsWith(`${name}=`)) {
+      return args[i].slice(name.length + 1) || fallback;
+    }
+  }
+  return fallback;
+}
+
+module.exports = { hasFlag, getArgValue };
@@ -0,0 +1,131 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { git } = require('./git');
+
+// Template variables whose value differs between repos built from the same branch content
+const PER_REPO_VARIABLE = /\b(?:demo_instance_name|repository_name|attendee|team)\b/;
+
+/**
+ * True when a template's Liquid tags reference a per-repo variable, so it
+ * has to be rendered again for every repo instead of once per branch.
+ */
+function usesPerRepoVariables(content) {
+  for (const [, tag] of content.matchAll(/<[$%]([\s\S]*?)[$%]>/g)) {
+    if (PER_REPO_VARIABLE.test(tag)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Branch content that does not depend on the repo owner, prepared once per
+ * run and shared by every repo built from it.
+ *
+ * Each prepared branch lives in its own directory and as a tree in a shared
+ * bare object store. Repos borrow that store through git alternates, so a
+ * new repo only writes the blobs of its re-rendered templates and its
+ * commits; everything else is pushed straight from the shared objects.
+ */
+class ContentCache {
+  constructor(cacheDir) {
+    this.cacheDir = path.resolve(cacheDir);
+    this.storeDir = path.join(this.cacheDir, 'objects.git');
+    this.entries = new Map(); // key -> Promise<{ dir, tree, templates }>
+    this.ready = null;
+  }
+
+  /**
+   * Start from an empty cache directory so content from an earlier run is never reused.
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await fsPromises.rm(this.cacheDir, { recursive: true, force: true });
+        await fsPromises.mkdir(this.cacheDir, { recursive: true });
+        await git(['init', '--quiet', '--bare', this.storeDir]);
+      })();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Prepared content for `key`, built on first use by `build(dir)`. `build`
+   * fills `dir` and resolves to the templates that still need per-repo
+   * rendering as [{ path, content }] with paths relative to `dir`.
+   * Concurrent callers for the same key share one build.
+   *
+   * Resolves to { dir, tree, templates: [{ path, mode, content }] }.
+   */
+  prepare(key, build) {
+    if (!this.entries.has(key)) {
+      const entry = (async () => {
+        await this.init();
+        const dir = path.join(this.cacheDir, key.replace(/[^A-Za-z0-9._-]+/g, '_'));
+        await fsPromises.mkdir(dir, { recursive: true });
+        const templates = await build(dir);
+
+        // Same `git add -A` the per-repo clones used, so .gitignore rules still apply
+        const env = { GIT_INDEX_FILE: `${dir}.index` };
+        await git([`--git-dir=${this.storeDir}`, `--work-tree=${dir}`, 'add', '-A'], { env });
+        const tree = await git([`--git-dir=${this.storeDir}`, 'write-tree'], { env });
+
+        const withModes = [];
+        for (const template of templates) {
+          const stats = await fsPromises.stat(path.join(dir, template.path));
+          withModes.push({
+            ...template,
+            path: template.path.split(path.sep).join('/'),
+            mode: stats.mode & 0o111 ? '100755' : '100644'
+          });
+        }
+        return { dir, tree, templates: withModes };
+      })();
+      this.entries.set(key, entry);
+      // Let a failed build be retried by the next repo
+      entry.catch(() => this.entries.delete(key));
+    }
+    return this.entries.get(key);
+  }
+
+  /**
+   * Let the bare repo at `gitDir` read objects from the shared store.
+   */
+  async attach(gitDir) {
+    await this.init();
+    await fsPromises.writeFile(path.join(gitDir, 'objects', 'info', 'alternates'), path.join(this.storeDir, 'objects') + '\n');
+  }
+
+  /**
+   * Write the tree of a prepared branch into `gitDir` with `files`
+   * (Map of path -> content) replacing the prepared templates. Returns the tree id.
+   */
+  async writeTree(gitDir, prepared, files) {
+    const env = { GIT_INDEX_FILE: path.join(gitDir, 'workshop-index') };
+    await git(['read-tree', prepared.tree], { cwd: gitDir, env });
+    for (const template of prepared.templates) {
+      if (!files.has(template.path)) continue;
+      const blob = await git(['hash-object', '-w', '--stdin'], { cwd: gitDir, input: files.get(template.path) });
+      await git(['update-index', '--add', '--cacheinfo', `${template.mode},${blob},${template.path}`], { cwd: gitDir, env });
+    }
+    return git(['write-tree'], { cwd: gitDir, env });
+  }
+
+  /**
+   * Commit `tree` in `gitDir` (on top of `parent`, if any) and point `branch` at it.
+   */
+  async commitBranch(gitDir, branch, tree, { parent, messages }) {
+    const args = ['commit-tree', tree];
+    if (parent) {
+      args.push('-p', parent);
+    }
+    for (const message of messages) {
+      args.push('-m', message);
+    }
+    const commit = await git(args, { cwd: gitDir });
+    await git(['update-ref', `refs/heads/${branch}`, commit], { cwd: gitDir });
+    return commit;
+  }
+}
+
+module.exports = { ContentCache, usesPerRepoVariables };
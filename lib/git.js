@@ -0,0 +1,23 @@
+const { execFile } = require('child_process');
+
+/**
+ * Run a local git command and return its trimmed stdout. `env` is added to
+ * the process environment and `input` is written to stdin.
+ */
+function git(args, { cwd, env, input } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, { cwd, env: { ...process.env, ...env }, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `git ${args[0]} failed: ${(stderr || '').trim() || error.message}`;
+        reject(error);
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
+  });
+}
+
+module.exports = { git };
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const { Octokit } = require('@octokit/rest');
+const { createAppAuth } = require('@octokit/auth-app');
+const { registerSecret } = require('./redact');
+
+// Refresh the installation token for git when it has less than this left,
+// so a long clone or push never starts with a token about to expire
+const GIT_TOKEN_MIN_LIFETIME_MS = 10 * 60 * 1000;
+
+/**
+ * Read GitHub App credentials from the environment, or null when no app is
+ * configured. The private key comes from GITHUB_APP_PRIVATE_KEY (PEM, literal
+ * "\n" escapes allowed) or the file at GITHUB_APP_PRIVATE_KEY_PATH.
+ */
+function readAppCredentials(env = process.env) {
+  if (!env.GITHUB_APP_ID) {
+    return null;
+  }
+
+  let privateKey = env.GITHUB_APP_PRIVATE_KEY ? env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n') : null;
+  if (!privateKey && env.GITHUB_APP_PRIVATE_KEY_PATH) {
+    try {
+      privateKey = fs.readFileSync(env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf-8');
+    } catch (error) {
+      throw new Error(`Could not read GITHUB_APP_PRIVATE_KEY_PATH ${env.GITHUB_APP_PRIVATE_KEY_PATH}: ${error.message}`);
+    }
+  }
+  if (!privateKey) {
+    throw new Error('GITHUB_APP_ID is set but neither GITHUB_APP_PRIVATE_KEY nor GITHUB_APP_PRIVATE_KEY_PATH is');
+  }
+  registerSecret(privateKey);
+
+  return {
+    appId: env.GITHUB_APP_ID,
+    privateKey,
+    installationId: env.GITHUB_APP_INSTALLATION_ID || null
+  };
+}
+
+function hasCredentials(env = process.env) {
+  return Boolean(env.GITHUB_APP_ID || env.GITHUB_TOKEN);
+}
+
+function isAppAuth(env = process.env) {
+  return Boolean(env.GITHUB_APP_ID);
+}
+
+function describeAuth(env = process.env) {
+  if (isAppAuth(env)) {
+    return `GitHub App ${env.GITHUB_APP_ID}${env.GITHUB_APP_INSTALLATION_ID ? ` (installation ${env.GITHUB_APP_INSTALLATION_ID})` : ''}`;
+  }
+  return env.GITHUB_TOKEN ? 'personal access token (GITHUB_TOKEN)' : 'no credentials';
+}
+
+/**
+ * Octokit auth strategy for an app installation in `org`. Without an explicit
+ * installation ID the org's installation is looked up on first use. Tokens are
+ * cached and renewed by @octokit/auth-app before they expire.
+ */
+function createOrgInstallationAuth({ appId, privateKey, installationId, org, request, log }) {
+  const appAuth = createAppAuth({ appId, privateKey, request, log });
+  let installationAuth = null;
+
+  const getInstallationAuth = () => {
+    if (!installationAuth) {
+      installationAuth = (async () => {
+        let id = installationId;
+        if (!id) {
+          if (!org) {
+            throw new Error('GITHUB_APP_INSTALLATION_ID is required when no target organization is configured');
+          }
+          const { data } = await request('GET /orgs/{org}/installation', { org });
+          id = data.id;
+        }
+        return createAppAuth({ appId, privateKey, installationId: id, request, log });
+      })();
+      // Let a failed lookup be retried by the next request
+      installationAuth.catch(() => { installationAuth = null; });
+    }
+    return installationAuth;
+  };
+
+  const auth = async (options = { type: 'installation' }) => (await getInstallationAuth())(options);
+  auth.hook = async (req, route, parameters) => {
+    // App-level endpoints (including the installation lookup itself) use the app's JWT
+    const { url } = req.endpoint.merge(route, parameters);
+    if (url === '/orgs/{org}/installation' || url.startsWith('/app')) {
+      return appAuth.hook(req, route, parameters);
+    }
+    return (await getInstallationAuth()).hook(req, route, parameters);
+  };
+  return auth;
+}
+
+/**
+ * Build an Octokit client that authenticates as the configured GitHub App
+ * installation, or with GITHUB_TOKEN when no app is configured.
+ */
+function createOctokit({ org, ...octokitOptions } = {}) {
+  const app = readAppCredentials();
+  if (app) {
+    return new Octokit({
+      ...octokitOptions,
+      authStrategy: createOrgInstallationAuth,
+      auth: { ...app, org }
+    });
+  }
+  registerSecret(process.env.GITHUB_TOKEN);
+  return new Octokit({ ...octokitOptions, auth: process.env.GITHUB_TOKEN });
+}
+
+/**
+ * Token for git over HTTPS. For a GitHub App this is a fresh installation
+ * token, renewed when it is close to expiring.
+ */
+async function getGitToken(octokit) {
+  if (!isAppAuth()) {
+    return process.env.GITHUB_TOKEN;
+  }
+  let auth = await octokit.auth({ type: 'installation' });
+  if (Date.parse(auth.expiresAt) - Date.now() < GIT_TOKEN_MIN_LIFETIME_MS) {
+    auth = await octokit.auth({ type: 'installation', refresh: true });
+  }
+  registerSecret(auth.token);
+  return auth.token;
+}
+
+/**
+ * Environment for git child processes that authenticates to github.com through
+ * a credential helper reading the token from $WORKSHOP_GIT_TOKEN, so the token
+ * never appears in command lines, remote URLs or .git/config. Appends to any
+ * GIT_CONFIG_COUNT entries already in the environment.
+ */
+async function gitCredentialEnv(octokit) {
+  const token = await getGitToken(octokit);
+  const index = parseInt(process.env.GIT_CONFIG_COUNT || '0', 10);
+  return {
+    ...process.env,
+    GIT_TERMINAL_PROMPT: '0',
+    WORKSHOP_GIT_TOKEN: token,
+    GIT_CONFIG_COUNT: String(index + 2),
+    // An empty helper first clears any helpers from the user's git config
+    [`GIT_CONFIG_KEY_${index}`]: 'credential.https://github.com.helper',
+    [`GIT_CONFIG_VALUE_${index}`]: '',
+    [`GIT_CONFIG_KEY_${index + 1}`]: 'credential.https://github.com.helper',
+    [`GIT_CONFIG_VALUE_${index + 1}`]: '!f() { test "$1" = get && echo username=x-access-token && echo "password=$WORKSHOP_GIT_TOKEN"; }; f'
+  };
+}
+
+module.exports = {
+  createOctokit,
+  getGitToken,
+  gitCredentialEnv,
+  readAppCredentials,
+  hasCredentials,
+  isAppAuth,
+  describeAuth
+};
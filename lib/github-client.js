@@ -0,0 +1,137 @@
+const fs = require('fs');
+const https = require('https');
+const { createOctokit, getGitToken } = require('./github-auth');
+const { RequestScheduler } = require('./scheduler');
+
+/**
+ * Scheduler settings shared by every script, from the environment.
+ */
+function clientOptionsFromEnv(env = process.env) {
+  return {
+    writeConcurrency: parseInt(env.WRITE_CONCURRENCY || '3'), // Starting number of parallel content-creating calls (adapts)
+    writeIntervalMs: parseInt(env.WRITE_INTERVAL_MS || '1000'), // ms between the starts of two content-creating calls
+    rateLimitBuffer: parseInt(env.RATE_LIMIT_BUFFER || '100'), // Keep this many API calls in reserve
+    retries: parseInt(env.API_RETRIES || '3'), // Retries for server errors, network failures and timeouts
+    timeoutMs: parseInt(env.API_TIMEOUT_MS || '30000') // Per-attempt request timeout
+  };
+}
+
+/**
+ * Authenticated Octokit client whose every request goes through a
+ * RequestScheduler: rate-limit handling, retries with backoff, timeouts
+ * and request counting behave the same in every script.
+ * Returns { octokit, scheduler }.
+ */
+function createGitHubClient({ org, ...overrides } = {}) {
+  const octokit = createOctokit({ org });
+  const scheduler = new RequestScheduler({ ...clientOptionsFromEnv(), ...overrides }).install(octokit);
+  return { octokit, scheduler };
+}
+
+/**
+ * Where the release tarball is downloaded from when it is not present locally.
+ */
+function releaseSourceFromEnv(env = process.env) {
+  return {
+    owner: env.RELEASE_OWNER || 'cheeragpatel',
+    repo: env.RELEASE_REPO || 'demo_setup_scripts',
+    tag: env.RELEASE_TAG || 'latest'
+  };
+}
+
+/**
+ * The release.tar.gz asset of a GitHub release (`tag` or 'latest').
+ * Resolves to { release, asset }.
+ */
+async function findReleaseAsset(octokit, owner, repo, tag) {
+  let release;
+  if (tag === 'latest') {
+    const { data } = await octokit.repos.getLatestRelease({ owner, repo });
+    release = data;
+  } else {
+    const { data } = await octokit.repos.getReleaseByTag({ owner, repo, tag });
+    release = data;
+  }
+
+  const asset = release.assets.find(a => a.name === 'release.tar.gz');
+  if (!asset) {
+    throw new Error(`No release.tar.gz asset found in release ${release.tag_name}`);
+  }
+  return { release, asset };
+}
+
+/**
+ * Download release.tar.gz from a GitHub release (`tag` or 'latest') to `destPath`.
+ */
+async function downloadReleaseAsset(octokit, owner, repo, tag, destPath) {
+  const { release, asset } = await findReleaseAsset(octokit, owner, repo, tag);
+
+  console.log(`Downloading release.tar.gz from ${owner}/${repo} (${release.tag_name})...`);
+  console.log(`Asset size: ${(asset.size / 1024 / 1024).toFixed(1)} MB`);
+
+  const token = await getGitToken(octokit);
+
+  return new Promise((resolve, reject) => {
+    const file = fs.createWriteStream(destPath);
+    const reqOptions = {
+      headers: {
+        'User-Agent': 'demo-setup-scripts',
+        'Authorization': `token ${token}`,
+        'Accept': 'application/octet-stream'
+      }
+    };
+
+    function download(urlStr) {
+      const mod = urlStr.startsWith('https') ? https : require('http');
+      mod.get(urlStr, reqOptions, (response) => {
+        if (response.statusCode === 301 || response.statusCode === 302) {
+          download(response.headers.location);
+          return;
+        }
+        if (response.statusCode !== 200) {
+          file.close();
+          fs.unlink(destPath, () => {});
+          reject(new Error(`Download failed with status ${response.statusCode}`));
+          return;
+        }
+
+        let downloaded = 0;
+        const totalSize = parseInt(response.headers['content-length'] || asset.size, 10);
+
+        response.on('data', (chunk) => {
+          downloaded += chunk.length;
+          const pct = ((downloaded / totalSize) * 100).toFixed(0);
+          process.stderr.write(`\rDownloading... ${pct}% (${(downloaded / 1024 / 1024).toFixed(1)} MB)`);
+        });
+
+        response.pipe(file);
+
+        file.on('finish', () => {
+          file.close();
+          console.log(`\nDownload complete: ${destPath} (${(downloaded / 1024 / 1024).toFixed(1)} MB)`);
+          resolve();
+        });
+
+        file.on('error', (err) => {
+          fs.unlink(destPath, () => {});
+          reject(err);
+        });
+      }).on('error', (err) => {
+        fs.unlink(destPath, () => {});
+        reject(err);
+      });
+    }
+
+    download(`https://api.github.com/repos/${owner}/${repo}/releases/assets/${asset.id}`);
+  });
+}
+
+/**
+ * Print how many API calls a script made, for its summary.
+ */
+function logApiUsage(scheduler) {
+  const { total, read, write, retried } = scheduler.stats();
+  console.log(`🔢 API calls: ${total} (${read} read, ${write} write, ${retried} retried)`);
+}
+
+module.exports = { createGitHubClient, clientOptionsFromEnv, releaseSourceFromEnv, findReleaseAsset, downloadReleaseAsset, logApiUsage };
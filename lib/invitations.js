@@ -0,0 +1,76 @@
+// Org membership and repo collaborator invitations for attendees.
+// Internal repos are only visible to org members, so attendees who are not
+// members yet are invited to the org (optionally into a team) as well.
+
+// GitHub expires invitations that are not accepted within 7 days
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * An attendee's org membership: 'active', 'pending' (invited) or null.
+ */
+async function orgMembershipState(octokit, org, username) {
+  try {
+    const { data } = await octokit.rest.orgs.getMembershipForUser({ org, username });
+    return data.state;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Make sure `username` is (or is invited to become) a member of `org`, and
+ * of the team with `teamId`/`teamSlug` when one is given. Resolves to
+ * { status: 'member' | 'pending' | 'invited', invitationId }.
+ */
+async function inviteToOrg(octokit, { org, username, teamId = null, teamSlug = null }) {
+  const state = await orgMembershipState(octokit, org, username);
+  if (state === 'active') {
+    if (teamSlug) {
+      await octokit.rest.teams.addOrUpdateMembershipForUserInOrg({ org, team_slug: teamSlug, username, role: 'member' });
+    }
+    return { status: 'member' };
+  }
+  if (state === 'pending') {
+    return { status: 'pending' };
+  }
+
+  const { data: user } = await octokit.rest.users.getByUsername({ username });
+  const { data: invitation } = await octokit.rest.orgs.createInvitation({
+    org,
+    invitee_id: user.id,
+    role: 'direct_member',
+    ...(teamId ? { team_ids: [teamId] } : {})
+  });
+  return { status: 'invited', invitationId: invitation.id };
+}
+
+/**
+ * Give `username` access to a repo. Org members are added right away;
+ * anyone else gets an invitation they have to accept. Resolves to
+ * { status: 'added' | 'invited', invitationId }. A refusal (422, e.g. outside
+ * collaborators are not allowed) is thrown with `retryable: false`.
+ */
+async function addRepoCollaborator(octokit, { owner, repo, username, permission }) {
+  let response;
+  try {
+    response = await octokit.rest.repos.addCollaborator({ owner, repo, username, permission });
+  } catch (error) {
+    if (error.status === 422) {
+      const refused = new Error(`GitHub refused to add ${username} to ${repo}: ${error.message}`);
+      refused.status = 422;
+      refused.retryable = false;
+      throw refused;
+    }
+    throw error;
+  }
+  return response.status === 201
+    ? { status: 'invited', invitationId: response.data?.id }
+    : { status: 'added' };
+}
+
+function isExpired(invitation, now = Date.now()) {
+  return Boolean(invitation.expired) || now - new Date(invitation.created_at).getTime() > INVITATION_TTL_MS;
+}
+
+module.exports = { orgMembershipState, inviteToOrg, addRepoCollaborator, isExpired, INVITATION_TTL_MS };
@@ -0,0 +1,82 @@
+// Lifecycle rules from the workshop manifest, e.g.
+//   [{ "after": "1d", "action": "downgrade", "permission": "read" },
+//    { "after": "7d", "action": "archive" },
+//    { "after": "30d", "action": "delete", "backupDir": "./backups" }]
+// `after` is measured from each repo's creation time.
+
+const ACTIONS = ['downgrade', 'archive', 'delete'];
+
+// Collaborator permissions from least to most access
+const PERMISSION_LEVELS = ['read', 'triage', 'write', 'maintain', 'admin'];
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Milliseconds in a duration such as "90m", "12h", "7d" or "2w", or null if it is not one.
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([mhdw])$/.exec(String(value).trim());
+  return match ? parseFloat(match[1]) * UNITS[match[2]] : null;
+}
+
+/**
+ * Problems with a `lifecycle` setting, labelled with `key`.
+ */
+function lifecycleProblems(key, rules) {
+  if (!Array.isArray(rules)) {
+    return [`${key} must be an array of { "after": "7d", "action": "${ACTIONS.join('" | "')}" }`];
+  }
+  const problems = [];
+  rules.forEach((rule, index) => {
+    const label = `${key}[${index}]`;
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+      problems.push(`${label} must be an object`);
+      return;
+    }
+    if (parseDuration(rule.after) === null) {
+      problems.push(`${label}.after must be a duration such as "12h", "7d" or "2w"`);
+    }
+    if (!ACTIONS.includes(rule.action)) {
+      problems.push(`${label}.action must be one of: ${ACTIONS.join(', ')}`);
+    }
+    if (rule.action === 'downgrade' && !PERMISSION_LEVELS.includes(rule.permission)) {
+      problems.push(`${label}.permission must be one of: ${PERMISSION_LEVELS.join(', ')}`);
+    }
+    if (rule.backupDir !== undefined && (rule.action !== 'delete' || typeof rule.backupDir !== 'string')) {
+      problems.push(`${label}.backupDir is only allowed as a path on a delete rule`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * The rules due for a repo created at `createdAt`, oldest first. Once a
+ * delete is due nothing else is worth doing, so only that rule is returned.
+ */
+function dueRules(rules, createdAt, now = Date.now()) {
+  const age = now - new Date(createdAt).getTime();
+  const due = rules
+    .filter(rule => parseDuration(rule.after) <= age)
+    .sort((a, b) => parseDuration(a.after) - parseDuration(b.after));
+  const deletion = due.find(rule => rule.action === 'delete');
+  return deletion ? [deletion] : due;
+}
+
+// The names the teams and invitations APIs use for the same levels
+const API_PERMISSIONS = { pull: 'read', push: 'write' };
+
+/**
+ * True when `permission` (a collaborator role or a team permission such as
+ * 'push') grants more access than `limit`. Unknown (custom) roles never do.
+ */
+function exceedsPermission(permission, limit) {
+  const level = PERMISSION_LEVELS.indexOf(API_PERMISSIONS[permission] || permission);
+  return level !== -1 && level > PERMISSION_LEVELS.indexOf(limit);
+}
+
+function describeRule(rule) {
+  const detail = rule.action === 'downgrade' ? ` to ${rule.permission}` : '';
+  return `${rule.action}${detail} after ${rule.after}`;
+}
+
+module.exports = { parseDuration, lifecycleProblems, dueRules, exceedsPermission, describeRule, PERMISSION_LEVELS };
@@ -0,0 +1,85 @@
+const fs = require('fs');
+
+// Exact secret values seen at runtime (tokens, private keys)
+const secrets = new Set();
+
+// Credentials that should never be printed even if they were not registered
+const SECRET_PATTERNS = [
+  [/\bgithub_pat_[A-Za-z0-9_]{20,}/g, '***'],
+  [/\bgh[pousr]_[A-Za-z0-9]{20,}/g, '***'],
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, '***'],
+  [/(https?:\/\/)[^\s/@]+@/g, '$1***@'],
+  [/(authorization:\s*(?:token|bearer)\s+)[^\s'"]+/gi, '$1***']
+];
+
+/**
+ * Remember a secret so every later redact() call scrubs it.
+ */
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= 8) {
+    secrets.add(value);
+    // Keys pasted into .env with "\n" escapes appear in either form
+    if (value.includes('\n')) {
+      secrets.add(value.replace(/\n/g, '\\n'));
+    }
+  }
+}
+
+function redact(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  let result = text;
+  for (const secret of secrets) {
+    result = result.split(secret).join('***');
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+/**
+ * Copy of `value` with every string (and Error message) redacted.
+ */
+function redactDeep(value) {
+  if (typeof value === 'string') {
+    return redact(value);
+  }
+  if (value instanceof Error) {
+    return redact(value.message);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactDeep);
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, entry] of Object.entries(value)) {
+      copy[key] = redactDeep(entry);
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Write a results file with secrets scrubbed.
+ */
+function writeRedactedJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(redactDeep(data), null, 2));
+}
+
+/**
+ * Scrub secrets from everything printed through console.log/warn/error.
+ */
+function installConsoleRedaction() {
+  for (const method of ['log', 'warn', 'error']) {
+    const original = console[method];
+    console[method] = (...args) => original(...args.map(arg => {
+      if (arg instanceof Error) return redact(arg.stack || arg.message);
+      return typeof arg === 'string' ? redact(arg) : arg;
+    }));
+  }
+}
+
+module.exports = { registerSecret, redact, redactDeep, writeRedactedJson, installConsoleRedaction };
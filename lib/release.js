@@ -0,0 +1,127 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const tar = require('tar');
+const { repoSettingsProblems } = require('./repo-settings');
+
+// Where the demo's metadata lives inside the release package
+const METADATA_PATH = path.join('.octodemo', 'metadata.json');
+
+/**
+ * Extract a release tarball into `extractDir`, skipping the macOS AppleDouble
+ * resource fork files (._*) baked into some tarballs.
+ */
+async function extractReleaseTarball(tarball, extractDir) {
+  await fsPromises.mkdir(extractDir, { recursive: true });
+  await tar.extract({
+    file: tarball,
+    cwd: extractDir,
+    filter: (p) => !p.replace(/^\.[\\/]/, '').split(/[\\/]/).filter(Boolean).some(part => part.startsWith('._'))
+  });
+}
+
+/**
+ * Problems with the shape of `.octodemo/metadata.json`: `demoContents` must
+ * map each demo repo to { mainBranch, additionalBranches?, templatedFiles?, repoSettings? }.
+ */
+function metadataProblems(metadata) {
+  if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return ['metadata.json must be a JSON object'];
+  }
+  const { demoContents } = metadata;
+  if (demoContents === null || typeof demoContents !== 'object' || Array.isArray(demoContents)) {
+    return ['metadata.json must have a "demoContents" object'];
+  }
+  if (Object.keys(demoContents).length === 0) {
+    return ['metadata.json lists no repositories under "demoContents"'];
+  }
+
+  const problems = [];
+  for (const [repoName, repoConfig] of Object.entries(demoContents)) {
+    const label = `demoContents.${repoName}`;
+    if (repoConfig === null || typeof repoConfig !== 'object' || Array.isArray(repoConfig)) {
+      problems.push(`${label} must be an object`);
+      continue;
+    }
+    if (repoConfig.mainBranch !== undefined && typeof repoConfig.mainBranch !== 'string') {
+      problems.push(`${label}.mainBranch must be a string`);
+    }
+    for (const key of ['additionalBranches', 'templatedFiles']) {
+      const value = repoConfig[key];
+      if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+        problems.push(`${label}.${key} must be an array of strings`);
+      }
+    }
+    if (repoConfig.repoSettings !== undefined) {
+      problems.push(...repoSettingsProblems(`${label}.repoSettings`, repoConfig.repoSettings));
+    }
+  }
+  return problems;
+}
+
+/**
+ * Read and check the metadata of an extracted release.
+ */
+async function readReleaseMetadata(extractDir) {
+  const metadataPath = path.join(extractDir, METADATA_PATH);
+  if (!fs.existsSync(metadataPath)) {
+    throw new Error('metadata.json not found in release package');
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(await fsPromises.readFile(metadataPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`metadata.json in the release package is not valid JSON: ${error.message}`);
+  }
+  const problems = metadataProblems(metadata);
+  if (problems.length > 0) {
+    throw new Error(`Invalid metadata.json in release package:\n  - ${problems.join('\n  - ')}`);
+  }
+  return metadata;
+}
+
+/**
+ * Work out which branch directories a demo repo has in the extracted release.
+ * Returns the main branch directory plus every branch as { dir, name }, where
+ * the main branch is named 'main' and other branches have the main branch
+ * prefix stripped (e.g. "nodejs-feature-add-cart-page" -> "feature-add-cart-page").
+ */
+async function branchLayout(extractDir, sourceRepoName, repoConfig) {
+  const sourcePath = path.join(extractDir, repoConfig.contentType || 'demo-contents', sourceRepoName);
+
+  try {
+    await fsPromises.access(sourcePath);
+  } catch (error) {
+    throw new Error(`Source path not found: ${sourcePath}`);
+  }
+
+  // Collect all directories that represent branches
+  const branchDirs = (await fsPromises.readdir(sourcePath, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+
+  if (branchDirs.length === 0) {
+    throw new Error(`No branch directories found in ${sourcePath}`);
+  }
+
+  // The mainBranch from metadata, else sourceRepoName or 'main', else the first directory
+  const mainBranchDir = branchDirs.find(b => b === repoConfig.mainBranch) ||
+    branchDirs.find(b => b === sourceRepoName || b === 'main') ||
+    branchDirs[0];
+
+  const branches = [{ dir: mainBranchDir, name: 'main' }];
+  for (const branchDir of branchDirs) {
+    if (branchDir === mainBranchDir) continue;
+
+    // Strip the main branch prefix if present
+    const branchName = branchDir.startsWith(mainBranchDir + '-')
+      ? branchDir.substring(mainBranchDir.length + 1)
+      : branchDir;
+    branches.push({ dir: branchDir, name: branchName });
+  }
+
+  return { sourcePath, mainBranchDir, branches };
+}
+
+module.exports = { extractReleaseTarball, readReleaseMetadata, metadataProblems, branchLayout, METADATA_PATH };
@@ -0,0 +1,153 @@
+const fsPromises = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { git } = require('./git');
+const { gitCredentialEnv } = require('./github-auth');
+
+// Files of one repo backup, inside <backupDir>/<repo>-<timestamp>/
+const FILES = {
+  repository: 'repository.json',
+  bundle: 'repository.bundle',
+  issues: 'issues.json',
+  pulls: 'pulls.json'
+};
+
+function issueNumberFromUrl(url) {
+  return parseInt(url.slice(url.lastIndexOf('/') + 1), 10);
+}
+
+function groupByNumber(comments, urlField) {
+  const byNumber = new Map();
+  for (const comment of comments) {
+    const number = issueNumberFromUrl(comment[urlField]);
+    if (!byNumber.has(number)) byNumber.set(number, []);
+    byNumber.get(number).push({
+      user: comment.user?.login,
+      body: comment.body,
+      createdAt: comment.created_at,
+      ...(comment.path ? { path: comment.path, line: comment.line ?? comment.original_line } : {})
+    });
+  }
+  return byNumber;
+}
+
+async function writeJson(file, data) {
+  await fsPromises.writeFile(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Save everything needed to recreate `owner/repo` to a new
+ * `<backupDir>/<repo>-<timestamp>/`: a git bundle of all branches and tags,
+ * the repo settings, topics and collaborators, and every issue and pull
+ * request with its comments. Earlier backups are never overwritten.
+ * Resolves to the backup directory.
+ */
+async function backupRepository(octokit, { owner, repo, backupDir }) {
+  const timestamp = new Date().toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '');
+  const dir = path.join(backupDir, `${repo}-${timestamp}`);
+  await fsPromises.mkdir(backupDir, { recursive: true });
+  try {
+    await fsPromises.mkdir(dir);
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new Error(`Backup ${dir} already exists; not overwriting it`);
+    }
+    throw error;
+  }
+
+  const { data: info } = await octokit.rest.repos.get({ owner, repo });
+  const collaborators = await octokit.paginate(octokit.rest.repos.listCollaborators, { owner, repo, affiliation: 'direct', per_page: 100 });
+  const issues = await octokit.paginate(octokit.rest.issues.listForRepo, { owner, repo, state: 'all', per_page: 100 });
+  const pulls = await octokit.paginate(octokit.rest.pulls.list, { owner, repo, state: 'all', per_page: 100 });
+  const comments = groupByNumber(
+    await octokit.paginate(octokit.rest.issues.listCommentsForRepo, { owner, repo, per_page: 100 }), 'issue_url');
+  const reviewComments = groupByNumber(
+    await octokit.paginate(octokit.rest.pulls.listReviewCommentsForRepo, { owner, repo, per_page: 100 }), 'pull_request_url');
+
+  // A bare clone has branches and tags only, never GitHub's refs/pull/*
+  const bundled = await bundleRepository(octokit, `https://github.com/${owner}/${repo}.git`, path.join(dir, FILES.bundle));
+
+  await writeJson(path.join(dir, FILES.repository), {
+    owner,
+    name: info.name,
+    description: info.description,
+    visibility: info.visibility,
+    topics: info.topics || [],
+    defaultBranch: info.default_branch,
+    hasIssues: info.has_issues,
+    hasProjects: info.has_projects,
+    hasWiki: info.has_wiki,
+    createdAt: info.created_at,
+    backedUpAt: new Date().toISOString(),
+    bundle: bundled,
+    collaborators: collaborators.map(user => ({ login: user.login, permission: user.role_name }))
+  });
+  await writeJson(path.join(dir, FILES.issues), issues
+    .filter(issue => !issue.pull_request)
+    .map(issue => ({
+      number: issue.number,
+      title: issue.title,
+      body: issue.body,
+      state: issue.state,
+      labels: issue.labels.map(label => (typeof label === 'string' ? label : label.name)),
+      user: issue.user?.login,
+      createdAt: issue.created_at,
+      comments: comments.get(issue.number) || []
+    })));
+  await writeJson(path.join(dir, FILES.pulls), pulls.map(pull => ({
+    number: pull.number,
+    title: pull.title,
+    body: pull.body,
+    state: pull.state,
+    merged: Boolean(pull.merged_at),
+    head: pull.head.ref,
+    base: pull.base.ref,
+    user: pull.user?.login,
+    createdAt: pull.created_at,
+    comments: comments.get(pull.number) || [],
+    reviewComments: reviewComments.get(pull.number) || []
+  })));
+
+  return dir;
+}
+
+/**
+ * Write a git bundle of every branch and tag of `url` to `bundleFile`.
+ * Resolves to false for an empty repo, which has nothing to bundle.
+ */
+async function bundleRepository(octokit, url, bundleFile) {
+  const cloneDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'workshop-backup-'));
+  try {
+    await git(['clone', '--quiet', '--bare', url, cloneDir], { env: await gitCredentialEnv(octokit) });
+    if (!await git(['for-each-ref', '--count=1'], { cwd: cloneDir })) {
+      return false;
+    }
+    await git(['bundle', 'create', '--quiet', path.resolve(bundleFile), '--all'], { cwd: cloneDir });
+    return true;
+  } finally {
+    await fsPromises.rm(cloneDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read a backup written by backupRepository.
+ * Resolves to { dir, repository, bundleFile, issues, pulls }.
+ */
+async function loadBackup(dir) {
+  const read = async name => JSON.parse(await fsPromises.readFile(path.join(dir, name), 'utf-8'));
+  let repository;
+  try {
+    repository = await read(FILES.repository);
+  } catch (error) {
+    throw new Error(`${dir} is not a repository backup (${FILES.repository}: ${error.message})`);
+  }
+  return {
+    dir,
+    repository,
+    bundleFile: repository.bundle ? path.join(dir, FILES.bundle) : null,
+    issues: await read(FILES.issues),
+    pulls: await read(FILES.pulls)
+  };
+}
+
+module.exports = { backupRepository, loadBackup };
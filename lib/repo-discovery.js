@@ -0,0 +1,80 @@
+const fs = require('fs');
+const { workshopTopic, hasWorkshopTopic } = require('./workshop-tag');
+const { createRepoNaming } = require('./repo-naming');
+
+/**
+ * The workshop's repos in `org`. Every repo is listed (all pages) and kept
+ * when it carries the workshop topic or, with `matchSuffix`, when its name
+ * is one of the groups' names under the naming scheme (`naming`, default
+ * "{{source}}-{{username}}"). Each repo is labelled with the group and source
+ * repo its name was made from, if any.
+ * Resolves to { listed, repos: [{ group, sourceRepo, repoName, repoUrl, template, archived, createdAt, updatedAt, matchedBy }] }.
+ */
+async function findWorkshopRepos(octokit, { org, workshopId, groups = [], matchSuffix = false, naming = createRepoNaming({ workshopId }) }) {
+  const allRepos = await octokit.paginate(octokit.rest.repos.listForOrg, {
+    org,
+    type: 'all',
+    per_page: 100
+  });
+
+  const repos = [];
+  for (const repo of allRepos) {
+    const named = naming.matchRepo(repo.name, groups);
+    const matches = matchSuffix ? named !== null : hasWorkshopTopic(repo, workshopId);
+    if (!matches) continue;
+
+    repos.push({
+      group: named?.group || null,
+      sourceRepo: named?.sourceRepo || null,
+      repoName: repo.name,
+      repoUrl: repo.html_url,
+      template: repo.is_template,
+      archived: repo.archived,
+      createdAt: repo.created_at,
+      updatedAt: repo.updated_at,
+      matchedBy: [matchSuffix ? `name ${naming.template} for ${named.group.slug}` : `topic ${workshopTopic(workshopId)}`]
+    });
+  }
+  return { listed: allRepos.length, repos };
+}
+
+/**
+ * The repos (and template repositories) a setup run created, from its
+ * setup-results-*.json, with the creation time setup recorded. Repos that no
+ * longer exist are returned in `missing`.
+ * Resolves to { workshopId, total, repos, missing }.
+ */
+async function findReposFromResults(octokit, { org, resultsFile }) {
+  const results = JSON.parse(fs.readFileSync(resultsFile, 'utf-8'));
+  if (results.targetOrg && results.targetOrg !== org) {
+    throw new Error(`${resultsFile} was written for org ${results.targetOrg}, but TARGET_ORG is ${org}`);
+  }
+  const created = [
+    ...(results.success || []).map(entry => ({ repoName: entry.repoName, group: entry.group, sourceRepo: entry.sourceRepo || null, createdAt: entry.createdAt })),
+    ...(results.templates || []).map(entry => ({ repoName: entry.repoName, group: null, template: true }))
+  ];
+
+  const repos = [];
+  const missing = [];
+  await Promise.all(created.map(async entry => {
+    try {
+      const { data: repo } = await octokit.rest.repos.get({ owner: org, repo: entry.repoName });
+      repos.push({
+        ...entry,
+        repoUrl: repo.html_url,
+        archived: repo.archived,
+        createdAt: entry.createdAt || repo.created_at, // Setup records when it created the repo
+        updatedAt: repo.updated_at,
+        matchedBy: [`results file ${resultsFile}`]
+      });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      missing.push(entry.repoName);
+    }
+  }));
+  repos.sort((a, b) => a.repoName.localeCompare(b.repoName));
+
+  return { workshopId: results.workshopId || null, total: created.length, repos, missing };
+}
+
+module.exports = { findWorkshopRepos, findReposFromResults };
@@ -0,0 +1,137 @@
+const { getArgValue } = require('./cli-args');
+const { createRepoNaming } = require('./repo-naming');
+
+/**
+ * Values of a flag given as a comma-separated list (`--attendee alice,bob`).
+ */
+function listArg(args, name) {
+  const value = getArgValue(args, name);
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Regular expression for a shell-style glob (`*` any run of characters, `?` one character).
+ */
+function globToRegExp(glob) {
+  const pattern = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+function parseDate(flag, value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${flag} expects a date such as 2026-05-14, got "${value}"`);
+  }
+  return date;
+}
+
+/**
+ * Repo filters from the command line:
+ *
+ *   --attendee <login,...>       repos owned by these attendees (solo or in a team)
+ *   --source-repo <name,...>     repos created from these demo repos (<name>-*)
+ *   --created-before <date>      repos created before this date
+ *   --created-after <date>       repos created after this date
+ *   --name-glob <glob,...>       repo names matching one of these globs
+ *   --exclude <name|glob,...>    never select these repos
+ *
+ * Every given filter must match; a list matches when any of its items does.
+ */
+function parseRepoFilters(args) {
+  return {
+    attendees: listArg(args, '--attendee').map(login => login.toLowerCase()),
+    sourceRepos: listArg(args, '--source-repo'),
+    createdBefore: parseDate('--created-before', getArgValue(args, '--created-before')),
+    createdAfter: parseDate('--created-after', getArgValue(args, '--created-after')),
+    nameGlobs: listArg(args, '--name-glob'),
+    exclude: listArg(args, '--exclude')
+  };
+}
+
+function hasRepoFilters(filters) {
+  return Object.values(filters).some(value => (Array.isArray(value) ? value.length > 0 : value !== null));
+}
+
+/**
+ * Human-readable list of the active filters, for logs.
+ */
+function describeRepoFilters(filters) {
+  const parts = [];
+  if (filters.attendees.length) parts.push(`attendee ${filters.attendees.join(', ')}`);
+  if (filters.sourceRepos.length) parts.push(`source repo ${filters.sourceRepos.join(', ')}`);
+  if (filters.createdBefore) parts.push(`created before ${filters.createdBefore.toISOString()}`);
+  if (filters.createdAfter) parts.push(`created after ${filters.createdAfter.toISOString()}`);
+  if (filters.nameGlobs.length) parts.push(`name ${filters.nameGlobs.join(', ')}`);
+  if (filters.exclude.length) parts.push(`excluding ${filters.exclude.join(', ')}`);
+  return parts.join('; ');
+}
+
+/**
+ * The login in `attendees` that owns `repo`: a member of `repo.group` when
+ * the group is known, else the attendee whose repo it is by name under
+ * `naming`. The name is matched against every group in `groups` too, so
+ * octocatSupply-jim-bob belongs to jim-bob and not to bob.
+ */
+function matchAttendee(repo, attendees, { naming, groups }) {
+  if (repo.group) {
+    const members = (repo.group.members || []).map(member => member.githubUsername.toLowerCase());
+    return attendees.find(attendee => members.includes(attendee)) || null;
+  }
+
+  const known = new Set(groups.flatMap(group => group.members.map(member => member.githubUsername.toLowerCase())));
+  const candidates = [
+    ...groups,
+    ...attendees
+      .filter(attendee => !known.has(attendee))
+      .map(attendee => ({ slug: attendee, team: null, members: [{ githubUsername: attendee, fields: {} }] }))
+  ];
+  const named = naming.matchRepo(repo.repoName, candidates);
+  return named ? matchAttendee({ group: named.group }, attendees, { naming, groups }) : null;
+}
+
+/**
+ * Why `repo` ({ repoName, group, sourceRepo, createdAt }) is selected by
+ * `filters`: the list of filters it matched, or null when any filter rejects
+ * it. Owners and source repos are taken from `repo.group` and
+ * `repo.sourceRepo`. When they are unknown, the owner is found from the repo
+ * name under `naming` and `groups` (every attendee's and team's group), and
+ * the source repo from the name's prefix.
+ */
+function matchRepoFilters(repo, filters, { naming = createRepoNaming(), groups = [] } = {}) {
+  const name = repo.repoName;
+  if (filters.exclude.some(item => globToRegExp(item).test(name))) {
+    return null;
+  }
+
+  const matched = [];
+  if (filters.attendees.length) {
+    const login = matchAttendee(repo, filters.attendees, { naming, groups });
+    if (!login) return null;
+    matched.push(`attendee ${login}`);
+  }
+  if (filters.sourceRepos.length) {
+    const source = filters.sourceRepos.find(sourceRepo => repo.sourceRepo
+      ? repo.sourceRepo.toLowerCase() === sourceRepo.toLowerCase()
+      : name.toLowerCase().startsWith(`${sourceRepo.toLowerCase()}-`));
+    if (!source) return null;
+    matched.push(`source repo ${source}`);
+  }
+  const created = repo.createdAt ? new Date(repo.createdAt) : null;
+  if (filters.createdBefore) {
+    if (!created || created >= filters.createdBefore) return null;
+    matched.push(`created before ${filters.createdBefore.toISOString().split('T')[0]}`);
+  }
+  if (filters.createdAfter) {
+    if (!created || created <= filters.createdAfter) return null;
+    matched.push(`created after ${filters.createdAfter.toISOString().split('T')[0]}`);
+  }
+  if (filters.nameGlobs.length) {
+    const glob = filters.nameGlobs.find(item => globToRegExp(item).test(name));
+    if (!glob) return null;
+    matched.push(`name ${glob}`);
+  }
+  return matched;
+}
+
+module.exports = { parseRepoFilters, hasRepoFilters, describeRepoFilters, matchRepoFilters, globToRegExp };
@@ -0,0 +1,194 @@
+// Repo names for each attendee's (or team's) copy of the demo repos, from the
+// manifest's `repoNameTemplate`, e.g. "{{workshop}}-{{source}}-{{username}}".
+// Setup, verify, cleanup and the other scripts all name and recognize repos
+// through here, so they agree on the scheme.
+
+const { hasWorkshopTopic } = require('./workshop-tag');
+
+// Reproduces the names setup used before templates existed
+const DEFAULT_TEMPLATE = '{{source}}-{{username}}';
+
+// GitHub's limit for repository names
+const MAX_LENGTH = 100;
+
+const VARIABLE = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+// {{event}} is another name for {{workshop}}
+const VARIABLES = ['source', 'username', 'team', 'workshop', 'event', 'backend'];
+const ALLOWED = /^[A-Za-z0-9._-]*$/;
+
+/**
+ * Replace every run of characters GitHub does not allow in repo names with
+ * '-' and trim dashes from both ends.
+ */
+function sanitize(value) {
+  return String(value ?? '').replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a template into literal text and variable parts.
+ */
+function parseTemplate(template) {
+  const parts = [];
+  let last = 0;
+  for (const match of template.matchAll(VARIABLE)) {
+    if (match.index > last) parts.push({ literal: template.slice(last, match.index) });
+    parts.push({ variable: match[1] });
+    last = match.index + match[0].length;
+  }
+  if (last < template.length) parts.push({ literal: template.slice(last) });
+  return parts;
+}
+
+/**
+ * Problems with a naming template: unknown variables, characters GitHub does
+ * not allow in the literal text, or no {{source}} to tell the demo repos apart.
+ */
+function repoNameTemplateProblems(key, template) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    return [`${key} must be a non-empty string`];
+  }
+  const problems = [];
+  const parts = parseTemplate(template);
+  for (const part of parts) {
+    if (part.variable && !VARIABLES.includes(part.variable) && !/^attendee\.[\w-]+$/.test(part.variable)) {
+      problems.push(`${key} uses unknown variable {{${part.variable}}} (use ${VARIABLES.map(name => `{{${name}}}`).join(', ')} or {{attendee.<column>}})`);
+    }
+    if (part.literal !== undefined && !ALLOWED.test(part.literal)) {
+      problems.push(`${key} has characters GitHub does not allow in repo names in "${part.literal}" (use letters, digits, '.', '_' and '-')`);
+    }
+  }
+  if (!parts.some(part => part.variable === 'source')) {
+    problems.push(`${key} must include {{source}}, or every demo repo gets the same name`);
+  }
+  return problems;
+}
+
+/**
+ * The naming scheme of one workshop. `template` defaults to
+ * "{{source}}-{{username}}"; `workshopId` fills {{workshop}} (or {{event}})
+ * and `defaultBackend` fills {{backend}} for groups without one.
+ */
+function createRepoNaming({ template = DEFAULT_TEMPLATE, workshopId = 'default', defaultBackend = 'nodejs' } = {}) {
+  const parts = parseTemplate(template || DEFAULT_TEMPLATE);
+
+  // Every variable but {{source}}, sanitized, for one group
+  function groupValues(group) {
+    const fields = group.members[0]?.fields || {};
+    const values = {
+      username: group.slug,
+      team: group.team || '',
+      workshop: workshopId,
+      event: workshopId,
+      backend: group.backend || defaultBackend
+    };
+    for (const part of parts) {
+      if (part.variable?.startsWith('attendee.')) {
+        values[part.variable] = fields[part.variable.slice('attendee.'.length)];
+      }
+    }
+    return Object.fromEntries(Object.entries(values).map(([name, value]) => [name, sanitize(value)]));
+  }
+
+  /**
+   * Repo name for one group's copy of a source repo. Throws when a variable
+   * is empty for this group or the name is longer than GitHub allows.
+   */
+  function nameFor(sourceRepoName, group) {
+    const values = { ...groupValues(group), source: sanitize(sourceRepoName) };
+    const name = parts.map(part => {
+      if (part.literal !== undefined) return part.literal;
+      if (!values[part.variable]) {
+        throw new Error(`Repo name template ${template} has no value for {{${part.variable}}} for ${group.slug}`);
+      }
+      return values[part.variable];
+    }).join('');
+    if (name.length > MAX_LENGTH) {
+      throw new Error(`Repo name ${name} is ${name.length} characters long; GitHub allows at most ${MAX_LENGTH}`);
+    }
+    return name;
+  }
+
+  /**
+   * Match a repo name against the names of `groups`. Resolves to the group
+   * and the source repo the name was made from, or null. When several groups
+   * match (e.g. "bob" and "jim-bob"), the most specific one wins.
+   */
+  function matchRepo(repoName, groups) {
+    let best = null;
+    for (const group of groups) {
+      const values = groupValues(group);
+      if (parts.some(part => part.variable && part.variable !== 'source' && !values[part.variable])) continue;
+
+      const pattern = parts.map(part => {
+        if (part.literal !== undefined) return escapeRegExp(part.literal);
+        return part.variable === 'source' ? '([A-Za-z0-9._-]+?)' : escapeRegExp(values[part.variable]);
+      }).join('');
+      const match = repoName.match(new RegExp(`^${pattern}$`, 'i'));
+      if (match && (!best || match[1].length < best.sourceRepo.length)) {
+        best = { group, sourceRepo: match[1] };
+      }
+    }
+    return best;
+  }
+
+  return { template: template || DEFAULT_TEMPLATE, nameFor, matchRepo };
+}
+
+/**
+ * Name every group's copy of every source repo, and collect what would stop
+ * setup before it creates anything: names that cannot be built, two copies
+ * with the same name (GitHub names are case-insensitive), and names already
+ * taken in the org by a repo without this workshop's topic (from
+ * `existingRepos`, the org's repo listing, when given).
+ * `reserved` are other names setup creates, e.g. template repositories.
+ * Resolves to { names: [{ repoName, sourceRepo, group }], problems }.
+ */
+function planRepoNames(naming, { sourceRepoNames, groups, reserved = [], existingRepos = null, workshopId }) {
+  const names = [];
+  const problems = [];
+  const taken = new Map(reserved.map(name => [name.toLowerCase(), `${name} (template repository)`]));
+
+  for (const group of groups) {
+    for (const sourceRepo of sourceRepoNames) {
+      let repoName;
+      try {
+        repoName = naming.nameFor(sourceRepo, group);
+      } catch (error) {
+        problems.push(error.message);
+        continue;
+      }
+      const key = repoName.toLowerCase();
+      if (taken.has(key)) {
+        problems.push(`${repoName} (${sourceRepo} for ${group.slug}) has the same name as ${taken.get(key)}`);
+        continue;
+      }
+      taken.set(key, `${repoName} (${sourceRepo} for ${group.slug})`);
+      names.push({ repoName, sourceRepo, group });
+    }
+  }
+
+  if (existingRepos) {
+    const existing = new Map(existingRepos.map(repo => [repo.name.toLowerCase(), repo]));
+    for (const { repoName } of names) {
+      const repo = existing.get(repoName.toLowerCase());
+      if (repo && !hasWorkshopTopic(repo, workshopId)) {
+        problems.push(`${repo.name} already exists in the org and does not belong to workshop ${workshopId}`);
+      }
+    }
+  }
+
+  return { names, problems: [...new Set(problems)] };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  MAX_LENGTH,
+  sanitize,
+  repoNameTemplateProblems,
+  createRepoNaming,
+  planRepoNames
+};
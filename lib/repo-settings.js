@@ -0,0 +1,143 @@
+// Settings of the repos setup creates: visibility, description, homepage,
+// topics and org custom properties. A release sets them per demo repo in
+// metadata.json (`demoContents.<repo>.repoSettings`); the manifest's
+// `repoSettings` overrides them for every demo repo, and its `repos` entries
+// for one demo repo.
+
+const { Liquid } = require('liquidjs');
+
+const VISIBILITIES = ['private', 'internal', 'public'];
+
+const DEFAULT_REPO_SETTINGS = {
+  visibility: 'internal',
+  description: 'Demo repository based on <$ source_repository $>',
+  homepage: '',
+  topics: [],
+  customProperties: {}
+};
+
+// GitHub allows 20 topics per repo, and setup always adds the workshop topic
+const MAX_TOPICS = 19;
+const TOPIC = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Problems with a repoSettings object. `perRepo` allows the manifest's
+ * `repos` entries of per-demo overrides.
+ */
+function repoSettingsProblems(key, value, { perRepo = false } = {}) {
+  if (!isPlainObject(value)) {
+    return [`${key} must be an object`];
+  }
+  const problems = [];
+  for (const [name, setting] of Object.entries(value)) {
+    const label = `${key}.${name}`;
+    switch (name) {
+      case 'visibility':
+        if (!VISIBILITIES.includes(setting)) {
+          problems.push(`${label} must be one of: ${VISIBILITIES.join(', ')}`);
+        }
+        break;
+      case 'description':
+      case 'homepage':
+        if (typeof setting !== 'string') {
+          problems.push(`${label} must be a string`);
+        }
+        break;
+      case 'topics':
+        if (!Array.isArray(setting) || setting.some(topic => typeof topic !== 'string' || !TOPIC.test(topic))) {
+          problems.push(`${label} must be an array of topics (lowercase letters, digits and hyphens, at most 50 characters)`);
+        } else if (setting.length > MAX_TOPICS) {
+          problems.push(`${label} has ${setting.length} topics; GitHub allows ${MAX_TOPICS} besides the workshop topic`);
+        }
+        break;
+      case 'customProperties':
+        if (!isPlainObject(setting) || Object.values(setting).some(v =>
+          typeof v !== 'string' && !(Array.isArray(v) && v.every(item => typeof item === 'string')))) {
+          problems.push(`${label} must be an object of property name -> string (or array of strings for multi-select properties)`);
+        }
+        break;
+      case 'repos':
+        if (!perRepo) {
+          problems.push(`${label} is only allowed in the workshop manifest`);
+        } else if (!isPlainObject(setting)) {
+          problems.push(`${label} must be an object keyed by demo repo name`);
+        } else {
+          for (const [repoName, overrides] of Object.entries(setting)) {
+            problems.push(...repoSettingsProblems(`${label}.${repoName}`, overrides));
+          }
+        }
+        break;
+      default:
+        problems.push(`${label} is not a known repo setting (expected one of: ${Object.keys(DEFAULT_REPO_SETTINGS).join(', ')}${perRepo ? ', repos' : ''})`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * The settings of one demo repo: built-in defaults, then the release's
+ * `metadataSettings`, then the manifest's `workshopSettings` and its entry
+ * for `sourceRepoName` under `repos`. Each level replaces a setting as a whole.
+ */
+function resolveRepoSettings(sourceRepoName, metadataSettings = {}, workshopSettings = {}) {
+  const { repos = {}, ...shared } = workshopSettings || {};
+  return {
+    ...DEFAULT_REPO_SETTINGS,
+    ...(metadataSettings || {}),
+    ...shared,
+    ...(sourceRepoName ? repos[sourceRepoName] : {})
+  };
+}
+
+/**
+ * Render the description and homepage of `settings` with the Liquid
+ * delimiters of the release's templated files, e.g. <$ attendee.display_name $>.
+ */
+async function renderRepoSettings(settings, context) {
+  const engine = new Liquid({
+    tagDelimiterLeft: '<%',
+    tagDelimiterRight: '%>',
+    outputDelimiterLeft: '<$',
+    outputDelimiterRight: '$>'
+  });
+  const render = async template => template
+    ? (await engine.parseAndRender(template, context)).replace(/\s+/g, ' ').trim()
+    : '';
+  return {
+    ...settings,
+    description: await render(settings.description),
+    homepage: await render(settings.homepage)
+  };
+}
+
+/**
+ * Whether `org` (as returned by orgs.get) lets this token create repos with
+ * `visibility`. Plan and member settings are only returned to org owners;
+ * `isOwner` says whether the member settings bind the token.
+ * Resolves to { supported: true | false | null (could not tell), reason }.
+ */
+function visibilitySupport(org, visibility, { isOwner = false } = {}) {
+  if (visibility === 'internal' && org.plan?.name && org.plan.name !== 'enterprise') {
+    return { supported: false, reason: `${org.login} is on the ${org.plan.name} plan; internal repositories need an organization owned by an enterprise` };
+  }
+  if (org[`members_can_create_${visibility}_repositories`] === false && !isOwner) {
+    return { supported: false, reason: `Members of ${org.login} may not create ${visibility} repositories, and you are not an org owner` };
+  }
+  if (!org.plan) {
+    return { supported: null, reason: `Could not check whether ${org.login} allows ${visibility} repositories (needs an org owner)` };
+  }
+  return { supported: true, reason: `${org.login} allows ${visibility} repositories` };
+}
+
+module.exports = {
+  VISIBILITIES,
+  DEFAULT_REPO_SETTINGS,
+  repoSettingsProblems,
+  resolveRepoSettings,
+  renderRepoSettings,
+  visibilitySupport
+};
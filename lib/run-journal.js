@@ -0,0 +1,144 @@
+const fs = require('fs');
+
+// Steps recorded for each attendee repo, in the order setup performs them
+const STEPS = {
+  CREATED: 'created',
+  TAGGED: 'tagged',
+  PUSHED: 'pushed',
+  PULL_REQUESTS: 'pull-requests-opened',
+  COLLABORATOR: 'collaborator-added',
+  TEAM_ACCESS: 'team-access-granted',
+  TEAM_CREATED: 'team-created', // Recorded under the team's name rather than a repo's
+  COMPLETED: 'completed',
+  ISSUE: 'issue-created',
+  ISSUES: 'issues-created'
+};
+
+/**
+ * Append-only, line-delimited JSON record of every step a setup run performs.
+ * Each step is written synchronously as it completes, so a journal left behind
+ * by a crashed run can be replayed with `--resume` to continue exactly where
+ * the previous run stopped.
+ */
+class RunJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.run = null;
+    this.entries = new Map(); // repoName -> [{ step, ...details }]
+  }
+
+  /**
+   * Start a new journal file with a header describing the run.
+   */
+  static create(filePath, runInfo) {
+    if (fs.existsSync(filePath)) {
+      throw new Error(`Journal ${filePath} already exists. Use --resume ${filePath} to continue that run.`);
+    }
+    const journal = new RunJournal(filePath);
+    journal.run = { type: 'run', startedAt: new Date().toISOString(), ...runInfo };
+    fs.writeFileSync(filePath, JSON.stringify(journal.run) + '\n');
+    return journal;
+  }
+
+  /**
+   * Load an existing journal so a run can be resumed. A partially written
+   * trailing line (process killed mid-write) is ignored.
+   */
+  static open(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Journal file not found: ${filePath}`);
+    }
+
+    const journal = new RunJournal(filePath);
+    const lines = fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean);
+
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        if (index === lines.length - 1) return;
+        throw new Error(`Corrupt journal entry on line ${index + 1} of ${filePath}: ${error.message}`);
+      }
+
+      if (entry.type === 'run') {
+        journal.run = journal.run || entry;
+      } else if (entry.repoName) {
+        journal.remember(entry);
+      }
+    });
+
+    if (!journal.run) {
+      throw new Error(`${filePath} is not a setup journal (missing run header)`);
+    }
+
+    return journal;
+  }
+
+  remember(entry) {
+    if (!this.entries.has(entry.repoName)) {
+      this.entries.set(entry.repoName, []);
+    }
+    this.entries.get(entry.repoName).push(entry);
+  }
+
+  /**
+   * Record a completed step for a repo and flush it to disk immediately.
+   */
+  record(repoName, step, details = {}) {
+    const entry = { type: 'step', at: new Date().toISOString(), repoName, step, ...details };
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    this.remember(entry);
+    return entry;
+  }
+
+  /**
+   * Return the most recent entry for `step` on `repoName` (optionally
+   * narrowed by `match`), or null if the step was never recorded.
+   */
+  find(repoName, step, match = () => true) {
+    const entries = this.entries.get(repoName) || [];
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].step === step && match(entries[i])) {
+        return entries[i];
+      }
+    }
+    return null;
+  }
+
+  has(repoName, step, match) {
+    return this.find(repoName, step, match) !== null;
+  }
+
+  /**
+   * Every name (repo, or team for TEAM_CREATED) with `step` recorded.
+   */
+  namesWith(step) {
+    return [...this.entries.keys()].filter(name => this.has(name, step));
+  }
+
+  /**
+   * Repos whose per-repo setup finished but whose deferred issue pass did not.
+   */
+  reposAwaitingIssues() {
+    const pending = [];
+    for (const repoName of this.entries.keys()) {
+      const completed = this.find(repoName, STEPS.COMPLETED);
+      if (completed && completed.needsIssues && !this.has(repoName, STEPS.ISSUES)) {
+        pending.push({ repoName, sourceRepoName: completed.sourceRepo, backend: completed.backend });
+      }
+    }
+    return pending;
+  }
+
+  /**
+   * Record that the whole run finished (used for reporting only).
+   */
+  finish(summary = {}) {
+    fs.appendFileSync(this.filePath, JSON.stringify({ type: 'run-finished', at: new Date().toISOString(), ...summary }) + '\n');
+  }
+}
+
+RunJournal.STEPS = STEPS;
+
+module.exports = RunJournal;
@@ -0,0 +1,272 @@
+// Endpoints the auth strategy calls while another request is waiting on it.
+// They bypass the queue so a queued request can always get its token.
+const AUTH_ROUTE = /^\/app(\/|$)|^\/orgs\/[^/]+\/installation$/;
+
+const MAX_RATE_LIMIT_RETRIES = 10;
+
+// Methods that can be sent again after an attempt with no clear answer
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Connection failures that mean the request never reached GitHub
+const NOT_SENT = /ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ENETUNREACH|EHOSTUNREACH/;
+
+/**
+ * One queue of requests with its own concurrency limit. The limit grows by
+ * one after a full window of successful requests and halves when GitHub
+ * throttles the lane (additive increase, multiplicative decrease).
+ */
+class Lane {
+  constructor(name, { concurrency, maxConcurrency, intervalMs = 0 }) {
+    this.name = name;
+    this.limit = concurrency;
+    this.maxConcurrency = maxConcurrency;
+    this.intervalMs = intervalMs; // minimum time between two request starts
+    this.active = 0;
+    this.requests = 0;
+    this.successes = 0;
+    this.queue = [];
+    this.nextStart = 0;
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+}
+
+/**
+ * Rate-limit-aware scheduler for every GitHub API call a script makes.
+ *
+ * Reads go through the `read` lane; everything that creates or changes
+ * content (repos, issues, PRs, collaborators, ...) goes through the `write`
+ * lane, which also spaces requests out to stay under GitHub's
+ * content-creation limits. Each response's x-ratelimit-* headers pause all
+ * lanes before the primary limit runs out, and secondary-limit responses
+ * (403/429 with retry-after) pause the lane, lower its concurrency and are
+ * retried here, so callers never see them. Server errors, network failures
+ * and timeouts (`timeoutMs` per attempt) are retried `retries` times with
+ * exponential backoff, but only for idempotent methods: a POST or PATCH
+ * that timed out may have succeeded, so it is only retried when the
+ * connection failed before the request reached GitHub.
+ */
+class RequestScheduler {
+  constructor(options = {}) {
+    this.options = {
+      readConcurrency: 10,
+      writeConcurrency: 3,
+      writeIntervalMs: 1000,
+      rateLimitBuffer: 100,
+      retries: 3,
+      retryDelayMs: 1000,
+      timeoutMs: 30000,
+      ...options
+    };
+    const { readConcurrency, writeConcurrency, writeIntervalMs, rateLimitBuffer } = this.options;
+    this.lanes = {
+      read: new Lane('read', { concurrency: readConcurrency, maxConcurrency: readConcurrency * 2 }),
+      write: new Lane('write', { concurrency: writeConcurrency, maxConcurrency: writeConcurrency * 2, intervalMs: writeIntervalMs })
+    };
+    this.rateLimitBuffer = rateLimitBuffer;
+    this.rateLimit = null; // { limit, remaining, reset } from the latest response
+    this.pausedUntil = 0;
+    this.retried = 0;
+  }
+
+  /**
+   * Route every request of `octokit` through the scheduler.
+   */
+  install(octokit) {
+    octokit.hook.wrap('request', (request, options) => this.schedule(options, () => {
+      this.startTimeout(options);
+      return request(options);
+    }));
+    return this;
+  }
+
+  /**
+   * Give this attempt its own timeout. Inner hooks are bound to the
+   * original `options` object, so it has to be changed in place.
+   */
+  startTimeout(options) {
+    if (this.options.timeoutMs) {
+      options.request = { ...options.request, signal: AbortSignal.timeout(this.options.timeoutMs) };
+    }
+  }
+
+  laneFor(options) {
+    return ['GET', 'HEAD'].includes((options.method || 'GET').toUpperCase()) ? this.lanes.read : this.lanes.write;
+  }
+
+  /**
+   * Whether a failed attempt (server error, network failure or timeout, all
+   * reported as status >= 500 by Octokit) can safely be sent again.
+   */
+  canRetry(options, error) {
+    if (!(error.status >= 500)) return false;
+    if (IDEMPOTENT_METHODS.includes((options.method || 'GET').toUpperCase())) return true;
+    return !error.response && NOT_SENT.test(error.message || '');
+  }
+
+  async schedule(options, send) {
+    if (AUTH_ROUTE.test(options.url || '')) {
+      return send();
+    }
+
+    const lane = this.laneFor(options);
+    let failures = 0;
+    for (let attempt = 1; ; attempt++) {
+      let backoff = 0;
+      await this.acquire(lane);
+      try {
+        lane.requests++;
+        const response = await send();
+        this.observe(response.headers);
+        this.succeeded(lane);
+        return response;
+      } catch (error) {
+        if (error.response) {
+          this.observe(error.response.headers);
+        }
+        const request = `${options.method} ${options.url}`;
+        const wait = this.throttleDelay(error, attempt);
+        if (wait !== null && attempt <= MAX_RATE_LIMIT_RETRIES) {
+          this.throttled(lane, wait, request, error.status);
+        } else if (wait === null && failures < this.options.retries && this.canRetry(options, error)) {
+          failures++;
+          backoff = this.options.retryDelayMs * 2 ** (failures - 1);
+          console.log(`⚠️  ${request} failed (${error.status}: ${error.message}), retry ${failures}/${this.options.retries} in ${Math.round(backoff / 1000)}s...`);
+        } else {
+          throw error;
+        }
+        this.retried++;
+      } finally {
+        this.release(lane);
+      }
+      // Back off outside the lane so other requests keep flowing
+      if (backoff > 0) {
+        await new Promise(resolve => setTimeout(resolve, backoff));
+      }
+    }
+  }
+
+  /**
+   * Milliseconds to wait before retrying a rate-limited request, or null
+   * when `error` is not a rate limit.
+   */
+  throttleDelay(error, attempt) {
+    const status = error.status || 0;
+    const message = error.message || '';
+    const headers = error.response?.headers || {};
+
+    const secondary = status === 429 ||
+      (status === 403 && (message.includes('secondary rate limit') || message.includes('abuse')));
+    if (secondary) {
+      const retryAfter = parseInt(headers['retry-after'], 10);
+      return retryAfter ? (retryAfter + 1) * 1000 : Math.min(60000 * attempt, 300000);
+    }
+
+    const primary = status === 403 && (message.includes('rate limit') || headers['x-ratelimit-remaining'] === '0');
+    if (primary) {
+      const reset = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+      return Math.max((reset || Date.now() + 60000) - Date.now(), 0) + 1000;
+    }
+    return null;
+  }
+
+  /**
+   * Track the primary rate limit from a response and pause every lane when
+   * fewer than `rateLimitBuffer` calls are left before the reset.
+   */
+  observe(headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+
+    this.rateLimit = {
+      limit: parseInt(headers['x-ratelimit-limit'], 10),
+      remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+      reset: parseInt(headers['x-ratelimit-reset'], 10) * 1000
+    };
+    if (this.rateLimit.remaining < this.rateLimitBuffer && this.rateLimit.reset > Date.now() && this.pausedUntil < this.rateLimit.reset) {
+      this.pausedUntil = this.rateLimit.reset + 1000;
+      console.log(`⏰ Rate limit low (${this.rateLimit.remaining} remaining). Pausing API calls until ${new Date(this.pausedUntil).toLocaleTimeString()}...`);
+      Object.values(this.lanes).forEach(lane => this.pump(lane));
+    }
+  }
+
+  succeeded(lane) {
+    lane.successes++;
+    if (lane.successes >= lane.limit && lane.limit < lane.maxConcurrency) {
+      lane.limit++;
+      lane.successes = 0;
+    }
+  }
+
+  throttled(lane, wait, request, status) {
+    lane.limit = Math.max(1, Math.floor(lane.limit / 2));
+    lane.successes = 0;
+    lane.pausedUntil = Math.max(lane.pausedUntil, Date.now() + wait);
+    console.log(`⏰ Rate limited (${status}) on ${request}. Pausing ${lane.name} calls for ${Math.round(wait / 1000)}s, concurrency now ${lane.limit}...`);
+  }
+
+  acquire(lane) {
+    return new Promise(resolve => {
+      lane.queue.push(resolve);
+      this.pump(lane);
+    });
+  }
+
+  release(lane) {
+    lane.active--;
+    this.pump(lane);
+  }
+
+  /**
+   * Start queued requests while the lane has capacity and is not paused.
+   */
+  pump(lane) {
+    while (lane.queue.length > 0 && lane.active < lane.limit) {
+      const wait = Math.max(lane.pausedUntil, this.pausedUntil, lane.nextStart) - Date.now();
+      if (wait > 0) {
+        clearTimeout(lane.timer);
+        lane.timer = setTimeout(() => this.pump(lane), wait);
+        return;
+      }
+      lane.active++;
+      lane.nextStart = Date.now() + lane.intervalMs;
+      lane.queue.shift()();
+    }
+  }
+
+  /**
+   * One-line summary for progress output.
+   */
+  describe() {
+    const lanes = Object.values(this.lanes).map(lane => `${lane.name} ${lane.active}/${lane.limit}`).join(', ');
+    const rate = this.rateLimit ? ` | rate limit ${this.rateLimit.remaining}/${this.rateLimit.limit}` : '';
+    return `API lanes: ${lanes}${rate}`;
+  }
+
+  /**
+   * Requests sent so far (retries included), per lane.
+   */
+  stats() {
+    const { read, write } = this.lanes;
+    return { total: read.requests + write.requests, read: read.requests, write: write.requests, retried: this.retried };
+  }
+}
+
+/**
+ * Run `worker` over `items` with at most `concurrency` in flight. A new item
+ * starts as soon as any worker finishes, so one slow item never holds up the
+ * others. Resolves to the workers' results in item order.
+ */
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+module.exports = { RequestScheduler, runPool };
@@ -0,0 +1,101 @@
+/**
+ * Turn a team name from the CSV into the suffix used in repo names.
+ */
+function teamSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Split attendees into repo owners. Every group gets one copy of each demo repo:
+ *
+ *   { slug, team, members, backend }
+ *
+ * `slug` fills {{username}} in repo names: the attendee's username for solo
+ * repos, or the team slug for shared ones (`team` is null for solo repos). Attendees
+ * with a `team` column value share that team's repos. With `teamSize` > 1 the
+ * remaining attendees are grouped by username, so reordering the CSV keeps the
+ * same teams, and each team is named after its first member: team-<username>, lowercased.
+ */
+function groupAttendees(attendees, { teamSize = 1 } = {}) {
+  const problems = [];
+  const groups = [];
+  const seenUsernames = new Set();
+  const namedTeams = new Map(); // slug -> group
+  const ungrouped = [];
+
+  for (const attendee of attendees) {
+    const username = attendee.githubUsername.toLowerCase();
+    if (seenUsernames.has(username)) {
+      problems.push(`${attendee.githubUsername} is listed more than once`);
+      continue;
+    }
+    seenUsernames.add(username);
+
+    const team = attendee.fields?.team;
+    if (!team) {
+      ungrouped.push(attendee);
+      continue;
+    }
+
+    const slug = teamSlug(team);
+    if (!slug) {
+      problems.push(`${attendee.githubUsername}: team "${team}" has no letters or digits to name a repo after`);
+      continue;
+    }
+    if (!namedTeams.has(slug)) {
+      const group = { slug, team, members: [] };
+      namedTeams.set(slug, group);
+      groups.push(group);
+    }
+    namedTeams.get(slug).members.push(attendee);
+  }
+
+  if (teamSize > 1) {
+    const byUsername = [...ungrouped].sort((a, b) =>
+      a.githubUsername.toLowerCase().localeCompare(b.githubUsername.toLowerCase()));
+    for (let i = 0; i < byUsername.length; i += teamSize) {
+      const members = byUsername.slice(i, i + teamSize);
+      const team = teamSlug(`team-${members[0].githubUsername}`);
+      groups.push({ slug: team, team, members });
+    }
+  } else {
+    ungrouped.forEach(attendee => {
+      groups.push({ slug: attendee.githubUsername, team: null, members: [attendee] });
+    });
+  }
+
+  // Slugs become repo names, so a team must not collide with another team or a solo attendee
+  const slugs = new Map();
+  for (const group of groups) {
+    const key = group.slug.toLowerCase();
+    if (slugs.has(key)) {
+      problems.push(`${describeGroup(group)} and ${describeGroup(slugs.get(key))} would both use repo suffix "-${group.slug}"`);
+    }
+    slugs.set(key, group);
+
+    // Everyone in a shared repo works on the same backend
+    const backends = [...new Set(group.members.map(m => m.backend).filter(Boolean))];
+    if (backends.length > 1) {
+      problems.push(`team ${group.team} mixes backends (${backends.join(', ')}); give its members the same backend`);
+    }
+    group.backend = backends[0] || null;
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid team configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return groups;
+}
+
+/**
+ * Human-readable owner of a group's repos, for logs and summaries.
+ */
+function describeGroup(group) {
+  if (!group.team) {
+    return group.members[0].githubUsername;
+  }
+  return `team ${group.team} (${group.members.map(m => m.githubUsername).join(', ')})`;
+}
+
+module.exports = { groupAttendees, describeGroup, teamSlug };
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { lifecycleProblems } = require('./lifecycle');
+const { repoNameTemplateProblems, DEFAULT_TEMPLATE } = require('./repo-naming');
+const { repoSettingsProblems } = require('./repo-settings');
+
+// Manifest keys, their expected type and the environment variable that overrides them.
+// string[] overrides accept a JSON array or a comma-separated list, the name template is taken as is;
+// object overrides must be JSON.
+const SCHEMA = {
+  excludedPaths: { type: 'string[]', env: 'WORKSHOP_EXCLUDED_PATHS', default: [] },
+  filesToRemove: { type: 'string[]', env: 'WORKSHOP_FILES_TO_REMOVE', default: [] },
+  filesToAddOrReplace: { type: 'fileMap', env: 'WORKSHOP_FILES_TO_ADD_OR_REPLACE', default: {} },
+  textReplacements: { type: 'replacementMap', env: 'WORKSHOP_TEXT_REPLACEMENTS', default: {} },
+  requiredBranches: { type: 'string[]', env: 'WORKSHOP_REQUIRED_BRANCHES', default: ['main'] },
+  backends: { type: 'string[]', env: 'WORKSHOP_BACKENDS', default: ['nodejs', 'python', 'java'] },
+  lifecycle: { type: 'lifecycle', env: 'WORKSHOP_LIFECYCLE', default: [] },
+  repoNameTemplate: { type: 'repoNameTemplate', env: 'WORKSHOP_REPO_NAME_TEMPLATE', default: DEFAULT_TEMPLATE },
+  repoSettings: { type: 'repoSettings', env: 'WORKSHOP_REPO_SETTINGS', default: {} }
+};
+
+const MANIFEST_VERSION = 1;
+
+class WorkshopConfigError extends Error {
+  constructor(file, problems) {
+    super(`Invalid workshop manifest ${file}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'WorkshopConfigError';
+    this.problems = problems;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check `value` against the schema type of `key`, pushing readable problems.
+ */
+function validateValue(key, type, value, problems) {
+  switch (type) {
+    case 'string[]':
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || v.length === 0)) {
+        problems.push(`${key} must be an array of non-empty strings`);
+      }
+      break;
+    case 'fileMap':
+      if (!isPlainObject(value)) {
+        problems.push(`${key} must be an object keyed by destination path`);
+        break;
+      }
+      for (const [dest, entry] of Object.entries(value)) {
+        if (!isPlainObject(entry) || !['file', 'content'].includes(entry.type)) {
+          problems.push(`${key}["${dest}"].type must be "file" or "content"`);
+        } else if (entry.type === 'file' && typeof entry.source !== 'string') {
+          problems.push(`${key}["${dest}"].source must be a path`);
+        } else if (entry.type === 'content' && typeof entry.content !== 'string') {
+          problems.push(`${key}["${dest}"].content must be a string`);
+        }
+      }
+      break;
+    case 'replacementMap':
+      if (!isPlainObject(value)) {
+        problems.push(`${key} must be an object keyed by file path`);
+        break;
+      }
+      for (const [file, replacements] of Object.entries(value)) {
+        if (!Array.isArray(replacements) ||
+            replacements.some(r => !isPlainObject(r) || typeof r.find !== 'string' || typeof r.replace !== 'string')) {
+          problems.push(`${key}["${file}"] must be an array of { "find": "...", "replace": "..." }`);
+        }
+      }
+      break;
+    case 'lifecycle':
+      problems.push(...lifecycleProblems(key, value));
+      break;
+    case 'repoNameTemplate':
+      problems.push(...repoNameTemplateProblems(key, value));
+      break;
+    case 'repoSettings':
+      problems.push(...repoSettingsProblems(key, value, { perRepo: true }));
+      break;
+    default:
+      problems.push(`${key} has unknown schema type ${type}`);
+  }
+}
+
+function validateSection(section, label, problems) {
+  if (!isPlainObject(section)) {
+    problems.push(`${label} must be an object`);
+    return;
+  }
+  for (const [key, value] of Object.entries(section)) {
+    if (!SCHEMA[key]) {
+      problems.push(`${label}.${key} is not a known setting (expected one of: ${Object.keys(SCHEMA).join(', ')})`);
+      continue;
+    }
+    validateValue(`${label}.${key}`, SCHEMA[key].type, value, problems);
+  }
+}
+
+function parseEnvOverride(key, spec, raw, problems) {
+  const trimmed = raw.trim();
+  if (spec.type === 'string[]' && !trimmed.startsWith('[')) {
+    return trimmed.split(',').map(v => v.trim()).filter(Boolean);
+  }
+  if (spec.type === 'repoNameTemplate') {
+    return trimmed;
+  }
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    problems.push(`${spec.env} must be valid JSON for ${key}: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Locate the manifest: an explicit path, $WORKSHOP_CONFIG, ./workshop.json,
+ * then the workshop.json shipped next to the scripts.
+ */
+function resolveManifestPath(file) {
+  if (file) return file;
+  if (process.env.WORKSHOP_CONFIG) return process.env.WORKSHOP_CONFIG;
+  const candidates = [
+    path.resolve('workshop.json'),
+    path.join(__dirname, '..', 'workshop.json')
+  ];
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Load workshop settings: schema defaults, then the manifest's `defaults`,
+ * then the selected profile (--profile / $WORKSHOP_PROFILE), then environment
+ * overrides. Each level replaces a setting as a whole.
+ */
+function loadWorkshopConfig({ profile, file } = {}) {
+  profile = profile || process.env.WORKSHOP_PROFILE || null;
+  const manifestPath = resolveManifestPath(file);
+  const problems = [];
+  let manifest = { version: MANIFEST_VERSION, defaults: {}, profiles: {} };
+
+  if (manifestPath) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    } catch (error) {
+      throw new WorkshopConfigError(manifestPath, [error.code === 'ENOENT' ? 'file not found' : error.message]);
+    }
+  } else if (profile) {
+    throw new WorkshopConfigError('workshop.json', [`profile "${profile}" requested but no manifest was found`]);
+  }
+
+  const label = manifestPath || '(built-in defaults)';
+
+  if (manifest.version !== MANIFEST_VERSION) {
+    problems.push(`version must be ${MANIFEST_VERSION} (found ${manifest.version})`);
+  }
+  validateSection(manifest.defaults || {}, 'defaults', problems);
+
+  const profiles = manifest.profiles || {};
+  if (!isPlainObject(profiles)) {
+    problems.push('profiles must be an object keyed by profile name');
+  } else {
+    for (const [name, section] of Object.entries(profiles)) {
+      validateSection(section, `profiles.${name}`, problems);
+    }
+    if (profile && !profiles[profile]) {
+      problems.push(`profile "${profile}" not found (available: ${Object.keys(profiles).join(', ') || 'none'})`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new WorkshopConfigError(label, problems);
+  }
+
+  const settings = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    settings[key] = spec.default;
+  }
+  Object.assign(settings, manifest.defaults || {}, profile ? profiles[profile] : {});
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const raw = process.env[spec.env];
+    if (raw === undefined || raw === '') continue;
+    const value = parseEnvOverride(key, spec, raw, problems);
+    if (value !== undefined) {
+      validateValue(spec.env, spec.type, value, problems);
+      settings[key] = value;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new WorkshopConfigError(label, problems);
+  }
+
+  return { ...settings, profile, manifestPath };
+}
+
+module.exports = { loadWorkshopConfig, WorkshopConfigError, SCHEMA };
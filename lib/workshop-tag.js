@@ -0,0 +1,104 @@
+const { getArgValue } = require('./cli-args');
+
+const TOPIC_PREFIX = 'workshop-';
+
+/**
+ * Workshop identifier from `--workshop-id <id>` or WORKSHOP_ID. Setup stamps
+ * it on every repo it creates and cleanup uses it to find them again, so both
+ * must be run with the same value.
+ */
+function workshopIdFrom(args, env = process.env) {
+  return getArgValue(args, '--workshop-id', env.WORKSHOP_ID || 'default');
+}
+
+/**
+ * Throw unless the workshop ID was given with `--workshop-id` or WORKSHOP_ID.
+ * Every workshop set up without one shares the topic workshop-default, so
+ * `action` (e.g. "cleanup") would reach all of their repos. An explicit
+ * `--workshop-id default` is accepted.
+ */
+function requireExplicitWorkshopId(args, action, env = process.env) {
+  if (!getArgValue(args, '--workshop-id') && !env.WORKSHOP_ID) {
+    throw new Error(`${action} finds repos by workshop topic and needs the workshop ID setup used: pass --workshop-id <id> or set WORKSHOP_ID (use --workshop-id default for repos set up without one, after checking no other workshop used the default)`);
+  }
+}
+
+/**
+ * Repository topic for a workshop ID. Topics may only contain lowercase
+ * letters, digits and hyphens, and are at most 50 characters long.
+ */
+function workshopTopic(workshopId) {
+  const slug = String(workshopId).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!slug) {
+    throw new Error(`Workshop ID "${workshopId}" must contain letters or digits`);
+  }
+  return (TOPIC_PREFIX + slug).slice(0, 50).replace(/-+$/, '');
+}
+
+/**
+ * True when `repo` (as returned by the repos API, with `topics`) belongs to the workshop.
+ */
+function hasWorkshopTopic(repo, workshopId) {
+  return (repo.topics || []).includes(workshopTopic(workshopId));
+}
+
+/**
+ * Stamp a repo with the workshop's topic and, when `property` is set, the
+ * org custom property of that name (it must already be defined on the org).
+ * `topics` and `customProperties` (property name -> value) are set alongside.
+ */
+async function tagRepository(octokit, { owner, repo, workshopId, property, topics = [], customProperties = {} }) {
+  const names = [...new Set([workshopTopic(workshopId), ...topics])];
+  await octokit.rest.repos.replaceAllTopics({ owner, repo, names });
+
+  const properties = Object.entries(customProperties).map(([name, value]) => ({ property_name: name, value }));
+  if (property) {
+    properties.push({ property_name: property, value: workshopId });
+  }
+  if (properties.length > 0) {
+    await octokit.request('PATCH /repos/{owner}/{repo}/properties/values', { owner, repo, properties });
+  }
+}
+
+/**
+ * Add the workshop's topic to a repo, keeping the topics it already has.
+ * Template repositories are shared by every workshop that generates repos
+ * from them, so each of those workshops adds its own topic.
+ */
+async function addWorkshopTopic(octokit, { owner, repo, workshopId }) {
+  const { data } = await octokit.rest.repos.getAllTopics({ owner, repo });
+  const topic = workshopTopic(workshopId);
+  if (!data.names.includes(topic)) {
+    await octokit.rest.repos.replaceAllTopics({ owner, repo, names: [...data.names, topic] });
+  }
+}
+
+/**
+ * Topics of workshops other than `workshopId` among a repo's `topics`.
+ */
+function otherWorkshopTopics(topics, workshopId) {
+  const topic = workshopTopic(workshopId);
+  return topics.filter(name => name.startsWith(TOPIC_PREFIX) && name !== topic);
+}
+
+/**
+ * Remove the workshop's topic from a repo, keeping its other topics.
+ */
+async function removeWorkshopTopic(octokit, { owner, repo, workshopId }) {
+  const { data } = await octokit.rest.repos.getAllTopics({ owner, repo });
+  const topic = workshopTopic(workshopId);
+  if (data.names.includes(topic)) {
+    await octokit.rest.repos.replaceAllTopics({ owner, repo, names: data.names.filter(name => name !== topic) });
+  }
+}
+
+module.exports = {
+  workshopIdFrom,
+  requireExplicitWorkshopId,
+  workshopTopic,
+  hasWorkshopTopic,
+  tagRepository,
+  addWorkshopTopic,
+  otherWorkshopTopics,
+  removeWorkshopTopic
+};
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+// Usage: node lifecycle-repos.js apply [--dry-run] [--from-results <file>] [--workshop-id <id>] [--profile <name>]
+
+const fs = require('fs');
+const { hasFlag, getArgValue } = require('./lib/cli-args');
+const { loadWorkshopConfig } = require('./lib/workshop-config');
+const { hasCredentials, describeAuth } = require('./lib/github-auth');
+const { createGitHubClient, logApiUsage } = require('./lib/github-client');
+const { installConsoleRedaction, writeRedactedJson } = require('./lib/redact');
+const { workshopIdFrom, requireExplicitWorkshopId, workshopTopic } = require('./lib/workshop-tag');
+const { findWorkshopRepos, findReposFromResults } = require('./lib/repo-discovery');
+const { dueRules, exceedsPermission, describeRule } = require('./lib/lifecycle');
+const { backupRepository } = require('./lib/repo-backup');
+const { runPool } = require('./lib/scheduler');
+require('dotenv').config();
+
+// Keep tokens out of everything this script prints
+installConsoleRedaction();
+
+const args = process.argv.slice(2);
+
+const CONFIG = {
+  targetOrg: process.env.TARGET_ORG || 'your-target-org',
+  workshopId: workshopIdFrom(args), // Must match the setup run
+  fromResults: getArgValue(args, '--from-results'), // Take repos and creation times from a setup-results-*.json
+  dryRun: hasFlag(args, '--dry-run', '-n'), // Report due steps without changing anything
+  rules: [], // From the workshop manifest's `lifecycle`, loaded by validateConfig
+  concurrentRepos: parseInt(process.env.CONCURRENT_REPOS || '3') // Repos processed in parallel
+};
+
+// GitHub App installation or personal access token, throttled and retried like setup
+const { octokit, scheduler } = createGitHubClient({ org: CONFIG.targetOrg });
+
+// Collaborator permission -> value accepted when adding a collaborator or granting a team
+const COLLABORATOR_PERMISSIONS = { read: 'pull', write: 'push' };
+
+/**
+ * Applies the workshop manifest's lifecycle rules to every workshop repo.
+ * Each run works out from the repo's age and current state which steps are
+ * due and not yet done, so it is safe to run repeatedly (e.g. from cron).
+ */
+class WorkshopLifecycle {
+  constructor() {
+    this.results = {
+      changed: [],
+      unchanged: [],
+      failed: []
+    };
+  }
+
+  async validateConfig() {
+    console.log('🔍 Validating configuration...');
+
+    if (!hasCredentials()) {
+      throw new Error('GITHUB_TOKEN (or GITHUB_APP_ID with a private key) is required. Please set it in your .env file or environment variables.');
+    }
+    console.log(`✅ Authenticating with ${describeAuth()}`);
+    const workshop = loadWorkshopConfig({ profile: getArgValue(args, '--profile') });
+    CONFIG.rules = workshop.lifecycle;
+    console.log(`✅ Workshop manifest: ${workshop.manifestPath || 'built-in defaults'}${workshop.profile ? ` (profile: ${workshop.profile})` : ''}`);
+
+    if (CONFIG.fromResults && !fs.existsSync(CONFIG.fromResults)) {
+      throw new Error(`Results file not found: ${CONFIG.fromResults}`);
+    }
+    if (!CONFIG.fromResults) {
+      requireExplicitWorkshopId(args, 'Lifecycle');
+    }
+    console.log(`✅ Rules: ${CONFIG.rules.map(describeRule).join(', ')}`);
+  }
+
+  /**
+   * Workshop repos as [{ repoName, createdAt, archived }]. Creation times
+   * come from the results file when one is given, otherwise from GitHub.
+   * Template repositories are left alone: other workshops may still
+   * generate repos from them, and cleanup decides when they go.
+   */
+  async findRepos() {
+    let repos;
+    if (CONFIG.fromResults) {
+      console.log(`📖 Loading repositories created by the run in ${CONFIG.fromResults}...`);
+      ({ repos } = await findReposFromResults(octokit, { org: CONFIG.targetOrg, resultsFile: CONFIG.fromResults }));
+    } else {
+      console.log(`🔍 Listing repositories with topic ${workshopTopic(CONFIG.workshopId)}...`);
+      ({ repos } = await findWorkshopRepos(octokit, { org: CONFIG.targetOrg, workshopId: CONFIG.workshopId }));
+    }
+    return repos
+      .filter(repo => !repo.template)
+      .map(repo => ({ repoName: repo.repoName, createdAt: repo.createdAt, archived: repo.archived }));
+  }
+
+  /**
+   * Lower every direct collaborator, pending invitation and team (with
+   * --access teams) above `permission` to it. Returns the logins and team
+   * names that were (or would be) changed.
+   */
+  async downgradeCollaborators(repoName, permission) {
+    const owner = CONFIG.targetOrg;
+    const changed = [];
+
+    const collaborators = await octokit.paginate(octokit.rest.repos.listCollaborators, { owner, repo: repoName, affiliation: 'direct', per_page: 100 });
+    for (const user of collaborators.filter(user => exceedsPermission(user.role_name, permission))) {
+      if (!CONFIG.dryRun) {
+        await octokit.rest.repos.addCollaborator({ owner, repo: repoName, username: user.login, permission: COLLABORATOR_PERMISSIONS[permission] || permission });
+      }
+      changed.push(user.login);
+    }
+
+    const invitations = await octokit.paginate(octokit.rest.repos.listInvitations, { owner, repo: repoName, per_page: 100 });
+    for (const invitation of invitations.filter(invitation => exceedsPermission(invitation.permissions, permission))) {
+      if (!CONFIG.dryRun) {
+        await octokit.rest.repos.updateInvitation({ owner, repo: repoName, invitation_id: invitation.id, permissions: permission });
+      }
+      changed.push(`${invitation.invitee?.login} (invited)`);
+    }
+
+    const teams = await octokit.paginate(octokit.rest.repos.listTeams, { owner, repo: repoName, per_page: 100 });
+    for (const team of teams.filter(team => exceedsPermission(team.permission, permission))) {
+      if (!CONFIG.dryRun) {
+        await octokit.rest.teams.addOrUpdateRepoPermissionsInOrg({ org: owner, team_slug: team.slug, owner, repo: repoName, permission: COLLABORATOR_PERMISSIONS[permission] || permission });
+      }
+      changed.push(`team ${team.slug}`);
+    }
+    return changed;
+  }
+
+  /**
+   * Apply one due rule to a repo. Returns a description of what changed, or
+   * null when the repo is already in the rule's state.
+   */
+  async applyRule(repo, rule) {
+    const { repoName } = repo;
+    switch (rule.action) {
+      case 'downgrade': {
+        const changed = await this.downgradeCollaborators(repoName, rule.permission);
+        return changed.length > 0 ? `downgraded ${changed.join(', ')} to ${rule.permission}` : null;
+      }
+      case 'archive':
+        if (repo.archived) return null;
+        if (!CONFIG.dryRun) {
+          await octokit.rest.repos.update({ owner: CONFIG.targetOrg, repo: repoName, archived: true });
+        }
+        repo.archived = true;
+        return 'archived';
+      case 'delete': {
+        let backup = null;
+        if (rule.backupDir && !CONFIG.dryRun) {
+          backup = await backupRepository(octokit, { owner: CONFIG.targetOrg, repo: repoName, backupDir: rule.backupDir });
+        }
+        if (!CONFIG.dryRun) {
+          await octokit.rest.repos.delete({ owner: CONFIG.targetOrg, repo: repoName });
+        }
+        return backup ? `deleted (backup in ${backup})` : 'deleted';
+      }
+      default:
+        throw new Error(`Unknown lifecycle action ${rule.action}`);
+    }
+  }
+
+  async processRepository(repo, now) {
+    const ageDays = Math.floor((now - new Date(repo.createdAt).getTime()) / (24 * 60 * 60 * 1000));
+    const due = dueRules(CONFIG.rules, repo.createdAt, now);
+    const applied = [];
+
+    try {
+      for (const rule of due) {
+        const change = await this.applyRule(repo, rule);
+        if (change) {
+          applied.push(change);
+        }
+      }
+    } catch (error) {
+      console.error(`  ❌ ${repo.repoName} (${ageDays}d): ${error.message}`);
+      this.results.failed.push({ ...repo, ageDays, applied, error: error.message });
+      return;
+    }
+
+    if (applied.length > 0) {
+      console.log(`  ${CONFIG.dryRun ? '🔍 Would apply' : '✅'} ${repo.repoName} (${ageDays}d): ${applied.join('; ')}`);
+      this.results.changed.push({ ...repo, ageDays, applied });
+    } else {
+      this.results.unchanged.push({ ...repo, ageDays, due: due.map(describeRule) });
+    }
+  }
+
+  async run() {
+    console.log(`♻️  Workshop Repository Lifecycle${CONFIG.dryRun ? ' (DRY RUN)' : ''} Starting...\n`);
+
+    try {
+      await this.validateConfig();
+
+      if (CONFIG.rules.length === 0) {
+        console.log('ℹ️  No lifecycle rules in the workshop manifest — nothing to do');
+        return;
+      }
+
+      const repos = await this.findRepos();
+      console.log(`✅ Found ${repos.length} workshop repositories\n`);
+
+      const now = Date.now();
+      await runPool(repos, CONFIG.concurrentRepos, repo => this.processRepository(repo, now));
+
+      this.printSummary();
+      if (this.results.failed.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('💥 Lifecycle failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(50));
+    console.log(`📊 LIFECYCLE SUMMARY${CONFIG.dryRun ? ' (DRY RUN)' : ''}`);
+    console.log('='.repeat(50));
+
+    console.log(`${CONFIG.dryRun ? '🔍 Would change' : '✅ Changed'}: ${this.results.changed.length}`);
+    console.log(`⏭️ Nothing due: ${this.results.unchanged.length}`);
+    console.log(`❌ Failed: ${this.results.failed.length}`);
+    logApiUsage(scheduler);
+
+    if (this.results.failed.length > 0) {
+      console.log('\n❌ Failed Repositories:');
+      this.results.failed.forEach(result => {
+        console.log(`  • ${result.repoName} - ${result.error}`);
+      });
+    }
+
+    if (!CONFIG.dryRun) {
+      const resultsFile = `lifecycle-results-${new Date().toISOString().split('T')[0]}.json`;
+      writeRedactedJson(resultsFile, this.results);
+      console.log(`\n💾 Detailed results saved to: ${resultsFile}`);
+    }
+  }
+}
+
+if (require.main === module) {
+  if (args[0] !== 'apply') {
+    console.error('Usage: node lifecycle-repos.js apply [--dry-run] [--from-results <file>] [--workshop-id <id>] [--profile <name>]');
+    process.exit(1);
+  }
+  const lifecycle = new WorkshopLifecycle();
+  lifecycle.run().catch(error => {
+    console.error('💥 Unexpected error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = WorkshopLifecycle;
@@ -1,5 +1,5 @@
 #!/usr/bin/env node
-// Usage: node prepare-release.js
+// Usage: node prepare-release.js [--profile <name>]
 
 
 require('dotenv').config();
@@ -8,6 +8,10 @@ const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
 const tar = require('tar');
+const { getArgValue } = require('./lib/cli-args');
+const { loadWorkshopConfig } = require('./lib/workshop-config');
+const { hasCredentials } = require('./lib/github-auth');
+const { createGitHubClient, releaseSourceFromEnv, downloadReleaseAsset } = require('./lib/github-client');
 
 // ============================================================================
 // CONFIGURATION - Update these variables for your customizations
@@ -21,112 +25,12 @@ const CONFIG = {
   // Working directory for extraction/repackaging
   workingDir: './temp-prepare-release',
   
-  // Files/directories to remove (relative to extracted root)
-  filesToRemove: [
-    // Remove all contents from demo directories
-    'demo-contents/octocatSupply/nodejs/demo',
-    'demo-contents/octocatSupply/nodejs-feature-add-cart-page/demo',
-    'demo-contents/octocatSupply/nodejs-feature-add-tos-download/demo',
-    'demo-contents/octocatSupply/nodejs/CONTRIBUTING.md',
-    'demo-contents/octocatSupply/nodejs-feature-add-tos-download/CONTRIBUTING.md',
-    'demo-contents/octocatSupply/nodejs-feature-add-cart-page/CONTRIBUTING.md',
-
-    // Remove ca.key secret (optional)
-    'demo-contents/octocatSupply/nodejs/api/ca.key',
-    'demo-contents/octocatSupply/nodejs-feature-add-tos-download/ca.key',
-    'demo-contents/octocatSupply/nodejs-feature-add-cart-page/ca.key',
-    // Example: Remove .octodemo directory from all repos
-    // 'demo-contents/octocatSupply/nodejs/.octodemo',
-    // 'demo-contents/octocatSupply/nodejs-feature-add-cart-page/.octodemo',
-    // 'demo-contents/octocatSupply/nodejs-feature-add-tos-download/.octodemo',
-    
-    // Example: Remove internal documentation
-    // 'demo-contents/octocatSupply/nodejs/INTERNAL.md',
-    
-    // Example: Remove specific workflow files
-    // 'demo-contents/octocatSupply/nodejs/.github/workflows/internal-only.yml',
-  ],
-  
-  // Files to add or replace (key: destination path, value: source path or content)
-  filesToAddOrReplace: {
-    // Add a workshop-specific README
-    'demo-contents/octocatSupply/nodejs/README.md': {
-      type: 'file',
-      source: './workshop-files/README.md'
-    },
-    'demo-contents/octocatSupply/nodejs-feature-add-cart-page/README.md': {
-      type: 'file',
-      source: './workshop-files/README.md'
-    },
-    'demo-contents/octocatSupply/nodejs-feature-add-tos-download/README.md': {
-      type: 'file',
-      source: './workshop-files/README.md'
-    },
-    'demo-contents/octocatSupply/nodejs/docs/workshop-agent-mode.md': {
-      type: 'file',
-      source: './workshop-files/workshop-agent-mode.md'
-    },
-    'demo-contents/octocatSupply/nodejs-feature-add-cart-page/docs/workshop-agent-mode.md': {
-      type: 'file',
-      source: './workshop-files/workshop-agent-mode.md'
-    },
-    'demo-contents/octocatSupply/nodejs-feature-add-tos-download/docs/workshop-agent-mode.md': {
-      type: 'file',
-      source: './workshop-files/workshop-agent-mode.md'
-    },
-    'demo-contents/octocatSupply/nodejs/docs/workshop-use-case-focused.md': {
-      type: 'file',
-      source: './workshop-files/workshop-use-case-focused.md'
-    },
-    'demo-contents/octocatSupply/nodejs-feature-add-cart-page/docs/workshop-use-case-focused.md': {
-      type: 'file',
-      source: './workshop-files/workshop-use-case-focused.md'
-    },
-    'demo-contents/octocatSupply/nodejs-feature-add-tos-download/docs/workshop-use-case-focused.md': {
-      type: 'file',
-      source: './workshop-files/workshop-use-case-focused.md'
-    },
-    // Replace .env.example with sanitized version to avoid push protection
-    'demo-contents/octocatSupply/nodejs/api/.env.example': {
-      type: 'file',
-      source: './workshop-files/API-.env.example'
-    },
-    'demo-contents/octocatSupply/nodejs-feature-add-cart-page/api/.env.example': {
-      type: 'file',
-      source: './workshop-files/API-.env.example'
-    },
-    'demo-contents/octocatSupply/nodejs-feature-add-tos-download/api/.env.example': {
-      type: 'file',
-      source: './workshop-files/API-.env.example'
-    },
-
-    // Example: Add a workshop-specific README
-    // 'demo-contents/octocatSupply/nodejs/WORKSHOP.md': {
-    //   type: 'file',
-    //   source: './workshop-files/WORKSHOP.md'
-    // },
-    
-    // Example: Add content directly
-    // 'demo-contents/octocatSupply/nodejs/GETTING-STARTED.md': {
-    //   type: 'content',
-    //   content: '# Getting Started\n\nWelcome to the workshop!'
-    // },
-    
-    // Example: Replace an existing file
-    // 'demo-contents/octocatSupply/nodejs/README.md': {
-    //   type: 'file',
-    //   source: './workshop-files/README.md'
-    // }
-  },
-  
-  // Text replacements to apply to specific files
-  textReplacements: {
-    // Example: Replace text in README files
-    // 'demo-contents/octocatSupply/nodejs/README.md': [
-    //   { find: 'Internal Demo', replace: 'Customer Workshop' },
-    //   { find: 'For GitHub SEs only', replace: '' }
-    // ]
-  }
+  // Customizations come from the workshop manifest (workshop.json, --profile <name>),
+  // loaded when the run starts: files/directories to remove, files to add or
+  // replace, and text replacements, all relative to the extracted root
+  filesToRemove: [],
+  filesToAddOrReplace: {},
+  textReplacements: {}
 };
 
 // ============================================================================
@@ -142,12 +46,25 @@ class ReleasePreparer {
     console.log('🎯 Preparing Workshop Release Package...\n');
     
     try {
-      // Validate input file exists
+      const workshop = loadWorkshopConfig({ profile: getArgValue(process.argv.slice(2), '--profile') });
+      Object.assign(CONFIG, {
+        filesToRemove: workshop.filesToRemove,
+        filesToAddOrReplace: workshop.filesToAddOrReplace,
+        textReplacements: workshop.textReplacements
+      });
+
+      // Download the input tarball from GitHub releases if it is not present locally
       if (!fs.existsSync(CONFIG.inputTarball)) {
-        throw new Error(`Input tarball not found: ${CONFIG.inputTarball}`);
+        if (!hasCredentials()) {
+          throw new Error(`Input tarball not found: ${CONFIG.inputTarball} (set GITHUB_TOKEN to download it from GitHub releases)`);
+        }
+        const { octokit } = createGitHubClient({ org: process.env.TARGET_ORG });
+        const { owner, repo, tag } = releaseSourceFromEnv();
+        await downloadReleaseAsset(octokit, owner, repo, tag, CONFIG.inputTarball);
       }
       console.log(`📦 Input: ${CONFIG.inputTarball}`);
-      console.log(`📦 Output: ${CONFIG.outputTarball}\n`);
+      console.log(`📦 Output: ${CONFIG.outputTarball}`);
+      console.log(`🗂️  Manifest: ${workshop.manifestPath || 'built-in defaults'}${workshop.profile ? ` (profile: ${workshop.profile})` : ''}\n`);
 
       // Step 1: Extract the original tarball
       await this.extractTarball();
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+// Usage: node readiness-report.js [--output <file-prefix>]
+
+const fs = require('fs');
+const { getArgValue } = require('./lib/cli-args');
+const { loadAttendees } = require('./lib/attendees');
+const { hasCredentials, describeAuth } = require('./lib/github-auth');
+const { createGitHubClient, logApiUsage } = require('./lib/github-client');
+const { installConsoleRedaction } = require('./lib/redact');
+const { runPool } = require('./lib/scheduler');
+require('dotenv').config();
+
+// Keep tokens out of everything this script prints
+installConsoleRedaction();
+
+const args = process.argv.slice(2);
+
+const CONFIG = {
+  targetOrg: process.env.TARGET_ORG || 'your-target-org',
+  csvFile: process.env.CSV_FILE || 'attendees.csv',
+  output: getArgValue(args, '--output', `readiness-report-${new Date().toISOString().split('T')[0]}`), // Writes <output>.csv and <output>.md
+  concurrentAttendees: parseInt(process.env.CONCURRENT_ATTENDEES || '5') // Attendees checked in parallel
+};
+
+// GitHub App installation or personal access token, throttled and retried like setup
+const { octokit, scheduler } = createGitHubClient({ org: CONFIG.targetOrg });
+
+// Overall status of an attendee, worst first
+const STATUSES = ['blocked', 'action needed', 'ready'];
+
+const SAML_IDENTITIES_QUERY = `
+  query($org: String!, $cursor: String) {
+    organization(login: $org) {
+      samlIdentityProvider {
+        externalIdentities(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes { user { login } }
+        }
+      }
+    }
+  }`;
+
+/**
+ * One CSV cell, quoted when it contains a separator, quote or line break.
+ */
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+}
+
+/**
+ * Checks every attendee in the CSV before workshop day: the GitHub account
+ * exists, is a member of (or invited to) TARGET_ORG, has a linked SAML SSO
+ * identity and a Copilot seat. Writes a CSV and a Markdown report with a
+ * status and suggested fix per attendee for the customer's coordinator.
+ */
+class ReadinessReport {
+  constructor() {
+    this.org = {
+      members: new Set(),
+      invitations: new Map(), // lowercase login -> invitation
+      ssoIdentities: null, // lowercase logins with a linked identity; null when SSO is not enforced
+      ssoKnown: true,
+      copilot: null // { assignAll, seats } or null when unknown
+    };
+    this.rows = [];
+  }
+
+  async validateConfig() {
+    console.log('🔍 Validating configuration...');
+
+    if (!hasCredentials()) {
+      throw new Error('GITHUB_TOKEN (or GITHUB_APP_ID with a private key) is required. Please set it in your .env file or environment variables.');
+    }
+    console.log(`✅ Authenticating with ${describeAuth()}`);
+
+    if (!fs.existsSync(CONFIG.csvFile)) {
+      throw new Error(`CSV file not found: ${CONFIG.csvFile}`);
+    }
+
+    try {
+      await octokit.rest.orgs.get({ org: CONFIG.targetOrg });
+      console.log('✅ Target organization validated');
+    } catch (error) {
+      throw new Error(`Target organization ${CONFIG.targetOrg} not found or not accessible`);
+    }
+  }
+
+  /**
+   * Org-wide lists fetched once: members, pending invitations, SAML
+   * identities and Copilot seats. Lists the credentials may not read
+   * (they need an org owner) are reported as unknown.
+   */
+  async loadOrgState() {
+    console.log(`📖 Loading members, invitations, SSO identities and Copilot seats of ${CONFIG.targetOrg}...`);
+    const org = CONFIG.targetOrg;
+
+    const members = await octokit.paginate(octokit.rest.orgs.listMembers, { org, per_page: 100 });
+    this.org.members = new Set(members.map(member => member.login.toLowerCase()));
+
+    try {
+      const invitations = await octokit.paginate(octokit.rest.orgs.listPendingInvitations, { org, per_page: 100 });
+      this.org.invitations = new Map(invitations.filter(invitation => invitation.login).map(invitation => [invitation.login.toLowerCase(), invitation]));
+    } catch (error) {
+      console.warn(`⚠️  Could not list pending invitations: ${error.message}`);
+    }
+
+    try {
+      const identities = new Set();
+      let cursor = null;
+      let provider;
+      do {
+        const { organization } = await octokit.graphql(SAML_IDENTITIES_QUERY, { org, cursor });
+        provider = organization.samlIdentityProvider;
+        if (!provider) break;
+        const { nodes, pageInfo } = provider.externalIdentities;
+        nodes.filter(node => node.user).forEach(node => identities.add(node.user.login.toLowerCase()));
+        cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+      } while (cursor);
+      this.org.ssoIdentities = provider ? identities : null;
+    } catch (error) {
+      this.org.ssoKnown = false;
+      console.warn(`⚠️  Could not read SAML SSO identities: ${error.message}`);
+    }
+
+    try {
+      const { data: billing } = await octokit.rest.copilot.getCopilotOrganizationDetails({ org });
+      const seats = billing.seat_management_setting === 'assign_all'
+        ? []
+        : await octokit.paginate(octokit.rest.copilot.listCopilotSeats, { org, per_page: 100 }, response => response.data.seats);
+      this.org.copilot = {
+        assignAll: billing.seat_management_setting === 'assign_all',
+        seats: new Set(seats.map(seat => seat.assignee?.login?.toLowerCase()).filter(Boolean))
+      };
+    } catch (error) {
+      console.warn(`⚠️  Could not read Copilot seats: ${error.message}`);
+    }
+
+    console.log(`✅ ${this.org.members.size} members, ${this.org.invitations.size} pending invitations${this.org.ssoIdentities ? `, ${this.org.ssoIdentities.size} SSO identities` : ''}${this.org.copilot ? `, ${this.org.copilot.assignAll ? 'Copilot for all members' : `${this.org.copilot.seats.size} Copilot seats`}` : ''}`);
+  }
+
+  /**
+   * CSV rows whose usernames appear more than once, ignoring case, as
+   * lowercase username -> the spellings used.
+   */
+  findDuplicates(attendees) {
+    const spellings = new Map();
+    for (const attendee of attendees) {
+      const key = attendee.githubUsername.toLowerCase();
+      if (!spellings.has(key)) spellings.set(key, []);
+      spellings.get(key).push(attendee.githubUsername);
+    }
+    return new Map([...spellings].filter(([, names]) => names.length > 1));
+  }
+
+  /**
+   * Check one attendee. Returns a report row with the problems found and
+   * what to do about each.
+   */
+  async checkAttendee(attendee, duplicates) {
+    const username = attendee.githubUsername;
+    const key = username.toLowerCase();
+    const problems = [];
+    const fixes = [];
+    let status = 'ready';
+    const flag = (level, problem, fix) => {
+      problems.push(problem);
+      fixes.push(fix);
+      if (STATUSES.indexOf(level) < STATUSES.indexOf(status)) status = level;
+    };
+    const row = { username, email: attendee.email || '', login: '', membership: '', sso: '', copilot: '' };
+
+    if (duplicates.has(key)) {
+      const names = duplicates.get(key);
+      flag('blocked', `listed ${names.length} times in the CSV${new Set(names).size > 1 ? ` (as ${[...new Set(names)].join(', ')})` : ''}`, 'Remove the duplicate rows');
+    }
+
+    try {
+      const { data: user } = await octokit.rest.users.getByUsername({ username });
+      row.login = user.login;
+      if (user.login !== username) {
+        flag('action needed', `GitHub login is spelled ${user.login}`, `Use "${user.login}" in the CSV`);
+      }
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      row.login = '(not found)';
+      flag('blocked', 'no GitHub account with this username', 'Ask the attendee for their exact GitHub username');
+      return { ...row, status, problems, fixes };
+    }
+
+    // Internal repos are only visible to org members
+    const invitation = this.org.invitations.get(key);
+    if (this.org.members.has(key)) {
+      row.membership = 'member';
+    } else if (invitation) {
+      row.membership = `invited ${invitation.created_at?.split('T')[0] || ''}`.trim();
+      flag('action needed', `has not accepted the invitation to ${CONFIG.targetOrg}`, `Accept the invitation at https://github.com/orgs/${CONFIG.targetOrg}/invitation`);
+    } else {
+      row.membership = 'not a member';
+      flag('action needed', `not a member of ${CONFIG.targetOrg}`, `Invite them to ${CONFIG.targetOrg}`);
+    }
+
+    if (!this.org.ssoKnown) {
+      row.sso = 'unknown';
+    } else if (this.org.ssoIdentities === null) {
+      row.sso = 'not required';
+    } else if (this.org.ssoIdentities.has(key)) {
+      row.sso = 'linked';
+    } else {
+      row.sso = 'not linked';
+      if (row.membership === 'member') {
+        flag('action needed', 'has no linked SAML SSO identity', `Sign in once at https://github.com/orgs/${CONFIG.targetOrg}/sso`);
+      }
+    }
+
+    if (!this.org.copilot) {
+      row.copilot = 'unknown';
+    } else if (this.org.copilot.seats.has(key) || (this.org.copilot.assignAll && row.membership === 'member')) {
+      row.copilot = 'seat';
+    } else {
+      row.copilot = this.org.copilot.assignAll ? 'after joining' : 'no seat';
+      if (!this.org.copilot.assignAll) {
+        flag('action needed', 'has no Copilot seat', `Assign a Copilot seat in ${CONFIG.targetOrg}`);
+      }
+    }
+
+    return { ...row, status, problems, fixes };
+  }
+
+  writeCsv(file) {
+    const header = ['github_username', 'email', 'status', 'github_login', 'org_membership', 'sso', 'copilot', 'problems', 'suggested_fix'];
+    const lines = this.rows.map(row => [
+      row.username, row.email, row.status, row.login, row.membership, row.sso, row.copilot,
+      row.problems.join('; '), row.fixes.join('; ')
+    ].map(csvCell).join(','));
+    fs.writeFileSync(file, [header.join(','), ...lines].join('\n') + '\n');
+  }
+
+  writeMarkdown(file) {
+    const counts = STATUSES.map(status => `${this.rows.filter(row => row.status === status).length} ${status}`).join(', ');
+    const lines = [
+      `# Attendee readiness: ${CONFIG.targetOrg}`,
+      '',
+      `Checked ${new Date().toISOString().replace('T', ' ').slice(0, 16)} UTC — ${this.rows.length} attendees: ${counts}.`,
+      '',
+      '| GitHub username | Status | Org membership | SSO | Copilot | Suggested fix |',
+      '|---|---|---|---|---|---|',
+      ...this.rows.map(row => `| ${[row.username, row.status, row.membership, row.sso, row.copilot, row.fixes.join('; ') || '—'].map(markdownCell).join(' | ')} |`)
+    ];
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+  }
+
+  async run() {
+    console.log('📋 Attendee Readiness Report Starting...\n');
+
+    try {
+      await this.validateConfig();
+
+      const attendees = await loadAttendees(CONFIG.csvFile);
+      console.log(`✅ Loaded ${attendees.length} attendees from ${CONFIG.csvFile}`);
+
+      await this.loadOrgState();
+
+      console.log(`\n🔍 Checking ${attendees.length} attendees...`);
+      const duplicates = this.findDuplicates(attendees);
+      this.rows = await runPool(attendees, CONFIG.concurrentAttendees, attendee => this.checkAttendee(attendee, duplicates));
+
+      // Worst first, so the coordinator sees what needs doing at the top
+      this.rows.sort((a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) || a.username.localeCompare(b.username));
+      this.writeCsv(`${CONFIG.output}.csv`);
+      this.writeMarkdown(`${CONFIG.output}.md`);
+
+      this.printSummary();
+    } catch (error) {
+      console.error('💥 Readiness report failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 READINESS SUMMARY');
+    console.log('='.repeat(50));
+
+    const count = status => this.rows.filter(row => row.status === status).length;
+    console.log(`✅ Ready: ${count('ready')}`);
+    console.log(`⚠️  Action needed: ${count('action needed')}`);
+    console.log(`❌ Blocked: ${count('blocked')}`);
+    logApiUsage(scheduler);
+
+    const notReady = this.rows.filter(row => row.status !== 'ready');
+    if (notReady.length > 0) {
+      console.log('\n📝 Attendees to follow up with:');
+      notReady.forEach(row => {
+        console.log(`  • ${row.username} (${row.status}) - ${row.problems.join('; ')}`);
+      });
+    }
+
+    console.log(`\n💾 Report saved to: ${CONFIG.output}.csv and ${CONFIG.output}.md`);
+  }
+}
+
+if (require.main === module) {
+  const report = new ReadinessReport();
+  report.run().catch(error => {
+    console.error('💥 Unexpected error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = ReadinessReport;
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+// Usage: node restore-repo.js <backup-dir> [--name <new-name>] [--skip-collaborators]
+
+const fs = require('fs');
+const fsPromises = fs.promises;
+const os = require('os');
+const path = require('path');
+const { hasFlag, getArgValue } = require('./lib/cli-args');
+const { hasCredentials, describeAuth, gitCredentialEnv } = require('./lib/github-auth');
+const { createGitHubClient, logApiUsage } = require('./lib/github-client');
+const { installConsoleRedaction } = require('./lib/redact');
+const { loadBackup } = require('./lib/repo-backup');
+const { git } = require('./lib/git');
+require('dotenv').config();
+
+// Keep tokens out of everything this script prints
+installConsoleRedaction();
+
+const args = process.argv.slice(2);
+
+const CONFIG = {
+  targetOrg: process.env.TARGET_ORG || 'your-target-org',
+  backupDir: args.find((arg, index) => !arg.startsWith('-') && args[index - 1] !== '--name'), // One repo's directory inside a --backup dir
+  name: getArgValue(args, '--name'), // Restore under another name (default: the original name)
+  skipCollaborators: hasFlag(args, '--skip-collaborators') // Do not re-add the backed-up collaborators
+};
+
+// GitHub App installation or personal access token, throttled and retried like setup
+const { octokit, scheduler } = createGitHubClient({ org: CONFIG.targetOrg });
+
+// Collaborator roles as listed by the API -> permission accepted when adding a collaborator
+const PERMISSIONS = { read: 'pull', write: 'push' };
+
+/**
+ * Footer naming where a restored issue, pull request or comment came from.
+ * Usernames are quoted so restoring does not notify anyone.
+ */
+function attribution(what, user, createdAt) {
+  return `\n\n---\n_${what} by \`${user || 'unknown'}\` on ${new Date(createdAt).toISOString().split('T')[0]}._`;
+}
+
+/**
+ * What a restore into `org/name` has done so far, kept next to the backup in
+ * restore-<org>-<name>.json so an interrupted restore can be run again and
+ * continue instead of creating the repo, issues or comments a second time.
+ * Removed once the restore finishes.
+ */
+class RestoreProgress {
+  constructor(backupDir, org, name) {
+    this.filePath = path.join(backupDir, `restore-${org}-${name}.json`);
+    this.state = fs.existsSync(this.filePath)
+      ? JSON.parse(fs.readFileSync(this.filePath, 'utf-8'))
+      : { created: false, pushed: false, branches: [], discussions: {} };
+  }
+
+  save() {
+    fs.writeFileSync(this.filePath, JSON.stringify(this.state, null, 2) + '\n');
+  }
+
+  /**
+   * Progress of one backed-up issue or pull request: the number it was
+   * restored as, how many of its comments were added, and whether it is done.
+   */
+  discussion(key) {
+    return this.state.discussions[key] || null;
+  }
+
+  recordDiscussion(key, details) {
+    this.state.discussions[key] = { ...this.state.discussions[key], ...details };
+    this.save();
+  }
+
+  finish() {
+    fs.rmSync(this.filePath, { force: true });
+  }
+}
+
+class RepoRestore {
+  constructor() {
+    this.progress = null;
+    this.results = {
+      issues: 0,
+      pulls: 0,
+      pullsAsIssues: 0,
+      comments: 0,
+      collaborators: 0,
+      alreadyRestored: 0
+    };
+  }
+
+  async validateConfig() {
+    console.log('🔍 Validating configuration...');
+
+    if (!hasCredentials()) {
+      throw new Error('GITHUB_TOKEN (or GITHUB_APP_ID with a private key) is required. Please set it in your .env file or environment variables.');
+    }
+    console.log(`✅ Authenticating with ${describeAuth()}`);
+
+    if (!CONFIG.backupDir) {
+      throw new Error('Usage: node restore-repo.js <backup-dir> [--name <new-name>] [--skip-collaborators]');
+    }
+  }
+
+  async createRepository(backup, name) {
+    const { repository } = backup;
+    if (this.progress.state.created) {
+      console.log(`↩️  Continuing the restore into ${CONFIG.targetOrg}/${name}`);
+      return;
+    }
+    console.log(`📦 Creating ${CONFIG.targetOrg}/${name}...`);
+    try {
+      await octokit.rest.repos.createInOrg({
+        org: CONFIG.targetOrg,
+        name,
+        description: repository.description || undefined,
+        visibility: repository.visibility || 'internal',
+        has_issues: true, // Needed to recreate the issues; restored afterwards
+        has_projects: repository.hasProjects,
+        has_wiki: repository.hasWiki,
+        auto_init: false
+      });
+    } catch (error) {
+      if (error.status === 422 && error.message.includes('name already exists')) {
+        throw new Error(`Repository ${CONFIG.targetOrg}/${name} already exists and was not created by an earlier restore of this backup. Restore under another name with --name <new-name>.`);
+      }
+      throw error;
+    }
+    this.progress.state.created = true;
+    this.progress.save();
+    console.log(`✅ Created ${CONFIG.targetOrg}/${name}`);
+  }
+
+  /**
+   * Push every branch and tag from the backup's git bundle.
+   */
+  async pushBundle(backup, name) {
+    if (!backup.bundleFile) {
+      console.log('ℹ️  The repository was empty when it was backed up, nothing to push');
+      return;
+    }
+    if (this.progress.state.pushed) {
+      console.log('↩️  Branches and tags already pushed');
+      return this.progress.state.branches;
+    }
+
+    console.log('⬆️  Pushing branches and tags...');
+    const cloneDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'workshop-restore-'));
+    try {
+      await git(['clone', '--quiet', '--bare', path.resolve(backup.bundleFile), cloneDir]);
+      await git(['push', '--quiet', '--mirror', `https://github.com/${CONFIG.targetOrg}/${name}.git`], {
+        cwd: cloneDir,
+        env: await gitCredentialEnv(octokit)
+      });
+    } finally {
+      await fsPromises.rm(cloneDir, { recursive: true, force: true });
+    }
+
+    const branches = (await git(['bundle', 'list-heads', path.resolve(backup.bundleFile)]))
+      .split('\n')
+      .filter(line => line.includes(' refs/heads/'))
+      .map(line => line.split(' refs/heads/')[1]);
+    Object.assign(this.progress.state, { pushed: true, branches });
+    this.progress.save();
+    console.log(`✅ Pushed ${branches.length} branch(es)`);
+    return branches;
+  }
+
+  /**
+   * Add `comments` to issue `number`, skipping the ones an interrupted
+   * restore already added for the backed-up item `key`.
+   */
+  async addComments(name, number, comments, key) {
+    const added = this.progress.discussion(key)?.comments || 0;
+    for (const [index, comment] of comments.entries()) {
+      if (index < added) continue;
+      const location = comment.path ? `On \`${comment.path}\`${comment.line ? ` line ${comment.line}` : ''}:\n\n` : '';
+      await octokit.rest.issues.createComment({
+        owner: CONFIG.targetOrg,
+        repo: name,
+        issue_number: number,
+        body: location + (comment.body || '') + attribution('Comment', comment.user, comment.createdAt)
+      });
+      this.progress.recordDiscussion(key, { comments: index + 1 });
+      this.results.comments++;
+    }
+  }
+
+  async createIssue(name, key, { title, body, labels = [], state, comments, origin }) {
+    let number = this.progress.discussion(key)?.number;
+    if (!number) {
+      const { data: issue } = await octokit.rest.issues.create({
+        owner: CONFIG.targetOrg,
+        repo: name,
+        title,
+        body: (body || '') + origin,
+        labels
+      });
+      number = issue.number;
+      this.progress.recordDiscussion(key, { number, comments: 0 });
+    }
+    await this.addComments(name, number, comments, key);
+    if (state === 'closed') {
+      await octokit.rest.issues.update({ owner: CONFIG.targetOrg, repo: name, issue_number: number, state: 'closed' });
+    }
+    this.progress.recordDiscussion(key, { done: true });
+  }
+
+  /**
+   * Recreate issues, then pull requests. Open pull requests whose branches
+   * were restored become pull requests again; every other one becomes a
+   * closed issue so its discussion is kept. Numbers are not preserved.
+   * Items an interrupted restore already finished are skipped.
+   */
+  async restoreDiscussions(backup, name, branches = []) {
+    const source = `${backup.repository.owner}/${backup.repository.name}`;
+
+    for (const issue of [...backup.issues].sort((a, b) => a.number - b.number)) {
+      const key = `issue-${issue.number}`;
+      if (this.progress.discussion(key)?.done) {
+        this.results.alreadyRestored++;
+        continue;
+      }
+      await this.createIssue(name, key, {
+        ...issue,
+        origin: attribution(`Restored from ${source}#${issue.number}, opened`, issue.user, issue.createdAt)
+      });
+      this.results.issues++;
+    }
+    if (this.results.issues > 0) {
+      console.log(`✅ Restored ${this.results.issues} issue(s)`);
+    }
+
+    for (const pull of [...backup.pulls].sort((a, b) => a.number - b.number)) {
+      const key = `pull-${pull.number}`;
+      if (this.progress.discussion(key)?.done) {
+        this.results.alreadyRestored++;
+        continue;
+      }
+      const comments = [...pull.comments, ...pull.reviewComments];
+      if (pull.state === 'open' && branches.includes(pull.head) && branches.includes(pull.base)) {
+        let number = this.progress.discussion(key)?.number;
+        if (!number) {
+          const { data: created } = await octokit.rest.pulls.create({
+            owner: CONFIG.targetOrg,
+            repo: name,
+            title: pull.title,
+            head: pull.head,
+            base: pull.base,
+            body: (pull.body || '') + attribution(`Restored from ${source}#${pull.number}, opened`, pull.user, pull.createdAt)
+          });
+          number = created.number;
+          this.progress.recordDiscussion(key, { number, comments: 0 });
+        }
+        await this.addComments(name, number, comments, key);
+        this.progress.recordDiscussion(key, { done: true });
+        this.results.pulls++;
+      } else {
+        await this.createIssue(name, key, {
+          title: `[PR #${pull.number}] ${pull.title}`,
+          body: [`${pull.merged ? 'Merged' : pull.state === 'open' ? 'Open' : 'Closed'} pull request from \`${pull.head}\` into \`${pull.base}\`.`, pull.body].filter(Boolean).join('\n\n'),
+          state: 'closed',
+          comments,
+          origin: attribution(`Restored from ${source}#${pull.number}, opened`, pull.user, pull.createdAt)
+        });
+        this.results.pullsAsIssues++;
+      }
+    }
+    if (this.results.pulls + this.results.pullsAsIssues > 0) {
+      console.log(`✅ Restored ${this.results.pulls} pull request(s), ${this.results.pullsAsIssues} more as closed issues`);
+    }
+    if (this.results.alreadyRestored > 0) {
+      console.log(`↩️  ${this.results.alreadyRestored} issue(s) and pull request(s) were restored by an earlier run`);
+    }
+  }
+
+  async restoreSettings(backup, name) {
+    const { repository } = backup;
+    await octokit.rest.repos.update({
+      owner: CONFIG.targetOrg,
+      repo: name,
+      has_issues: repository.hasIssues,
+      ...(backup.bundleFile && repository.defaultBranch ? { default_branch: repository.defaultBranch } : {})
+    });
+    if (repository.topics.length > 0) {
+      await octokit.rest.repos.replaceAllTopics({ owner: CONFIG.targetOrg, repo: name, names: repository.topics });
+    }
+
+    if (CONFIG.skipCollaborators) return;
+    for (const { login, permission } of repository.collaborators) {
+      await octokit.rest.repos.addCollaborator({
+        owner: CONFIG.targetOrg,
+        repo: name,
+        username: login,
+        permission: PERMISSIONS[permission] || permission
+      });
+      this.results.collaborators++;
+    }
+    if (repository.collaborators.length > 0) {
+      console.log(`✅ Re-added ${repository.collaborators.length} collaborator(s)`);
+    }
+  }
+
+  async run() {
+    console.log('♻️  Workshop Repository Restore Starting...\n');
+
+    try {
+      await this.validateConfig();
+
+      const backup = await loadBackup(CONFIG.backupDir);
+      const name = CONFIG.name || backup.repository.name;
+      console.log(`📖 Backup of ${backup.repository.owner}/${backup.repository.name} from ${backup.repository.backedUpAt}`);
+      console.log(`   ${backup.issues.length} issue(s), ${backup.pulls.length} pull request(s), ${backup.repository.collaborators.length} collaborator(s)\n`);
+
+      this.progress = new RestoreProgress(CONFIG.backupDir, CONFIG.targetOrg, name);
+      await this.createRepository(backup, name);
+      const branches = await this.pushBundle(backup, name);
+      await this.restoreDiscussions(backup, name, branches);
+      await this.restoreSettings(backup, name);
+      this.progress.finish();
+
+      console.log(`\n🎉 Restored https://github.com/${CONFIG.targetOrg}/${name}`);
+      logApiUsage(scheduler);
+    } catch (error) {
+      console.error('💥 Restore failed:', error.message);
+      process.exit(1);
+    }
+  }
+}
+
+if (require.main === module) {
+  const restore = new RepoRestore();
+  restore.run().catch(error => {
+    console.error('💥 Unexpected error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = RepoRestore;
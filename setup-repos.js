@@ -2,22 +2,35 @@
 
 require('dotenv').config();
 
-const { Octokit } = require('@octokit/rest');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
-const https = require('https');
-const csv = require('csv-parser');
 const path = require('path');
 const os = require('os');
-const tar = require('tar');
 const { Liquid } = require('liquidjs');
+const RunJournal = require('./lib/run-journal');
+const { hasFlag, getArgValue } = require('./lib/cli-args');
+const { loadWorkshopConfig } = require('./lib/workshop-config');
+const { loadAttendees, attendeeColumns, findAttendeeReferences, findUnsupportedBackends } = require('./lib/attendees');
+const { groupAttendees, describeGroup } = require('./lib/teams');
+const { gitCredentialEnv, hasCredentials, isAppAuth, describeAuth } = require('./lib/github-auth');
+const { createGitHubClient, releaseSourceFromEnv, downloadReleaseAsset, logApiUsage } = require('./lib/github-client');
+const { redact, writeRedactedJson } = require('./lib/redact');
+const { ContentCache, usesPerRepoVariables } = require('./lib/content-cache');
+const { runPool } = require('./lib/scheduler');
+const { workshopIdFrom, workshopTopic, hasWorkshopTopic, otherWorkshopTopics, tagRepository, addWorkshopTopic } = require('./lib/workshop-tag');
+const { extractReleaseTarball, readReleaseMetadata, branchLayout } = require('./lib/release');
+const { inviteToOrg, addRepoCollaborator } = require('./lib/invitations');
+const { createRepoNaming, planRepoNames } = require('./lib/repo-naming');
+const { resolveRepoSettings, renderRepoSettings, visibilitySupport } = require('./lib/repo-settings');
+const { PERMISSIONS, workshopTeamName, groupTeamName, permissionCovers, findTeam, ensureTeam, addTeamMember, grantTeamAccess } = require('./lib/access-teams');
+
+const { STEPS } = RunJournal;
 
 // Configuration - Update these variables as needed
 const CONFIG = {
   releaseTarball: process.env.RELEASE_TARBALL || './release.tar.gz',
   targetOrg: process.env.TARGET_ORG || 'your-target-org',
   csvFile: process.env.CSV_FILE || 'attendees.csv',
-  githubToken: process.env.GITHUB_TOKEN,
   workingDir: process.env.WORKING_DIR || './temp-release-setup',
   enableCodespaces: process.env.ENABLE_CODESPACES_PREBUILDS === 'true' || true, // Default to true
   
@@ -26,235 +39,134 @@ const CONFIG = {
   workshopDuration: process.env.WORKSHOP_DURATION || 'Full Day (8 hours)',
   numberOfParticipants: process.env.NUMBER_OF_PARTICIPANTS || '',
   additionalNotes: process.env.ADDITIONAL_NOTES || '',
-  backend: process.env.BACKEND || 'nodejs',
-
-  // Paths to exclude (remove) when pruning repo content.
-  // Supports both directory names (e.g. 'api-python') and
-  // file paths relative to the repo root (e.g. 'api-nodejs/ca.key').
-  excludedPaths: [
-    'api-python',
-    'api-java',
-    'api-nodejs/ca.key',
-    'api-nodejs/.env.example'
-  ],
+  backend: process.env.BACKEND || 'nodejs', // Default for attendees without a backend column value
+  backends: [], // Backends that have an api-<backend> folder in the release (from workshop.json)
+  teamSize: parseInt(getArgValue(process.argv.slice(2), '--team-size', process.env.TEAM_SIZE || '1')), // Share repos between N attendees (team column wins)
+  useTemplateRepos: hasFlag(process.argv.slice(2), '--template-repos') || process.env.USE_TEMPLATE_REPOS === 'true', // Generate repos from a template repo instead of pushing each one
+  workshopId: workshopIdFrom(process.argv.slice(2)), // Stamped on every created repo so cleanup can find them
+  workshopProperty: process.env.WORKSHOP_PROPERTY || '', // Org custom property that also receives the workshop ID (optional)
+  adoptUntagged: hasFlag(process.argv.slice(2), '--adopt-untagged'), // Tag existing repos with this run's names and no workshop topic as this workshop's
+  inviteTeam: getArgValue(process.argv.slice(2), '--invite-team', process.env.INVITE_TEAM || ''), // Org team that invited attendees join (implies --invite-to-org)
+  inviteToOrg: hasFlag(process.argv.slice(2), '--invite-to-org', '--invite-team') || process.env.INVITE_TO_ORG === 'true' || Boolean(process.env.INVITE_TEAM), // Invite attendees who are not org members
+  accessMode: getArgValue(process.argv.slice(2), '--access', process.env.ACCESS_MODE || 'collaborators'), // 'collaborators' (per repo) or 'teams'
+  accessPermission: getArgValue(process.argv.slice(2), '--access-permission', process.env.ACCESS_PERMISSION || 'admin'), // pull, triage, push, maintain or admin
+  accessTeam: workshopTeamName(workshopIdFrom(process.argv.slice(2)), getArgValue(process.argv.slice(2), '--access-team', process.env.ACCESS_TEAM || '')), // Workshop team with --access teams
+  attendeeTeams: hasFlag(process.argv.slice(2), '--attendee-teams') || process.env.ATTENDEE_TEAMS === 'true', // A child team per attendee/team, so each only sees their own repos
+
+  // Set from the workshop manifest (workshop.json, --profile <name>) by loadManifest.
+  // Paths to exclude (remove) when pruning repo content support both directory
+  // names (e.g. 'api-python') and file paths relative to the repo root (e.g. 'api-nodejs/ca.key').
+  excludedPaths: [],
+  requiredBranches: [],
+  repoNameTemplate: null, // e.g. {{source}}-{{username}}; cleanup finds repos by the same scheme
+  repoSettings: {}, // Visibility, description, homepage, topics and custom properties (override the release's)
   
   // Performance & Rate Limiting
   concurrentAttendees: parseInt(process.env.CONCURRENT_ATTENDEES || '5'), // Process N attendees at once
   concurrentRepos: parseInt(process.env.CONCURRENT_REPOS || '3'), // Process N repos per attendee at once
-  delayBetweenBatches: parseInt(process.env.DELAY_BETWEEN_BATCHES || '2000'), // ms delay between batches
-  delayBetweenRepos: parseInt(process.env.DELAY_BETWEEN_REPOS || '3000'), // ms stagger between repo creations within a batch
-  rateLimitBuffer: parseInt(process.env.RATE_LIMIT_BUFFER || '100'), // Keep this many API calls in reserve
   retryAttempts: parseInt(process.env.RETRY_ATTEMPTS || '5'), // Number of retries for failed operations
   retryDelay: parseInt(process.env.RETRY_DELAY || '3000') // ms delay between retries
 };
 
-// Initialize Octokit
-const octokit = new Octokit({
-  auth: CONFIG.githubToken,
-});
-
-// Download release.tar.gz from GitHub releases if not present locally
-async function downloadReleaseAsset(octokit, owner, repo, tag, destPath) {
-  let release;
-  if (tag === 'latest') {
-    const { data } = await octokit.repos.getLatestRelease({ owner, repo });
-    release = data;
-  } else {
-    const { data } = await octokit.repos.getReleaseByTag({ owner, repo, tag });
-    release = data;
-  }
-
-  const asset = release.assets.find(a => a.name === 'release.tar.gz');
-  if (!asset) {
-    throw new Error(`No release.tar.gz asset found in release ${release.tag_name}`);
-  }
-
-  console.log(`Downloading release.tar.gz from ${owner}/${repo} (${release.tag_name})...`);
-  console.log(`Asset size: ${(asset.size / 1024 / 1024).toFixed(1)} MB`);
-
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(destPath);
-    const reqOptions = {
-      headers: {
-        'User-Agent': 'demo-setup-scripts',
-        'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-        'Accept': 'application/octet-stream'
-      }
-    };
-
-    function download(urlStr) {
-      const mod = urlStr.startsWith('https') ? https : require('http');
-      mod.get(urlStr, reqOptions, (response) => {
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          download(response.headers.location);
-          return;
-        }
-        if (response.statusCode !== 200) {
-          file.close();
-          fs.unlink(destPath, () => {});
-          reject(new Error(`Download failed with status ${response.statusCode}`));
-          return;
-        }
-
-        let downloaded = 0;
-        const totalSize = parseInt(response.headers['content-length'] || asset.size, 10);
-
-        response.on('data', (chunk) => {
-          downloaded += chunk.length;
-          const pct = ((downloaded / totalSize) * 100).toFixed(0);
-          process.stdout.write(`\rDownloading... ${pct}% (${(downloaded / 1024 / 1024).toFixed(1)} MB)`);
-        });
+// GitHub App installation or personal access token; every call goes through the
+// scheduler, which adapts concurrency to GitHub's rate limits
+const { octokit, scheduler } = createGitHubClient({ org: CONFIG.targetOrg });
 
-        response.pipe(file);
-
-        file.on('finish', () => {
-          file.close();
-          console.log(`\nDownload complete: ${destPath} (${(downloaded / 1024 / 1024).toFixed(1)} MB)`);
-          resolve();
-        });
-
-        file.on('error', (err) => {
-          fs.unlink(destPath, () => {});
-          reject(err);
-        });
-      }).on('error', (err) => {
-        fs.unlink(destPath, () => {});
-        reject(err);
-      });
-    }
-
-    download(`https://api.github.com/repos/${owner}/${repo}/releases/assets/${asset.id}`);
-  });
-}
-
-// Set up log file streaming — all console output goes to both stdout and a log file
+// Set up log file streaming — all console output goes to both stdout and a log file,
+// with tokens and other secrets scrubbed from both
 const LOG_FILE = process.env.LOG_FILE || `setup-repos-${new Date().toISOString().slice(0, 10)}.log`;
 const logStream = fs.createWriteStream(LOG_FILE, { flags: 'a' });
 const origLog = console.log;
 const origWarn = console.warn;
 const origErr = console.error;
 const timestamp = () => new Date().toISOString().slice(11, 19);
-console.log = (...args) => { const line = args.join(' '); origLog(line); logStream.write(`[${timestamp()}] ${line}\n`); };
-console.warn = (...args) => { const line = args.join(' '); origWarn(line); logStream.write(`[${timestamp()}] WARN: ${line}\n`); };
-console.error = (...args) => { const line = args.join(' '); origErr(line); logStream.write(`[${timestamp()}] ERROR: ${line}\n`); };
+console.log = (...args) => { const line = redact(args.join(' ')); origLog(line); logStream.write(`[${timestamp()}] ${line}\n`); };
+console.warn = (...args) => { const line = redact(args.join(' ')); origWarn(line); logStream.write(`[${timestamp()}] WARN: ${line}\n`); };
+console.error = (...args) => { const line = redact(args.join(' ')); origErr(line); logStream.write(`[${timestamp()}] ERROR: ${line}\n`); };
 const followCmd = process.platform === 'win32' ? `Get-Content -Wait ${LOG_FILE}` : `tail -f ${LOG_FILE}`;
 console.log(`📝 Logging to ${LOG_FILE} — ${followCmd} to follow progress`);
 
 class WorkshopRepoSetup {
-  constructor() {
+  constructor(options = {}) {
+    // options.resumeJournal: path of a journal to resume
+    // options.journalFile: path for a new journal (default: setup-journal-<timestamp>.jsonl)
+    this.options = options;
+    this.journal = null;
     this.results = {
       success: [],
       skipped: [],
-      failed: []
+      failed: [],
+      templates: [], // Template repositories this run created
+      invitations: { org: [], repos: [] }, // Invitations attendees still have to accept
+      accessFailures: [] // Attendees who could not be invited or added
     };
     // Store the original working directory to return to later
     this.originalWorkingDir = process.cwd();
+
+    // Branch content shared by every repo built from the same branch and backend
+    this.contentCache = new ContentCache(path.join(CONFIG.workingDir, 'content-cache'));
+    this.templateRepos = new Map(); // '<sourceRepo>/<backend>' -> Promise of template repository
+    this.accessTeams = new Map(); // team name -> Promise of team (--access teams)
+    this.createdTeams = new Set(); // Teams this run created; cleanup deletes no other team
+    this.naming = null; // Repo naming scheme, from loadManifest
+    this.org = null; // Target organization, from validateConfig
+    this.isOrgOwner = false; // Whether the token acts as an org owner, from validateConfig
     
-    // Rate limit tracking
-    this.apiCallCount = 0;
-    this.lastRateLimitCheck = Date.now();
-    this.rateLimitInfo = {
-      limit: 5000,
-      remaining: 5000,
-      reset: Date.now() + 3600000
-    };
   }
 
-  async checkRateLimit() {
-    try {
-      const { data } = await octokit.rest.rateLimit.get();
-      this.rateLimitInfo = {
-        limit: data.rate.limit,
-        remaining: data.rate.remaining,
-        reset: data.rate.reset * 1000
-      };
-      
-      const remainingCalls = this.rateLimitInfo.remaining;
-      const resetTime = new Date(this.rateLimitInfo.reset);
-      
-      console.log(`ℹ️  Rate Limit: ${remainingCalls}/${this.rateLimitInfo.limit} remaining (resets at ${resetTime.toLocaleTimeString()})`);
-      
-      // If we're running low on API calls, wait until reset
-      if (remainingCalls < CONFIG.rateLimitBuffer) {
-        const waitTime = this.rateLimitInfo.reset - Date.now();
-        if (waitTime > 0) {
-          console.log(`⏰ Rate limit low (${remainingCalls} remaining). Waiting ${Math.ceil(waitTime / 1000)}s until reset...`);
-          await this.sleep(waitTime + 1000); // Add 1s buffer
-          console.log('✅ Rate limit reset, continuing...');
-        }
-      }
-      
-      return remainingCalls;
-    } catch (error) {
-      console.warn(`⚠️  Could not check rate limit: ${error.message}`);
-      return 5000; // Assume we have calls available
-    }
-  }
-  
-  async waitIfNeeded() {
-    // Check rate limit every 10 API calls or every 5 minutes
-    const timeSinceLastCheck = Date.now() - this.lastRateLimitCheck;
-    if (this.apiCallCount >= 10 || timeSinceLastCheck > 300000) {
-      await this.checkRateLimit();
-      this.apiCallCount = 0;
-      this.lastRateLimitCheck = Date.now();
-    }
-  }
-  
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
   
+  /**
+   * Retry a failing operation with a growing delay. Rate limits never reach
+   * here: the request scheduler waits them out and retries the call itself.
+   */
   async retryOperation(operation, operationName, maxRetries = CONFIG.retryAttempts) {
-    let rateLimitRetries = 0;
-    const MAX_RATE_LIMIT_RETRIES = 10;
-
-    for (let attempt = 1; attempt <= maxRetries; ) {
+    for (let attempt = 1; ; attempt++) {
       try {
         return await operation();
       } catch (error) {
-        const msg = error.message || '';
-        const status = error.status || 0;
-        const retryAfter = error.response?.headers?.['retry-after'];
-
-        const isSecondaryRateLimit =
-          status === 429 ||
-          (status === 403 && (msg.includes('secondary rate limit') || msg.includes('abuse')));
-        const isPrimaryRateLimit = status === 403 && msg.includes('rate limit');
-
-        if (isSecondaryRateLimit && rateLimitRetries < MAX_RATE_LIMIT_RETRIES) {
-          rateLimitRetries++;
-          const waitTime = retryAfter
-            ? (parseInt(retryAfter, 10) + 1) * 1000
-            : Math.min(60000 * rateLimitRetries, 300000);
-          console.log(`⏰ Secondary rate limit (${status}) during ${operationName}. Waiting ${Math.round(waitTime / 1000)}s (retry-after: ${retryAfter || 'none'}, attempt ${rateLimitRetries}/${MAX_RATE_LIMIT_RETRIES})...`);
-          await this.sleep(waitTime);
-          continue; // don't increment attempt — rate limits are not real failures
-        }
-
-        if (isPrimaryRateLimit) {
-          console.log(`⏰ Primary rate limit hit during ${operationName}. Checking limits...`);
-          await this.checkRateLimit();
-          continue;
-        }
-
-        if (attempt >= maxRetries) {
+        // Errors marked `retryable: false` fail the same way every time
+        if (attempt >= maxRetries || error.retryable === false) {
           throw error;
         }
 
-        console.log(`⚠️  Attempt ${attempt}/${maxRetries} failed for ${operationName}: ${msg}`);
+        console.log(`⚠️  Attempt ${attempt}/${maxRetries} failed for ${operationName}: ${error.message}`);
         await this.sleep(CONFIG.retryDelay * attempt);
-        attempt++;
       }
     }
   }
 
+  /**
+   * Load the workshop manifest (workshop.json, optionally narrowed to a
+   * --profile) into CONFIG. An invalid manifest fails the run like any other
+   * configuration problem.
+   */
+  loadManifest() {
+    const workshop = loadWorkshopConfig({ profile: getArgValue(process.argv.slice(2), '--profile') });
+    Object.assign(CONFIG, {
+      backends: workshop.backends,
+      excludedPaths: workshop.excludedPaths,
+      requiredBranches: workshop.requiredBranches,
+      repoNameTemplate: workshop.repoNameTemplate,
+      repoSettings: workshop.repoSettings
+    });
+    this.naming = createRepoNaming({ template: CONFIG.repoNameTemplate, workshopId: CONFIG.workshopId, defaultBackend: CONFIG.backend });
+    return workshop;
+  }
+
   async validateConfig() {
     console.log('🔍 Validating configuration...');
     
-    if (!CONFIG.githubToken) {
-      throw new Error('GITHUB_TOKEN is required. Please set it as an environment variable.');
+    if (!hasCredentials()) {
+      throw new Error('GITHUB_TOKEN (or GITHUB_APP_ID with a private key) is required. Please set it as an environment variable.');
     }
+    console.log(`✅ Authenticating with ${describeAuth()}`);
+
+    const workshop = this.loadManifest();
+    console.log(`✅ Workshop manifest: ${workshop.manifestPath || 'built-in defaults'}${workshop.profile ? ` (profile: ${workshop.profile})` : ''}`);
+    console.log(`✅ Workshop ID: ${CONFIG.workshopId} (repos are tagged with topic ${workshopTopic(CONFIG.workshopId)})`);
 
     if (!fs.existsSync(CONFIG.csvFile)) {
       throw new Error(`CSV file not found: ${CONFIG.csvFile}`);
@@ -263,40 +175,83 @@ class WorkshopRepoSetup {
     // Auto-download release tarball if not present
     if (!fs.existsSync(CONFIG.releaseTarball)) {
       console.log(`\nRelease tarball not found at ${CONFIG.releaseTarball}, downloading from GitHub releases...`);
-      const releaseOwner = process.env.RELEASE_OWNER || 'cheeragpatel';
-      const releaseRepo = process.env.RELEASE_REPO || 'demo_setup_scripts';
-      const releaseTag = process.env.RELEASE_TAG || 'latest';
-      await downloadReleaseAsset(octokit, releaseOwner, releaseRepo, releaseTag, CONFIG.releaseTarball);
+      const { owner, repo, tag } = releaseSourceFromEnv();
+      await downloadReleaseAsset(octokit, owner, repo, tag, CONFIG.releaseTarball);
     }
     console.log('✅ Release tarball found');
 
     // Validate target organization exists
     try {
-      this.apiCallCount++;
-      await octokit.rest.orgs.get({
+      ({ data: this.org } = await octokit.rest.orgs.get({
         org: CONFIG.targetOrg
-      });
+      }));
       console.log('✅ Target organization validated');
-      
-      // Check initial rate limit
-      await this.checkRateLimit();
+      console.log(`ℹ️  ${scheduler.describe()}`);
     } catch (error) {
       throw new Error(`Target organization ${CONFIG.targetOrg} not found or not accessible`);
     }
+    this.isOrgOwner = await this.checkOrgOwner();
+
+    if (CONFIG.inviteTeam) {
+      try {
+        const { data: team } = await octokit.rest.teams.getByName({ org: CONFIG.targetOrg, team_slug: CONFIG.inviteTeam });
+        this.inviteTeamId = team.id;
+      } catch (error) {
+        throw new Error(`Team ${CONFIG.inviteTeam} not found in ${CONFIG.targetOrg}: ${error.message}`);
+      }
+    }
+    if (CONFIG.inviteToOrg) {
+      console.log(`✅ Attendees who are not members of ${CONFIG.targetOrg} will be invited${CONFIG.inviteTeam ? ` (into team ${CONFIG.inviteTeam})` : ''}`);
+    }
+
+    if (!['collaborators', 'teams'].includes(CONFIG.accessMode)) {
+      throw new Error(`Unknown access mode "${CONFIG.accessMode}" (use collaborators or teams)`);
+    }
+    if (!PERMISSIONS.includes(CONFIG.accessPermission)) {
+      throw new Error(`Unknown access permission "${CONFIG.accessPermission}" (use ${PERMISSIONS.join(', ')})`);
+    }
+    if (CONFIG.attendeeTeams && CONFIG.accessMode !== 'teams') {
+      throw new Error('--attendee-teams only applies together with --access teams');
+    }
+    if (CONFIG.accessMode === 'teams') {
+      console.log(`✅ Attendees get ${CONFIG.accessPermission} access through team ${CONFIG.accessTeam}${CONFIG.attendeeTeams ? ' (a child team per attendee or team)' : ' (every attendee can access every workshop repo)'}`);
+    }
+  }
+
+  /**
+   * Open the run journal: resume an existing one (--resume) or start a new one.
+   * Every attendee/repo step is appended to it as it completes.
+   */
+  openJournal() {
+    if (this.options.resumeJournal) {
+      const journal = RunJournal.open(this.options.resumeJournal);
+      if (journal.run.targetOrg && journal.run.targetOrg !== CONFIG.targetOrg) {
+        throw new Error(`Journal ${journal.filePath} was recorded for org ${journal.run.targetOrg}, but TARGET_ORG is ${CONFIG.targetOrg}`);
+      }
+      if (journal.run.workshopId && journal.run.workshopId !== CONFIG.workshopId) {
+        throw new Error(`Journal ${journal.filePath} was recorded for workshop ${journal.run.workshopId}, but the workshop ID is ${CONFIG.workshopId}`);
+      }
+      console.log(`↩️  Resuming run started at ${journal.run.startedAt} from ${journal.filePath}`);
+      return journal;
+    }
+
+    const journalFile = this.options.journalFile ||
+      `setup-journal-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+    const journal = RunJournal.create(journalFile, {
+      targetOrg: CONFIG.targetOrg,
+      workshopId: CONFIG.workshopId,
+      csvFile: CONFIG.csvFile,
+      releaseTarball: CONFIG.releaseTarball
+    });
+    console.log(`📒 Recording progress to ${journalFile} — resume an interrupted run with: node setup-repos.js --resume ${journalFile}`);
+    return journal;
   }
 
   async extractRelease() {
     console.log('📦 Extracting release tarball...');
     
     const extractDir = path.join(CONFIG.workingDir, 'extracted');
-    await fsPromises.mkdir(extractDir, { recursive: true });
-    
-    await tar.extract({
-      file: CONFIG.releaseTarball,
-      cwd: extractDir,
-      // Skip macOS AppleDouble resource fork files (._*) baked into tarballs
-      filter: (p) => !p.replace(/^\.[\\/]/, '').split(/[\\/]/).filter(Boolean).some(part => part.startsWith('._'))
-    });
+    await extractReleaseTarball(CONFIG.releaseTarball, extractDir);
     
     console.log('✅ Release extracted');
     return extractDir;
@@ -305,12 +260,7 @@ class WorkshopRepoSetup {
   async loadMetadata(extractDir) {
     console.log('📖 Loading demo metadata...');
     
-    const metadataPath = path.join(extractDir, '.octodemo', 'metadata.json');
-    if (!fs.existsSync(metadataPath)) {
-      throw new Error('metadata.json not found in release package');
-    }
-    
-    const metadata = JSON.parse(await fsPromises.readFile(metadataPath, 'utf-8'));
+    const metadata = await readReleaseMetadata(extractDir);
     console.log(`✅ Loaded metadata for demo: ${metadata.name || 'unknown'}`);
     
     // Store metadata for template context
@@ -319,7 +269,16 @@ class WorkshopRepoSetup {
     return metadata;
   }
 
-  buildTemplateContext(newRepoName, sourceRepoName, repoConfig) {
+  /**
+   * Backend for a group's repos: its members' CSV `backend` column, else BACKEND.
+   */
+  backendFor(group) {
+    return group?.backend || CONFIG.backend;
+  }
+
+  buildTemplateContext(newRepoName, sourceRepoName, repoConfig, group) {
+    const soloAttendee = group && !group.team ? group.members[0] : null;
+
     // Build a template context similar to gh-octodemo's deployment context
     const context = {
       source: {
@@ -342,15 +301,28 @@ class WorkshopRepoSetup {
         workshop_duration: CONFIG.workshopDuration,
         number_of_participants: CONFIG.numberOfParticipants,
         additional_notes: CONFIG.additionalNotes,
-        backend: CONFIG.backend,
+        backend: this.backendFor(group),
         needs_azure_deployment: 'No'
-      }
+      },
+      // Every attendees.csv column of a solo repo's owner, e.g. <$ attendee.display_name $>
+      attendee: {
+        ...(soloAttendee?.fields || {}),
+        github_username: soloAttendee?.githubUsername,
+        backend: this.backendFor(group)
+      },
+      // Shared repos: <$ team.name $> and the members' columns in team.members
+      team: group?.team ? {
+        name: group.team,
+        slug: group.slug,
+        size: group.members.length,
+        members: group.members.map(m => ({ ...m.fields, github_username: m.githubUsername }))
+      } : null
     };
     
     return context;
   }
 
-  async loadIssueBlueprints(extractDir, sourceRepoName) {
+  async loadIssueBlueprints(extractDir, sourceRepoName, backend = CONFIG.backend) {
     const issueContentPath = path.join(extractDir, '.octodemo', 'demo', 'issue-contents');
     
     // Check if issue content directory exists
@@ -363,9 +335,6 @@ class WorkshopRepoSetup {
 
     const issues = [];
     
-    // Determine backend type from metadata
-    const backend = this.metadata?.templateMainBranch || 'nodejs';
-    
     try {
       // Load the main issues (these are hardcoded in the blueprint)
       const legalDownloadPath = path.join(issueContentPath, 'legal-download-issue.md');
@@ -425,16 +394,21 @@ class WorkshopRepoSetup {
   async createIssues(repoName, issues) {
     if (!issues || issues.length === 0) {
       console.log('  ℹ️  No issues to create');
+      this.journal?.record(repoName, STEPS.ISSUES, { count: 0 });
       return;
     }
 
     console.log(`  📝 Creating ${issues.length} issue(s) in ${repoName}...`);
     
+    let allCreated = true;
     for (const issue of issues) {
+      // Skip issues a previous (interrupted) run already created
+      if (this.journal?.has(repoName, STEPS.ISSUE, entry => entry.title === issue.title)) {
+        console.log(`    ⏭️  Issue already created in a previous run: ${issue.title}`);
+        continue;
+      }
+
       try {
-        this.apiCallCount++;
-        await this.waitIfNeeded();
-        
         const issueData = {
           owner: CONFIG.targetOrg,
           repo: repoName,
@@ -450,14 +424,17 @@ class WorkshopRepoSetup {
         const response = await octokit.rest.issues.create(issueData);
         
         console.log(`    ✅ Created issue #${response.data.number}: ${issue.title}`);
-        
-        // Small delay between issue creations
-        await this.sleep(500);
+        this.journal?.record(repoName, STEPS.ISSUE, { title: issue.title, number: response.data.number });
         
       } catch (error) {
         console.error(`    ❌ Failed to create issue "${issue.title}": ${error.message}`);
+        allCreated = false;
       }
     }
+
+    if (allCreated) {
+      this.journal?.record(repoName, STEPS.ISSUES, { count: issues.length });
+    }
   }
 
   getRepositoriesFromMetadata(metadata) {
@@ -473,7 +450,8 @@ class WorkshopRepoSetup {
         mainBranch: repoConfig.mainBranch,
         additionalBranches: repoConfig.additionalBranches || [],
         templatedFiles: repoConfig.templatedFiles || [],
-        contentType: 'demo-contents'
+        contentType: 'demo-contents',
+        repoSettings: resolveRepoSettings(repoName, repoConfig.repoSettings, CONFIG.repoSettings)
       };
 
       if (repoName.includes('overlay')) {
@@ -497,28 +475,172 @@ class WorkshopRepoSetup {
     return repos;
   }
 
-  async loadAttendees() {
+  async loadAttendees(extractDir) {
     console.log(`📖 Loading attendees from ${CONFIG.csvFile}...`);
     
-    const attendees = [];
-    return new Promise((resolve, reject) => {
-      fs.createReadStream(CONFIG.csvFile)
-        .pipe(csv())
-        .on('data', (row) => {
-          // Expecting CSV with columns: github_username, email (optional)
-          if (row.github_username) {
-            attendees.push({
-              githubUsername: row.github_username.trim(),
-              email: row.email ? row.email.trim() : null
-            });
-          }
-        })
-        .on('end', () => {
-          console.log(`✅ Loaded ${attendees.length} attendees`);
-          resolve(attendees);
-        })
-        .on('error', reject);
-    });
+    // Expecting CSV with columns: github_username, email (optional), backend (optional)
+    // plus any extra columns, which templates can use as attendee.<column>
+    const attendees = await loadAttendees(CONFIG.csvFile);
+
+    const backendProblems = findUnsupportedBackends(attendees, CONFIG.backends, CONFIG.backend);
+    if (backendProblems.length > 0) {
+      throw new Error(`Unsupported backend(s) in configuration:\n  - ${backendProblems.join('\n  - ')}`);
+    }
+
+    const backendCounts = {};
+    attendees.forEach(a => { backendCounts[this.backendFor(a)] = (backendCounts[this.backendFor(a)] || 0) + 1; });
+    console.log(`✅ Loaded ${attendees.length} attendees (${Object.entries(backendCounts).map(([b, n]) => `${b}: ${n}`).join(', ')})`);
+
+    if (extractDir && attendees.length > 0) {
+      await this.reportMissingAttendeeColumns(extractDir, attendees);
+    }
+    return attendees;
+  }
+
+  /**
+   * Load attendees and split them into repo owners (solo attendees or teams).
+   */
+  async loadGroups(extractDir) {
+    const attendees = await this.loadAttendees(extractDir);
+    const groups = groupAttendees(attendees, { teamSize: CONFIG.teamSize });
+
+    const teams = groups.filter(g => g.team);
+    if (teams.length > 0) {
+      const teamMembers = teams.reduce((sum, g) => sum + g.members.length, 0);
+      console.log(`👥 ${teams.length} team(s) sharing repos (${teamMembers} attendees), ${groups.length - teams.length} solo attendee(s)`);
+    }
+    return groups;
+  }
+
+  /**
+   * Repo name for one group's copy of a source repo, from the naming template.
+   */
+  repoNameFor(sourceRepoName, group) {
+    return this.naming.nameFor(sourceRepoName, group);
+  }
+
+  templateRepoNameFor(sourceRepoName, backend) {
+    return `${sourceRepoName}-template-${backend}`;
+  }
+
+  /**
+   * Name every repo this run would create and stop before creating anything
+   * when a name cannot be built, two repos would share a name, or a name is
+   * taken in the org by a repo of another workshop. Repos this run's journal
+   * created count as this workshop's, even before they were tagged. With
+   * --adopt-untagged, repos with these names and no workshop topic (e.g. from
+   * a run whose tagging failed without a journal) are tagged as this
+   * workshop's instead, unless `adopt` is false (plan mode).
+   */
+  async checkRepoNames(repositories, groups, { checkOrg = true, adopt = true } = {}) {
+    const sourceRepoNames = Object.keys(repositories);
+    const reserved = CONFIG.useTemplateRepos
+      ? [...new Set(groups.map(group => this.backendFor(group)))].flatMap(backend =>
+        sourceRepoNames.map(sourceRepoName => this.templateRepoNameFor(sourceRepoName, backend)))
+      : [];
+    let existingRepos = checkOrg
+      ? (await octokit.paginate(octokit.rest.repos.listForOrg, { org: CONFIG.targetOrg, type: 'all', per_page: 100 }))
+        .filter(repo => !this.journal?.has(repo.name, STEPS.CREATED))
+      : null;
+
+    let untagged = [];
+    if (existingRepos && CONFIG.adoptUntagged) {
+      const planned = new Set(planRepoNames(this.naming, { sourceRepoNames, groups, reserved, workshopId: CONFIG.workshopId })
+        .names.map(({ repoName }) => repoName.toLowerCase()));
+      untagged = existingRepos.filter(repo => planned.has(repo.name.toLowerCase()) &&
+        !hasWorkshopTopic(repo, CONFIG.workshopId) && otherWorkshopTopics(repo.topics || [], CONFIG.workshopId).length === 0);
+      existingRepos = existingRepos.filter(repo => !untagged.includes(repo));
+    }
+
+    const { names, problems } = planRepoNames(this.naming, { sourceRepoNames, groups, reserved, existingRepos, workshopId: CONFIG.workshopId });
+    if (problems.length > 0) {
+      throw new Error(`Repository names from template ${this.naming.template} cannot be used:\n  - ${problems.join('\n  - ')}${CONFIG.adoptUntagged ? '' : '\n  (repos of this workshop that were never tagged can be adopted with --adopt-untagged)'}`);
+    }
+    console.log(`✅ ${names.length} repository names from template ${this.naming.template}${checkOrg ? `, none taken in ${CONFIG.targetOrg} by another workshop` : ''}`);
+
+    if (untagged.length > 0) {
+      console.log(`🏷️  ${adopt ? 'Adopting' : 'Would adopt'} ${untagged.length} untagged repo(s) as workshop ${CONFIG.workshopId}'s: ${untagged.map(repo => repo.name).join(', ')}`);
+      if (adopt) {
+        for (const repo of untagged) {
+          await this.retryOperation(
+            () => addWorkshopTopic(octokit, { owner: CONFIG.targetOrg, repo: repo.name, workshopId: CONFIG.workshopId }),
+            `tag ${repo.name} with workshop ${CONFIG.workshopId}`
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether the token acts as an owner of the target org, so member
+   * restrictions on repo creation do not apply. GitHub Apps act with their
+   * installation's permissions and count as owners, as in validate-config.
+   */
+  async checkOrgOwner() {
+    if (isAppAuth()) {
+      return true;
+    }
+    try {
+      const { data: membership } = await octokit.rest.orgs.getMembershipForAuthenticatedUser({ org: CONFIG.targetOrg });
+      return membership.role === 'admin';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Stop before creating anything when the org cannot have repos with the
+   * visibility a demo repo asks for, e.g. internal repos outside an enterprise
+   * or a visibility members may not create when the token is not an owner.
+   */
+  checkRepoVisibility(repositories) {
+    const demos = new Map(); // visibility -> [source repo names]
+    for (const [sourceRepoName, repoConfig] of Object.entries(repositories)) {
+      const { visibility } = repoConfig.repoSettings;
+      demos.set(visibility, [...(demos.get(visibility) || []), sourceRepoName]);
+    }
+
+    for (const [visibility, sourceRepoNames] of demos) {
+      const { supported, reason } = visibilitySupport(this.org, visibility, { isOwner: this.isOrgOwner });
+      if (supported === false) {
+        throw new Error(`${reason}. Set repoSettings.visibility in workshop.json for ${sourceRepoNames.join(', ')} (private, internal or public)`);
+      }
+      console.log(`${supported ? '✅' : '⚠️ '} ${reason}: ${sourceRepoNames.join(', ')}`);
+    }
+  }
+
+  /**
+   * The settings of one group's copy of a demo repo, with the description and
+   * homepage rendered for that group.
+   */
+  async repoSettingsFor(newRepoName, sourceRepoName, repoConfig, group) {
+    const context = this.buildTemplateContext(newRepoName, sourceRepoName, repoConfig, group);
+    return renderRepoSettings(repoConfig.repoSettings, context);
+  }
+
+  /**
+   * Warn about templates in the release that reference attendee.<column> for a
+   * column attendees.csv does not have. Those references render as empty text.
+   */
+  async reportMissingAttendeeColumns(extractDir, attendees) {
+    const columns = new Set([...attendeeColumns(attendees), 'github_username', 'backend']);
+    const missing = new Map(); // column -> [relative paths]
+
+    for (const { fullPath, content } of await this.findTemplateFiles(extractDir)) {
+      for (const column of findAttendeeReferences(content)) {
+        if (columns.has(column)) continue;
+        if (!missing.has(column)) missing.set(column, []);
+        missing.get(column).push(path.relative(extractDir, fullPath));
+      }
+    }
+
+    if (missing.size === 0) return;
+
+    console.warn(`⚠️  Templates reference ${missing.size} column(s) missing from ${CONFIG.csvFile} (they will render empty):`);
+    for (const [column, files] of missing) {
+      const shown = files.slice(0, 3).join(', ') + (files.length > 3 ? `, +${files.length - 3} more` : '');
+      console.warn(`   • attendee.${column} in ${shown}`);
+    }
   }
 
   /**
@@ -526,30 +648,44 @@ class WorkshopRepoSetup {
    * Returns 'populated' | 'empty' | 'missing'.
    */
   async checkRepoState(repoName) {
-    const url = `https://${CONFIG.githubToken}@github.com/${CONFIG.targetOrg}/${repoName}.git`;
+    const url = `https://github.com/${CONFIG.targetOrg}/${repoName}.git`;
     try {
       const { exec } = require('child_process');
       const { promisify } = require('util');
       const execAsync = promisify(exec);
-      const { stdout } = await execAsync(`git ls-remote --heads "${url}"`, { timeout: 15000 });
+      const env = await gitCredentialEnv(octokit);
+      const { stdout } = await execAsync(`git ls-remote --heads "${url}"`, { timeout: 15000, env });
       return stdout.trim().length > 0 ? 'populated' : 'empty';
     } catch {
       return 'missing';
     }
   }
 
-  async createRepositoryFromRelease(newRepoName, sourceRepoName, repoConfig, extractDir) {
+  /**
+   * Create a repo with its content, branches and PRs: generated from the
+   * template repository with --template-repos, else pushed from the release.
+   */
+  async createRepository(newRepoName, sourceRepoName, repoConfig, extractDir, group) {
+    if (CONFIG.useTemplateRepos) {
+      await this.createRepositoryFromTemplate(newRepoName, sourceRepoName, repoConfig, extractDir, group);
+    } else {
+      await this.createRepositoryFromRelease(newRepoName, sourceRepoName, repoConfig, extractDir, group);
+    }
+  }
+
+  async createRepositoryFromRelease(newRepoName, sourceRepoName, repoConfig, extractDir, group) {
     console.log(`  📦 Creating repository ${CONFIG.targetOrg}/${newRepoName}...`);
     
-    // Create new empty repository with internal visibility
-    this.apiCallCount++;
+    // Create new empty repository with the demo's visibility, description and homepage
+    const settings = await this.repoSettingsFor(newRepoName, sourceRepoName, repoConfig, group);
     let response;
     try {
       response = await octokit.rest.repos.createInOrg({
         org: CONFIG.targetOrg,
         name: newRepoName,
-        description: `Demo repository based on ${sourceRepoName}`,
-        visibility: 'internal',
+        description: settings.description,
+        homepage: settings.homepage,
+        visibility: settings.visibility,
         has_issues: true,
         has_projects: true,
         has_wiki: false,
@@ -559,11 +695,14 @@ class WorkshopRepoSetup {
       if (error.status === 422 && error.message.includes('name already exists')) {
         throw new Error(`Repository ${newRepoName} already exists (was not caught by pre-check)`);
       }
-      // Preserve the original error so retryOperation can inspect status/headers
+      // Preserve the original error so callers can inspect status/headers
       throw error;
     }
 
     console.log(`  ✅ Created empty repository: ${CONFIG.targetOrg}/${newRepoName}`);
+    // Recorded before tagging, so a repo whose tagging fails is still known as this run's
+    this.journal?.record(newRepoName, STEPS.CREATED, { sourceRepo: sourceRepoName });
+    await this.tagCreatedRepository(newRepoName, settings);
     
     // Populate repository with content from extracted release
     await this.populateRepositoryFromExtract(
@@ -571,184 +710,482 @@ class WorkshopRepoSetup {
       sourceRepoName,
       repoConfig, 
       extractDir, 
-      response.data.clone_url
+      response.data.clone_url,
+      group
     );
     
     return response.data;
   }
 
-  async populateRepositoryFromExtract(newRepoName, sourceRepoName, repoConfig, extractDir, targetCloneUrl) {
-    console.log(`  📂 Populating ${newRepoName} from extracted ${repoConfig.contentType}/${sourceRepoName}...`);
-    
-    // Use the contentType from repoConfig to find the correct source path
-    const sourcePath = path.join(extractDir, repoConfig.contentType, sourceRepoName);
-    
-    // Check if source path exists
-    try {
-      await fsPromises.access(sourcePath);
-    } catch (error) {
-      throw new Error(`Source path not found: ${sourcePath}`);
+  /**
+   * Template mode: the fully rendered template repository for a demo repo and
+   * backend, created or refreshed in the target org once per run and shared
+   * by every repo generated from it.
+   * Resolves to { name, branches: [{ name, prepared, rendered, tree }] }.
+   */
+  prepareTemplateRepository(sourceRepoName, repoConfig, extractDir, backend) {
+    const key = `${sourceRepoName}/${backend}`;
+    if (!this.templateRepos.has(key)) {
+      const template = this.buildTemplateRepository(sourceRepoName, repoConfig, extractDir, backend);
+      this.templateRepos.set(key, template);
+      // Let a failed build be retried by the next repo
+      template.catch(() => this.templateRepos.delete(key));
     }
-    
-    const tempDir = path.join(os.tmpdir(), `workshop-populate-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
-    
+    return this.templateRepos.get(key);
+  }
+
+  async buildTemplateRepository(sourceRepoName, repoConfig, extractDir, backend) {
+    const name = this.templateRepoNameFor(sourceRepoName, backend);
+    const owner = { slug: name, team: null, backend, members: [] };
+    console.log(`  🧩 Preparing template repository ${CONFIG.targetOrg}/${name}...`);
+
+    const layout = await this.getBranchLayout(sourceRepoName, repoConfig, extractDir);
+    const tempDir = path.join(os.tmpdir(), `workshop-template-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+
     try {
-      // Initialize git repository first
-      await fsPromises.mkdir(tempDir, { recursive: true });
-      await this.runGitCommand('git init', tempDir);
-      await this.runGitCommand('git config user.email "workshop@example.com"', tempDir);
-      await this.runGitCommand('git config user.name "Workshop Setup"', tempDir);
-      
-      // Get all branch directories from source
-      const branchDirs = await fsPromises.readdir(sourcePath);
-      const branches = [];
-      
-      // Collect all directories that represent branches
-      for (const item of branchDirs) {
-        const itemPath = path.join(sourcePath, item);
-        const stat = await fsPromises.stat(itemPath);
-        if (stat.isDirectory()) {
-          branches.push(item);
-        }
-      }
-      
-      if (branches.length === 0) {
-        throw new Error(`No branch directories found in ${sourcePath}`);
-      }
-      
-      console.log(`  📋 Found ${branches.length} branch(es): ${branches.join(', ')}`);
-      
-      // Determine main branch and process it first
-      // First, try to use the mainBranch from metadata
-      let mainBranchDir = branches.find(b => b === repoConfig.mainBranch);
-      if (!mainBranchDir) {
-        // Fallback: try sourceRepoName or 'main' as common defaults
-        mainBranchDir = branches.find(b => b === sourceRepoName || b === 'main');
-      }
-      if (!mainBranchDir) {
-        // Last resort: use the first directory found
-        mainBranchDir = branches[0];
+      await this.initLocalRepository(tempDir);
+      const branches = await this.commitBranchesLocally(tempDir, name, sourceRepoName, repoConfig, extractDir, layout, owner);
+
+      const remoteTrees = await this.getBranchTrees(name);
+      if (!remoteTrees) {
+        await octokit.rest.repos.createInOrg({
+          org: CONFIG.targetOrg,
+          name,
+          description: `Workshop template for ${sourceRepoName} (${backend})`,
+          visibility: repoConfig.repoSettings.visibility,
+          has_wiki: false,
+          auto_init: false
+        });
       }
-      
-      // Process main branch first
-      console.log(`  📋 Processing main branch from directory: ${mainBranchDir}`);
-      const mainBranchPath = path.join(sourcePath, mainBranchDir);
-      await this.copyDirectory(mainBranchPath, tempDir);
-      
-      // Apply overlays on top of base content for main branch
-      await this.applyOverlays(repoConfig, extractDir, mainBranchDir, tempDir);
-      
-      // Prune unwanted content (keep only api-nodejs as api/, remove demo/)
-      await this.pruneContent(tempDir);
-      
-      // Render templates for main branch
-      const templateContext = this.buildTemplateContext(newRepoName, sourceRepoName, repoConfig);
-      await this.renderDetectedTemplates(tempDir, templateContext);
-      
-      await this.runGitCommand('git add -A', tempDir);
-      await this.runGitCommand('git commit -m "Initial commit from release package" --allow-empty', tempDir);
-      
-      // Rename the initial branch to 'main' to match GitHub convention
-      await this.runGitCommand('git branch -M main', tempDir);
-      
-      // Process additional branches
-      const createdBranches = [];
-      for (const branchDir of branches) {
-        if (branchDir === mainBranchDir) continue; // Skip main branch
-        
-        // Determine the branch name - strip the main branch prefix if present
-        let branchName = branchDir;
-        if (branchDir.startsWith(mainBranchDir + '-')) {
-          // e.g., "nodejs-feature-add-cart-page" -> "feature-add-cart-page"
-          branchName = branchDir.substring(mainBranchDir.length + 1);
-        }
-        
-        console.log(`  📋 Processing branch: ${branchName} (from directory: ${branchDir})`);
-        const branchPath = path.join(sourcePath, branchDir);
-        
-        // Create and checkout new branch
-        await this.runGitCommand(`git checkout -b ${branchName}`, tempDir);
-        
-        // Clear directory (keep .git)
-        await this.runGitCommand('git rm -rf .', tempDir);
-        
-        // Copy branch content
-        await this.copyDirectory(branchPath, tempDir);
-        
-        // Apply overlays on top of base content for this branch
-        await this.applyOverlays(repoConfig, extractDir, branchDir, tempDir);
-        
-        // Prune unwanted content
-        await this.pruneContent(tempDir);
-        
-        // Render templates for this branch
-        const branchTemplateContext = this.buildTemplateContext(newRepoName, sourceRepoName, repoConfig);
-        await this.renderDetectedTemplates(tempDir, branchTemplateContext);
-        
-        // Commit branch content
-        await this.runGitCommand('git add -A', tempDir);
-        await this.runGitCommand(`git commit -m "Content for ${branchName} branch" --allow-empty`, tempDir);
-        
-        createdBranches.push(branchName);
+
+      // A template left by an earlier run is only re-pushed when its content changed
+      const upToDate = remoteTrees?.size === branches.length &&
+        branches.every(branch => remoteTrees.get(branch.name)?.tree === branch.tree);
+      if (upToDate) {
+        console.log(`  ✅ Template ${name} already has this release's content`);
+      } else {
+        await this.runGitCommand(`git remote add origin https://github.com/${CONFIG.targetOrg}/${name}.git`, tempDir);
+        await this.runGitCommand('git push --force origin main', tempDir);
+        await this.runGitCommand('git push --force --prune origin "refs/heads/*:refs/heads/*"', tempDir);
       }
-      
-      // Push all branches — push main first so GitHub sets it as default
-      const targetUrlWithAuth = targetCloneUrl.replace('https://', `https://${CONFIG.githubToken}@`);
-      await this.runGitCommand(`git remote add origin ${targetUrlWithAuth}`, tempDir);
-      await this.runGitCommand('git checkout main', tempDir);
-      await this.runGitCommand('git push -u origin main', tempDir);
-      await this.runGitCommand('git push -u origin --all', tempDir);
 
-      // Open a pull request for each non-main branch
-      if (createdBranches.length > 0) {
-        await this.createPullRequestsForBranches(newRepoName, createdBranches);
+      await octokit.rest.repos.update({ owner: CONFIG.targetOrg, repo: name, is_template: true });
+      // Other workshops may share this template: add the topic instead of replacing theirs
+      await this.retryOperation(
+        () => addWorkshopTopic(octokit, { owner: CONFIG.targetOrg, repo: name, workshopId: CONFIG.workshopId }),
+        `tag template ${name} with workshop ${CONFIG.workshopId}`
+      );
+      if (!remoteTrees) {
+        this.results.templates.push({ repoName: name, sourceRepo: sourceRepoName, backend });
       }
-      
-      console.log(`  ✅ Successfully populated repository from ${repoConfig.contentType}`);
-      
-    } catch (error) {
-      console.error(`  ❌ Failed to populate repository: ${error.message}`);
-      throw error;
+      console.log(`  ✅ Template repository ready: ${CONFIG.targetOrg}/${name}`);
+      return { name, branches };
     } finally {
-      // Clean up temp directory
       await this.safeCleanup(tempDir);
     }
   }
 
   /**
-   * Remove unwanted directories/files and rename api-<backend> to api/.
-   * Paths listed in CONFIG.excludedPaths are deleted before the rename so
-   * relative paths like 'api-nodejs/ca.key' resolve correctly.
-   * The demo/resources folder is preserved; all other demo/ content is removed.
+   * Mark a repo as created by this workshop, so cleanup finds exactly these repos,
+   * and set the demo's topics and custom properties from `settings`.
    */
-  async pruneContent(tempDir) {
-    const backend = CONFIG.backend || 'nodejs';
-    const apiSource = path.join(tempDir, `api-${backend}`);
-    const apiTarget = path.join(tempDir, 'api');
-
-    // Step 1: Remove excluded paths (files and directories)
-    for (const excluded of CONFIG.excludedPaths) {
-      const fullPath = path.join(tempDir, excluded);
-      try {
-        await fsPromises.rm(fullPath, { recursive: true, force: true });
-        console.log(`  🗑️  Removed excluded path: ${excluded}`);
-      } catch (err) {
-        if (err.code !== 'ENOENT') {
-          console.warn(`  ⚠️  Could not remove ${excluded}: ${err.message}`);
+  async tagRepository(repoName, settings = {}) {
+    await this.retryOperation(
+      async () => {
+        try {
+          await tagRepository(octokit, {
+            owner: CONFIG.targetOrg,
+            repo: repoName,
+            workshopId: CONFIG.workshopId,
+            property: CONFIG.workshopProperty,
+            topics: settings.topics,
+            customProperties: settings.customProperties
+          });
+        } catch (error) {
+          // E.g. a custom property that is not defined on the org: retrying cannot help
+          if (error.status === 422 || error.status === 404) {
+            error.retryable = false;
+          }
+          throw error;
         }
-      }
-    }
+      },
+      `tag ${repoName} with workshop ${CONFIG.workshopId}`
+    );
+  }
 
-    // Step 2: Rename api-<backend> to api/ (if it exists and api/ doesn't already)
-    try {
-      await fsPromises.access(apiSource);
-      try { await fsPromises.access(apiTarget); } catch {
-        await fsPromises.rename(apiSource, apiTarget);
+  /**
+   * Tag a repo this run created and journal it, so a resumed run knows
+   * whether tagging still has to be done.
+   */
+  async tagCreatedRepository(repoName, settings) {
+    await this.tagRepository(repoName, settings);
+    this.journal?.record(repoName, STEPS.TAGGED);
+  }
+
+  /**
+   * Branch name -> { commit, tree } for a repo, or null when the repo does not exist.
+   */
+  async getBranchTrees(repoName) {
+    const trees = new Map();
+    let refs;
+    try {
+      ({ data: refs } = await octokit.rest.git.listMatchingRefs({ owner: CONFIG.targetOrg, repo: repoName, ref: 'heads/' }));
+    } catch (error) {
+      if (error.status === 404) return null;
+      if (error.status === 409) return trees; // Repository is empty
+      throw error;
+    }
+
+    for (const ref of refs) {
+      const { data: commit } = await octokit.rest.git.getCommit({ owner: CONFIG.targetOrg, repo: repoName, commit_sha: ref.object.sha });
+      trees.set(ref.ref.replace('refs/heads/', ''), { commit: ref.object.sha, tree: commit.tree.sha });
+    }
+    return trees;
+  }
+
+  /**
+   * Template mode: generate a repo from its template repository with all
+   * branches, then give it the same history a pushed repo gets.
+   */
+  async createRepositoryFromTemplate(newRepoName, sourceRepoName, repoConfig, extractDir, group) {
+    const template = await this.prepareTemplateRepository(sourceRepoName, repoConfig, extractDir, this.backendFor(group));
+    console.log(`  📦 Generating ${CONFIG.targetOrg}/${newRepoName} from template ${template.name}...`);
+
+    const settings = await this.repoSettingsFor(newRepoName, sourceRepoName, repoConfig, group);
+    try {
+      await octokit.rest.repos.createUsingTemplate({
+        template_owner: CONFIG.targetOrg,
+        template_repo: template.name,
+        owner: CONFIG.targetOrg,
+        name: newRepoName,
+        description: settings.description,
+        include_all_branches: true,
+        private: settings.visibility !== 'public'
+      });
+    } catch (error) {
+      if (error.status !== 422 || !error.message.includes('already exists')) {
+        throw error;
+      }
+      // E.g. a request that timed out after GitHub generated the repo
+      if (!await this.generatedByThisWorkshop(newRepoName, template)) {
+        throw new Error(`Repository ${newRepoName} already exists (was not caught by pre-check)`);
+      }
+      console.log(`  ↩️  ${newRepoName} already exists and was generated by this workshop, continuing...`);
+    }
+
+    console.log(`  ✅ Generated repository: ${CONFIG.targetOrg}/${newRepoName}`);
+    this.journal?.record(newRepoName, STEPS.CREATED, { sourceRepo: sourceRepoName, template: template.name });
+    await this.applyGeneratedRepositorySettings(newRepoName, settings);
+
+    await this.finishRepositoryFromTemplate(newRepoName, sourceRepoName, repoConfig, template, group);
+  }
+
+  /**
+   * The template API has no internal visibility or homepage, so set them (and
+   * the features) on a generated repo afterwards, then tag it. A resumed run
+   * repeats this until the tag is journaled.
+   */
+  async applyGeneratedRepositorySettings(newRepoName, settings) {
+    await octokit.rest.repos.update({
+      owner: CONFIG.targetOrg,
+      repo: newRepoName,
+      visibility: settings.visibility,
+      homepage: settings.homepage,
+      has_issues: true,
+      has_projects: true,
+      has_wiki: false
+    });
+    await this.tagCreatedRepository(newRepoName, settings);
+  }
+
+  /**
+   * Whether an existing repo is one this workshop generated from `template`:
+   * journaled as created, tagged with the workshop topic, or generated from
+   * that template repository.
+   */
+  async generatedByThisWorkshop(repoName, template) {
+    if (this.journal?.has(repoName, STEPS.CREATED)) {
+      return true;
+    }
+    const { data: repo } = await octokit.rest.repos.get({ owner: CONFIG.targetOrg, repo: repoName });
+    return hasWorkshopTopic(repo, CONFIG.workshopId) ||
+      repo.template_repository?.full_name?.toLowerCase() === `${CONFIG.targetOrg}/${template.name}`.toLowerCase();
+  }
+
+  /**
+   * Recommit the branches of a repo generated from `template`. Generated
+   * branches are unrelated single commits, which pull requests cannot
+   * compare, so each branch is committed again on top of the previous one.
+   * Only templates whose per-repo rendering differs from the template
+   * repository's are uploaded; every other file reuses the template's trees.
+   */
+  async finishRepositoryFromTemplate(newRepoName, sourceRepoName, repoConfig, template, group) {
+    await this.waitForBranches(newRepoName, template.branches.map(branch => branch.name));
+
+    let parent = null;
+    for (const [index, branch] of template.branches.entries()) {
+      const rendered = await this.renderBranchTemplates(newRepoName, sourceRepoName, repoConfig, branch.prepared, group);
+      const changed = branch.prepared.templates
+        .map(({ path: filePath, mode, content }) => ({
+          path: filePath,
+          mode,
+          content: rendered.get(filePath) ?? content,
+          templateContent: branch.rendered.get(filePath) ?? content
+        }))
+        .filter(file => file.content !== file.templateContent);
+
+      // Trees and commits are content-addressed and the ref update is forced,
+      // so these are safe to send again after a failure
+      let tree = branch.tree;
+      if (changed.length > 0) {
+        const { data } = await this.retryOperation(
+          () => octokit.rest.git.createTree({
+            owner: CONFIG.targetOrg,
+            repo: newRepoName,
+            base_tree: branch.tree,
+            tree: changed.map(file => ({ path: file.path, mode: file.mode, type: 'blob', content: file.content }))
+          }),
+          `render ${changed.length} file(s) on ${branch.name}`
+        );
+        tree = data.sha;
+      }
+
+      const { data: commit } = await this.retryOperation(
+        () => octokit.rest.git.createCommit({
+          owner: CONFIG.targetOrg,
+          repo: newRepoName,
+          message: this.branchCommitMessages(index, branch.name).join('\n\n'),
+          tree,
+          parents: parent ? [parent] : [],
+          author: { name: 'Workshop Setup', email: 'workshop@example.com' }
+        }),
+        `commit ${branch.name}`
+      );
+      await this.retryOperation(
+        () => octokit.rest.git.updateRef({
+          owner: CONFIG.targetOrg,
+          repo: newRepoName,
+          ref: `heads/${branch.name}`,
+          sha: commit.sha,
+          force: true
+        }),
+        `update ${branch.name}`
+      );
+      console.log(`  📋 ${branch.name}: ${changed.length > 0 ? `${changed.length} file(s) rendered for this repo` : 'template content as is'}`);
+      parent = commit.sha;
+    }
+
+    const createdBranches = template.branches.slice(1).map(branch => branch.name);
+    this.journal?.record(newRepoName, STEPS.PUSHED, { branches: createdBranches });
+
+    if (createdBranches.length > 0) {
+      await this.createPullRequestsForBranches(newRepoName, createdBranches);
+    }
+  }
+
+  /**
+   * Wait until GitHub has finished copying a generated repo's branches.
+   */
+  async waitForBranches(repoName, branchNames, attempts = 15) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { data: refs } = await octokit.rest.git.listMatchingRefs({ owner: CONFIG.targetOrg, repo: repoName, ref: 'heads/' });
+        const present = refs.map(ref => ref.ref.replace('refs/heads/', ''));
+        if (branchNames.every(name => present.includes(name))) {
+          return;
+        }
+      } catch (error) {
+        // 404/409 until the copy has started
+        if (error.status !== 404 && error.status !== 409) throw error;
+      }
+      if (attempt >= attempts) {
+        throw new Error(`${repoName} was generated but not all of its branches appeared (${branchNames.join(', ')})`);
+      }
+      await this.sleep(2000);
+    }
+  }
+
+  /**
+   * Branch directories of a demo repo in the extracted release (see lib/release.js).
+   */
+  async getBranchLayout(sourceRepoName, repoConfig, extractDir) {
+    return branchLayout(extractDir, sourceRepoName, repoConfig);
+  }
+
+  /**
+   * Copy, overlay and prune one branch for `backend`, once per run, and render
+   * the templates that use no per-repo variables. Every repo built from this
+   * branch and backend reuses the result (see ContentCache#prepare).
+   */
+  prepareBranchContent(sourceRepoName, repoConfig, extractDir, layout, branchDir, backend) {
+    return this.contentCache.prepare(`${sourceRepoName}/${branchDir}/${backend}`, async (dir) => {
+      console.log(`  🧱 Preparing shared content: ${sourceRepoName}/${branchDir} (${backend})`);
+      await this.copyDirectory(path.join(layout.sourcePath, branchDir), dir);
+      
+      // Apply overlays on top of base content for this branch
+      await this.applyOverlays(repoConfig, extractDir, branchDir, dir);
+      
+      // Prune unwanted content (keep only api-<backend> as api/, remove demo/)
+      await this.pruneContent(dir, backend);
+
+      const templates = (await this.findTemplateFiles(dir))
+        .map(({ fullPath, content }) => ({ path: path.relative(dir, fullPath), content }));
+      const perRepo = templates.filter(template => usesPerRepoVariables(template.content));
+      const shared = templates.filter(template => !usesPerRepoVariables(template.content));
+
+      // Shared templates only read repo-independent values, so any repo's context renders them
+      const context = this.buildTemplateContext(null, sourceRepoName, repoConfig, { backend, team: null, members: [] });
+      await this.writeRenderedFiles(dir, await this.renderTemplateFiles(shared, context));
+
+      return perRepo;
+    });
+  }
+
+  /**
+   * Render a prepared branch's per-repo templates for one repo.
+   * Returns a Map of path -> rendered content.
+   */
+  async renderBranchTemplates(newRepoName, sourceRepoName, repoConfig, prepared, group) {
+    const templateContext = this.buildTemplateContext(newRepoName, sourceRepoName, repoConfig, group);
+    return this.renderTemplateFiles(prepared.templates, templateContext);
+  }
+
+  /**
+   * Build the final content of one branch into `targetDir`:
+   * copy the prepared branch content, then render the per-repo templates.
+   */
+  async buildBranchContent(newRepoName, sourceRepoName, repoConfig, extractDir, layout, branchDir, targetDir, group) {
+    const prepared = await this.prepareBranchContent(sourceRepoName, repoConfig, extractDir, layout, branchDir, this.backendFor(group));
+    await this.copyDirectory(prepared.dir, targetDir);
+    await this.writeRenderedFiles(targetDir, await this.renderBranchTemplates(newRepoName, sourceRepoName, repoConfig, prepared, group));
+  }
+
+  /**
+   * Create the bare repo at `tempDir` that branches are committed into. It
+   * borrows the shared object store, so only the rendered templates and the
+   * commits are written per repo and nothing is checked out.
+   */
+  async initLocalRepository(tempDir) {
+    await fsPromises.mkdir(tempDir, { recursive: true });
+    await this.runGitCommand('git init --bare --initial-branch=main', tempDir);
+    await this.contentCache.attach(tempDir);
+    await this.runGitCommand('git config user.email "workshop@example.com"', tempDir);
+    await this.runGitCommand('git config user.name "Workshop Setup"', tempDir);
+  }
+
+  /**
+   * Commit messages for the branch at `index` of a repo's branch layout.
+   */
+  branchCommitMessages(index, branchName) {
+    return index === 0
+      ? ['Initial commit from release package', `Workshop-Release: ${this.getReleaseVersion()}`]
+      : [`Content for ${branchName} branch`];
+  }
+
+  /**
+   * Commit every branch of a repo into the local repo at `tempDir`: main
+   * first, then each further branch on top of the previous one.
+   * Returns [{ name, prepared, rendered, tree }] in commit order.
+   */
+  async commitBranchesLocally(tempDir, newRepoName, sourceRepoName, repoConfig, extractDir, layout, group) {
+    console.log(`  📋 Found ${layout.branches.length} branch(es): ${layout.branches.map(b => b.dir).join(', ')}`);
+
+    const branches = [];
+    let parent = null;
+    for (const [index, { dir: branchDir, name: branchName }] of layout.branches.entries()) {
+      if (index === 0) {
+        console.log(`  📋 Processing main branch from directory: ${branchDir}`);
+      } else {
+        console.log(`  📋 Processing branch: ${branchName} (from directory: ${branchDir})`);
+      }
+
+      const prepared = await this.prepareBranchContent(sourceRepoName, repoConfig, extractDir, layout, branchDir, this.backendFor(group));
+      const rendered = await this.renderBranchTemplates(newRepoName, sourceRepoName, repoConfig, prepared, group);
+      const tree = await this.contentCache.writeTree(tempDir, prepared, rendered);
+      parent = await this.contentCache.commitBranch(tempDir, branchName, tree, {
+        parent,
+        messages: this.branchCommitMessages(index, branchName)
+      });
+      branches.push({ name: branchName, prepared, rendered, tree });
+    }
+    return branches;
+  }
+
+  async populateRepositoryFromExtract(newRepoName, sourceRepoName, repoConfig, extractDir, targetCloneUrl, group) {
+    console.log(`  📂 Populating ${newRepoName} from extracted ${repoConfig.contentType}/${sourceRepoName}...`);
+    
+    const layout = await this.getBranchLayout(sourceRepoName, repoConfig, extractDir);
+    const tempDir = path.join(os.tmpdir(), `workshop-populate-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+    
+    try {
+      await this.initLocalRepository(tempDir);
+      const branches = await this.commitBranchesLocally(tempDir, newRepoName, sourceRepoName, repoConfig, extractDir, layout, group);
+      const createdBranches = branches.slice(1).map(branch => branch.name);
+      
+      // Push all branches — push main first so GitHub sets it as default
+      await this.runGitCommand(`git remote add origin ${targetCloneUrl}`, tempDir);
+      await this.pushWithRetry(newRepoName, ['git push origin main', 'git push origin --all'], tempDir);
+      this.journal?.record(newRepoName, STEPS.PUSHED, { branches: createdBranches });
+
+      // Open a pull request for each non-main branch
+      if (createdBranches.length > 0) {
+        await this.createPullRequestsForBranches(newRepoName, createdBranches);
+      }
+      
+      console.log(`  ✅ Successfully populated repository from ${repoConfig.contentType}`);
+      
+    } catch (error) {
+      console.error(`  ❌ Failed to populate repository: ${error.message}`);
+      throw error;
+    } finally {
+      // Clean up temp directory
+      await this.safeCleanup(tempDir);
+    }
+  }
+
+  /**
+   * Remove unwanted directories/files and rename api-<backend> to api/.
+   * Every other api-<variant> directory is removed, and paths listed in
+   * CONFIG.excludedPaths are deleted before the rename so relative paths
+   * like 'api-nodejs/ca.key' resolve correctly.
+   * The demo/resources folder is preserved; all other demo/ content is removed.
+   */
+  async pruneContent(tempDir, backend = CONFIG.backend) {
+    const apiSource = path.join(tempDir, `api-${backend}`);
+    const apiTarget = path.join(tempDir, 'api');
+
+    // Step 1: Remove excluded paths (files and directories)
+    for (const excluded of CONFIG.excludedPaths) {
+      const fullPath = path.join(tempDir, excluded);
+      try {
+        await fsPromises.rm(fullPath, { recursive: true, force: true });
+        console.log(`  🗑️  Removed excluded path: ${excluded}`);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          console.warn(`  ⚠️  Could not remove ${excluded}: ${err.message}`);
+        }
+      }
+    }
+
+    // Step 2: Keep only api-<backend>; remove the other backend variants
+    const rootEntries = await fsPromises.readdir(tempDir, { withFileTypes: true });
+    for (const entry of rootEntries) {
+      if (entry.isDirectory() && entry.name.startsWith('api-') && entry.name !== `api-${backend}`) {
+        await fsPromises.rm(path.join(tempDir, entry.name), { recursive: true, force: true });
+        console.log(`  🗑️  Removed backend variant: ${entry.name}`);
+      }
+    }
+
+    // Step 3: Rename api-<backend> to api/ (if it exists and api/ doesn't already)
+    try {
+      await fsPromises.access(apiSource);
+      try { await fsPromises.access(apiTarget); } catch {
+        await fsPromises.rename(apiSource, apiTarget);
         console.log(`  🔧 Renamed api-${backend}/ → api/`);
       }
     } catch { /* api-<backend> doesn't exist in this content, skip */ }
 
-    // Step 3: Preserve demo/resources — remove all other content inside demo/
+    // Step 4: Preserve demo/resources — remove all other content inside demo/
     const demoDir = path.join(tempDir, 'demo');
     try {
       await fsPromises.access(demoDir);
@@ -760,7 +1197,7 @@ class WorkshopRepoSetup {
       console.log(`  📁 Preserved demo/resources/`);
     } catch { /* demo/ doesn't exist, skip */ }
 
-    // Step 4: Keep only the api-endpoint-<backend> skill; remove all other api-endpoint-* variants
+    // Step 5: Keep only the api-endpoint-<backend> skill; remove all other api-endpoint-* variants
     const skillsDir = path.join(tempDir, '.github', 'skills');
     try {
       await fsPromises.access(skillsDir);
@@ -789,27 +1226,22 @@ class WorkshopRepoSetup {
         .replace(/\b\w/g, c => c.toUpperCase());
 
       try {
-        this.apiCallCount++;
-        await this.waitIfNeeded();
-
-        const pr = await this.retryOperation(
-          () => octokit.rest.pulls.create({
-            owner: CONFIG.targetOrg,
-            repo: repoName,
-            title,
-            head: branch,
-            base: 'main',
-            body: `This pull request contains the content for the \`${branch}\` branch.`
-          }),
-          `create PR for ${branch}`
-        );
+        const pr = await octokit.rest.pulls.create({
+          owner: CONFIG.targetOrg,
+          repo: repoName,
+          title,
+          head: branch,
+          base: 'main',
+          body: `This pull request contains the content for the \`${branch}\` branch.`
+        });
 
         console.log(`    ✅ Created PR #${pr.data.number}: "${title}" (${branch} → main)`);
-        await this.sleep(500);
       } catch (error) {
         console.error(`    ❌ Failed to create PR for ${branch}: ${error.message}`);
       }
     }
+
+    this.journal?.record(repoName, STEPS.PULL_REQUESTS, { branches: branchNames });
   }
 
   /**
@@ -921,12 +1353,13 @@ class WorkshopRepoSetup {
   }
 
   /**
-   * Scan the working directory for files containing template markers (<$ or <%)
-   * and render them through the Liquid template engine.
+   * Render template files ([{ path, content }]) through the Liquid engine.
+   * Returns a Map of path -> rendered content; a file that fails to render
+   * is left out so it keeps its original content.
    */
-  async renderDetectedTemplates(workingDir, context) {
-    const TEMPLATE_EXTENSIONS = ['.md', '.yml', '.yaml', '.json', '.txt', '.env', '.html'];
-    const TEMPLATE_MARKER = /<%|<\$/;
+  async renderTemplateFiles(files, context) {
+    const rendered = new Map();
+    if (files.length === 0) return rendered;
 
     const engine = new Liquid({
       tagDelimiterLeft: '<%',
@@ -936,7 +1369,33 @@ class WorkshopRepoSetup {
       greedy: false
     });
 
-    const filesToRender = [];
+    console.log(`  🎨 Rendering ${files.length} detected template file(s)...`);
+    for (const { path: relPath, content } of files) {
+      try {
+        rendered.set(relPath, await engine.parseAndRender(content, context));
+        console.log(`    ✅ Rendered: ${relPath}`);
+      } catch (error) {
+        console.warn(`    ⚠️  Template render failed for ${relPath}: ${error.message}`);
+      }
+    }
+    return rendered;
+  }
+
+  async writeRenderedFiles(dir, rendered) {
+    for (const [relPath, content] of rendered) {
+      await fsPromises.writeFile(path.join(dir, relPath), content, 'utf-8');
+    }
+  }
+
+  /**
+   * Find files under `dir` (skipping .git) that contain template markers.
+   * Returns [{ fullPath, content }].
+   */
+  async findTemplateFiles(dir) {
+    const TEMPLATE_EXTENSIONS = ['.md', '.yml', '.yaml', '.json', '.txt', '.env', '.html'];
+    const TEMPLATE_MARKER = /<%|<\$/;
+
+    const templateFiles = [];
 
     const walk = async (dir) => {
       const entries = await fsPromises.readdir(dir, { withFileTypes: true });
@@ -949,28 +1408,15 @@ class WorkshopRepoSetup {
           try {
             const content = await fsPromises.readFile(fullPath, 'utf-8');
             if (TEMPLATE_MARKER.test(content)) {
-              filesToRender.push({ fullPath, content });
+              templateFiles.push({ fullPath, content });
             }
           } catch { /* skip unreadable files */ }
         }
       }
     };
 
-    await walk(workingDir);
-
-    if (filesToRender.length === 0) return;
-
-    console.log(`  🎨 Rendering ${filesToRender.length} detected template file(s)...`);
-    for (const { fullPath, content } of filesToRender) {
-      const relPath = path.relative(workingDir, fullPath);
-      try {
-        const rendered = await engine.parseAndRender(content, context);
-        await fsPromises.writeFile(fullPath, rendered, 'utf-8');
-        console.log(`    ✅ Rendered: ${relPath}`);
-      } catch (error) {
-        console.warn(`    ⚠️  Template render failed for ${relPath}: ${error.message}`);
-      }
-    }
+    await walk(dir);
+    return templateFiles;
   }
 
   async cloneRepositoryWithGit(newRepoName, targetCloneUrl) {
@@ -988,8 +1434,7 @@ class WorkshopRepoSetup {
       await this.runGitCommand('git fetch --all', tempDir);
       
       // Set the new remote URL for pushing
-      const targetUrlWithAuth = targetCloneUrl.replace('https://', `https://${CONFIG.githubToken}@`);
-      await this.runGitCommand(`git remote add target ${targetUrlWithAuth}`, tempDir);
+      await this.runGitCommand(`git remote add target ${targetCloneUrl}`, tempDir);
       
       // Push only the required branches
       console.log(`📤 Pushing required branches: ${CONFIG.requiredBranches.join(', ')}`);
@@ -1048,11 +1493,11 @@ class WorkshopRepoSetup {
     const { promisify } = require('util');
     const execAsync = promisify(exec);
     
-    const displayCommand = command.replace(CONFIG.githubToken, '***');
-    console.log(`  🔧 Running: ${displayCommand}${cwd ? ` (in ${cwd})` : ''}`);
+    console.log(`  🔧 Running: ${redact(command)}${cwd ? ` (in ${cwd})` : ''}`);
     
     try {
-      const options = cwd ? { cwd } : {};
+      // Credentials reach git through a helper in the environment, never the command line
+      const options = { env: await gitCredentialEnv(octokit), ...(cwd ? { cwd } : {}) };
       const { stdout, stderr } = await execAsync(command, options);
       if (stderr && !stderr.includes('warning:') && !stderr.includes('Cloning into')) {
         console.log(`  ℹ️ Git output: ${stderr}`);
@@ -1064,6 +1509,16 @@ class WorkshopRepoSetup {
     }
   }
 
+  /**
+   * Run git push commands, retrying each one: GitHub can refuse pushes for a
+   * moment after creating a repo, and pushing the same refs again is harmless.
+   */
+  async pushWithRetry(repoName, commands, cwd) {
+    for (const command of commands) {
+      await this.retryOperation(() => this.runGitCommand(command, cwd), `${command} (${repoName})`);
+    }
+  }
+
   async safeCleanup(dirPath) {
     // Safety check: only allow cleanup of temp directories
     const normalizedPath = path.resolve(dirPath);
@@ -1162,140 +1617,1042 @@ class WorkshopRepoSetup {
   async addCollaborator(repoName, username) {
     console.log(`  👤 Adding ${username} as owner of ${repoName}...`);
     
-    try {
-      this.apiCallCount++;
-      await octokit.rest.repos.addCollaborator({
-        owner: CONFIG.targetOrg,
-        repo: repoName,
-        username: username,
-        permission: 'admin'
-      });
-      console.log(`  ✅ Added ${username} as admin collaborator`);
-    } catch (error) {
-      if (error.status === 422) {
-        console.log(`  ℹ️ ${username} is already a collaborator`);
-      } else {
-        throw error;
-      }
+    const { status, invitationId } = await addRepoCollaborator(octokit, {
+      owner: CONFIG.targetOrg,
+      repo: repoName,
+      username,
+      permission: CONFIG.accessPermission
+    });
+    if (status === 'invited') {
+      console.log(`  📨 Invited ${username} as ${CONFIG.accessPermission} collaborator (pending until accepted)`);
+      this.results.invitations.repos.push({ repoName, username, invitationId, invitedAt: new Date().toISOString() });
+    } else {
+      console.log(`  ✅ Added ${username} as ${CONFIG.accessPermission} collaborator`);
     }
   }
 
-  async setupReposForAttendee(attendee, repositories, extractDir) {
-    console.log(`\n🚀 Setting up repositories for ${attendee.githubUsername}...`);
-    
-    const repoEntries = Object.entries(repositories);
-    const results = [];
-    
-    // Process repos in batches with concurrency control
-    for (let i = 0; i < repoEntries.length; i += CONFIG.concurrentRepos) {
-      const batch = repoEntries.slice(i, i + CONFIG.concurrentRepos);
-      
-      const batchPromises = batch.map(async ([sourceRepoName, repoConfig]) => {
-        const newRepoName = `${sourceRepoName}-${attendee.githubUsername}`;
-        
-        try {
-          // Check rate limit before processing
-          await this.waitIfNeeded();
-          
-          // Check repo state via git ls-remote (no API call)
-          const repoState = await this.checkRepoState(newRepoName);
-          if (repoState === 'populated') {
-            console.log(`  ⏭️ Repository ${newRepoName} already exists and has branches, skipping...`);
-            this.results.skipped.push({
-              attendee,
-              repoName: newRepoName,
-              sourceRepo: sourceRepoName,
-              reason: 'Repository already exists'
-            });
-            return { status: 'skipped', repoName: newRepoName };
-          }
-          if (repoState === 'empty') {
-            console.log(`  🔄 Repository ${newRepoName} exists but is empty, deleting and recreating...`);
-            try {
-              this.apiCallCount++;
-              await octokit.rest.repos.delete({
-                owner: CONFIG.targetOrg,
-                repo: newRepoName
-              });
-              await this.sleep(2000);
-            } catch (deleteError) {
-              console.warn(`  ⚠️ Could not delete empty repo ${newRepoName}: ${deleteError.message}`);
-              this.results.failed.push({
-                attendee,
-                repoName: newRepoName,
-                sourceRepo: sourceRepoName,
-                error: `Empty repo exists but could not be deleted: ${deleteError.message}`
-              });
-              return { status: 'failed', repoName: newRepoName, error: deleteError.message };
-            }
+  /**
+   * Find or create an access team once per run. A failed lookup or creation
+   * is forgotten, so the next group tries again.
+   */
+  ensureAccessTeam(name, description, parentTeamId = null) {
+    if (!this.accessTeams.has(name)) {
+      const promise = ensureTeam(octokit, { org: CONFIG.targetOrg, name, description, parentTeamId })
+        .then(({ team, created }) => {
+          console.log(`  👥 ${created ? 'Created' : 'Using'} team ${team.slug}`);
+          if (created) {
+            this.createdTeams.add(name);
+            this.journal?.record(name, STEPS.TEAM_CREATED, { team: team.slug });
           }
+          return team;
+        });
+      promise.catch(() => this.accessTeams.delete(name));
+      this.accessTeams.set(name, promise);
+    }
+    return this.accessTeams.get(name);
+  }
 
-          // Create repository from release content (with retry)
-          await this.retryOperation(
-            () => this.createRepositoryFromRelease(newRepoName, sourceRepoName, repoConfig, extractDir),
-            `create repository ${newRepoName}`
-          );
+  /**
+   * The team a group's repos are granted to (--access teams): its own child
+   * of the workshop team with --attendee-teams, else the workshop team.
+   */
+  async accessTeamFor(group) {
+    const workshopTeam = await this.ensureAccessTeam(CONFIG.accessTeam, `Workshop ${CONFIG.workshopId} attendees`);
+    if (!CONFIG.attendeeTeams) {
+      return workshopTeam;
+    }
+    return this.ensureAccessTeam(groupTeamName(CONFIG.accessTeam, group), `Workshop ${CONFIG.workshopId}: ${describeGroup(group)}`, workshopTeam.id);
+  }
 
-          // Add attendee as collaborator (best effort — don't fail the whole repo)
-          try {
-            await this.retryOperation(
-              () => this.addCollaborator(newRepoName, attendee.githubUsername),
-              `add collaborator to ${newRepoName}`
-            );
-          } catch (collabError) {
-            console.warn(`  ⚠️ Could not add collaborator ${attendee.githubUsername} to ${newRepoName}: ${collabError.message}`);
-          }
+  /**
+   * Add a group's members to its access team (--access teams). GitHub invites
+   * members who are not in the org yet; they join the team when they accept.
+   * Failures are recorded, not thrown, like collaborator failures.
+   */
+  async addGroupToTeam(group) {
+    if (CONFIG.accessMode !== 'teams') return;
 
-          // Track repo for deferred issue creation (done in a second pass)
-          if (repoConfig.contentType === 'demo-contents') {
-            this.pendingIssues = this.pendingIssues || [];
-            this.pendingIssues.push({ repoName: newRepoName, sourceRepoName, extractDir });
+    let team;
+    try {
+      team = await this.retryOperation(() => this.accessTeamFor(group), `create team for ${describeGroup(group)}`);
+    } catch (error) {
+      console.warn(`  ⚠️ Could not create the team for ${describeGroup(group)}: ${error.message}`);
+      group.members.forEach(({ githubUsername }) => {
+        this.results.accessFailures.push({ username: githubUsername, repoName: null, error: error.message });
+      });
+      return;
+    }
+
+    for (const { githubUsername } of group.members) {
+      try {
+        const state = await addTeamMember(octokit, { org: CONFIG.targetOrg, team, username: githubUsername });
+        if (state === 'pending') {
+          console.log(`  📨 Invited ${githubUsername} to ${CONFIG.targetOrg} (team ${team.slug})`);
+          this.results.invitations.org.push({ username: githubUsername, status: 'pending', team: team.slug, invitedAt: new Date().toISOString() });
+        } else {
+          console.log(`  ✅ Added ${githubUsername} to team ${team.slug}`);
+        }
+      } catch (error) {
+        console.warn(`  ⚠️ Could not add ${githubUsername} to team ${team.slug}: ${error.message}`);
+        this.results.accessFailures.push({ username: githubUsername, repoName: null, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Give a group access to one of its repos: through its team (--access
+   * teams, one call per repo) or by adding every member as a collaborator.
+   * Best effort — failures are recorded and don't fail the whole repo.
+   */
+  async grantAccess(group, repoName) {
+    if (CONFIG.accessMode === 'teams') {
+      if (this.journal?.has(repoName, STEPS.TEAM_ACCESS)) return;
+      try {
+        const team = await this.accessTeamFor(group);
+        await grantTeamAccess(octokit, { org: CONFIG.targetOrg, team, repo: repoName, permission: CONFIG.accessPermission });
+        console.log(`  ✅ Granted team ${team.slug} ${CONFIG.accessPermission} access`);
+        this.journal?.record(repoName, STEPS.TEAM_ACCESS, { team: team.slug });
+      } catch (error) {
+        console.warn(`  ⚠️ Could not grant team access to ${repoName}: ${error.message}`);
+        group.members.forEach(({ githubUsername }) => {
+          this.results.accessFailures.push({ username: githubUsername, repoName, error: error.message });
+        });
+      }
+      return;
+    }
+
+    for (const { githubUsername } of group.members) {
+      if (this.journal?.has(repoName, STEPS.COLLABORATOR, entry => entry.username === githubUsername)) continue;
+      try {
+        await this.addCollaborator(repoName, githubUsername);
+        this.journal?.record(repoName, STEPS.COLLABORATOR, { username: githubUsername });
+      } catch (collabError) {
+        console.warn(`  ⚠️ Could not add collaborator ${githubUsername} to ${repoName}: ${collabError.message}`);
+        this.results.accessFailures.push({ username: githubUsername, repoName, error: collabError.message });
+      }
+    }
+  }
+
+  /**
+   * Invite the members of a group who are not in the org yet (with
+   * --invite-to-org). Failures are recorded, not thrown: the repos are
+   * still set up, and the invitations follow-up can try again.
+   */
+  async inviteGroupToOrg(group) {
+    if (!CONFIG.inviteToOrg) return;
+
+    for (const { githubUsername } of group.members) {
+      try {
+        const { status, invitationId } = await inviteToOrg(octokit, {
+          org: CONFIG.targetOrg,
+          username: githubUsername,
+          teamId: this.inviteTeamId,
+          teamSlug: CONFIG.inviteTeam || null
+        });
+        if (status === 'invited') {
+          console.log(`  📨 Invited ${githubUsername} to ${CONFIG.targetOrg}${CONFIG.inviteTeam ? ` (team ${CONFIG.inviteTeam})` : ''}`);
+        }
+        if (status !== 'member') {
+          this.results.invitations.org.push({ username: githubUsername, status, invitationId, invitedAt: new Date().toISOString() });
+        }
+      } catch (error) {
+        console.warn(`  ⚠️ Could not invite ${githubUsername} to ${CONFIG.targetOrg}: ${error.message}`);
+        this.results.accessFailures.push({ username: githubUsername, repoName: null, error: error.message });
+      }
+    }
+  }
+
+  async setupReposForGroup(group, repositories, extractDir) {
+    console.log(`\n🚀 Setting up repositories for ${describeGroup(group)}...`);
+    
+    // Up to CONCURRENT_REPOS repos at once; the next starts as soon as one finishes
+    return runPool(Object.entries(repositories), CONFIG.concurrentRepos, async ([sourceRepoName, repoConfig]) => {
+      const newRepoName = this.repoNameFor(sourceRepoName, group);
+      
+      try {
+        // Repos finished by a previous run of this journal need no further work
+        if (this.journal?.has(newRepoName, STEPS.COMPLETED)) {
+          console.log(`  ⏭️ Repository ${newRepoName} was completed in a previous run (journal), skipping...`);
+          this.results.skipped.push({
+            group,
+            repoName: newRepoName,
+            sourceRepo: sourceRepoName,
+            reason: 'Completed in a previous run (journal)'
+          });
+          return { status: 'skipped', repoName: newRepoName };
+        }
+
+        // Content already pushed by an interrupted run: only finish the remaining steps
+        const pushed = this.journal?.find(newRepoName, STEPS.PUSHED);
+        if (pushed) {
+          console.log(`  ↩️  Resuming ${newRepoName} from journal (content already pushed)...`);
+          if (pushed.branches.length > 0 && !this.journal.has(newRepoName, STEPS.PULL_REQUESTS)) {
+            await this.createPullRequestsForBranches(newRepoName, pushed.branches);
+          }
+        } else if (this.journal?.find(newRepoName, STEPS.CREATED)?.template) {
+          // Generated from a template by an interrupted run, but not recommitted yet
+          console.log(`  ↩️  Resuming ${newRepoName} from journal (generated from template)...`);
+          if (!this.journal.has(newRepoName, STEPS.TAGGED)) {
+            await this.applyGeneratedRepositorySettings(newRepoName, await this.repoSettingsFor(newRepoName, sourceRepoName, repoConfig, group));
+          }
+          const template = await this.prepareTemplateRepository(sourceRepoName, repoConfig, extractDir, this.backendFor(group));
+          await this.finishRepositoryFromTemplate(newRepoName, sourceRepoName, repoConfig, template, group);
+        } else {
+          // Check repo state via git ls-remote (no API call)
+          const repoState = await this.checkRepoState(newRepoName);
+          if (repoState === 'populated') {
+            console.log(`  ⏭️ Repository ${newRepoName} already exists and has branches, skipping...`);
+            this.results.skipped.push({
+              group,
+              repoName: newRepoName,
+              sourceRepo: sourceRepoName,
+              reason: 'Repository already exists'
+            });
+            return { status: 'skipped', repoName: newRepoName };
+          }
+          if (repoState === 'empty') {
+            console.log(`  🔄 Repository ${newRepoName} exists but is empty, deleting and recreating...`);
+            try {
+              await octokit.rest.repos.delete({
+                owner: CONFIG.targetOrg,
+                repo: newRepoName
+              });
+              await this.sleep(2000);
+            } catch (deleteError) {
+              console.warn(`  ⚠️ Could not delete empty repo ${newRepoName}: ${deleteError.message}`);
+              this.results.failed.push({
+                group,
+                repoName: newRepoName,
+                sourceRepo: sourceRepoName,
+                error: `Empty repo exists but could not be deleted: ${deleteError.message}`
+              });
+              return { status: 'failed', repoName: newRepoName, error: deleteError.message };
+            }
+          }
+
+          // Create repository from release content. API calls are retried by the
+          // scheduler and git pushes on their own, so a create is never sent twice
+          await this.createRepository(newRepoName, sourceRepoName, repoConfig, extractDir, group);
+        }
+
+        // Give the group access: through its team or as collaborators (best effort)
+        await this.grantAccess(group, newRepoName);
+
+        // Track repo for deferred issue creation (done in a second pass)
+        if (repoConfig.contentType === 'demo-contents') {
+          this.pendingIssues = this.pendingIssues || [];
+          this.pendingIssues.push({ repoName: newRepoName, sourceRepoName, extractDir, backend: this.backendFor(group) });
+        }
+
+        // Prebuild Codespaces for the repository (best effort, don't fail if this fails)
+        // Only create prebuilds for octocatSupply repos
+        if (sourceRepoName.toLowerCase().includes('octocatsupply')) {
+          try {
+            await this.prebuildCodespaces(newRepoName);
+          } catch (error) {
+            console.log(`  ℹ️  Codespaces setup skipped for ${newRepoName}: ${error.message}`);
+          }
+        } else {
+          console.log(`  ⏭️  Skipping Codespaces prebuild for ${newRepoName} (prebuilds only enabled for octocatSupply)`);
+        }
+
+        console.log(`  ✅ Successfully set up repository: ${CONFIG.targetOrg}/${newRepoName}`);
+        this.journal?.record(newRepoName, STEPS.COMPLETED, {
+          owner: group.slug,
+          members: group.members.map(m => m.githubUsername),
+          sourceRepo: sourceRepoName,
+          backend: this.backendFor(group),
+          needsIssues: repoConfig.contentType === 'demo-contents'
+        });
+        this.results.success.push({
+          group,
+          repoName: newRepoName,
+          sourceRepo: sourceRepoName,
+          repoUrl: `https://github.com/${CONFIG.targetOrg}/${newRepoName}`,
+          createdAt: new Date().toISOString() // Start of the repo's lifecycle (see lifecycle-repos.js)
+        });
+        
+        return { status: 'success', repoName: newRepoName };
+
+      } catch (error) {
+        console.error(`  ❌ Failed to set up repository ${newRepoName}: ${error.message}`);
+        this.results.failed.push({
+          group,
+          repoName: newRepoName,
+          sourceRepo: sourceRepoName,
+          error: error.message
+        });
+        
+        return { status: 'failed', repoName: newRepoName, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Compare one attendee or team repo against everything setup is expected to
+   * create: the repo itself, every branch from the release, a PR per non-main
+   * branch, the issue blueprints and access for every member (at
+   * ACCESS_PERMISSION, as a collaborator or through the group's team).
+   */
+  async verifyRepository(group, newRepoName, sourceRepoName, repoConfig, expected) {
+    const report = {
+      group,
+      repoName: newRepoName,
+      sourceRepo: sourceRepoName,
+      exists: true,
+      missingBranches: [],
+      missingPullRequests: [],
+      missingIssues: [],
+      missingCollaborators: [],
+      invitedCollaborators: []
+    };
+
+    try {
+      await octokit.rest.repos.get({ owner: CONFIG.targetOrg, repo: newRepoName });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      report.exists = false;
+      return report;
+    }
+
+    const owner = CONFIG.targetOrg;
+    const repo = newRepoName;
+
+    const branches = await octokit.paginate(octokit.rest.repos.listBranches, { owner, repo, per_page: 100 });
+    const branchNames = new Set(branches.map(b => b.name));
+    report.missingBranches = expected.branches.filter(name => !branchNames.has(name));
+
+    const pulls = await octokit.paginate(octokit.rest.pulls.list, { owner, repo, state: 'all', per_page: 100 });
+    const prHeads = new Set(pulls.map(pr => pr.head.ref));
+    report.missingPullRequests = expected.branches
+      .filter(name => name !== 'main' && !prHeads.has(name));
+
+    if (expected.issues.length > 0) {
+      const issues = await octokit.paginate(octokit.rest.issues.listForRepo, { owner, repo, state: 'all', per_page: 100 });
+      const issueTitles = new Set(issues.filter(i => !i.pull_request).map(i => i.title));
+      report.missingIssues = expected.issues.filter(issue => !issueTitles.has(issue.title));
+    }
+
+    const notGranted = [];
+    for (const { githubUsername } of group.members) {
+      try {
+        const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({
+          owner, repo, username: githubUsername
+        });
+        if (!permissionCovers(data.role_name, CONFIG.accessPermission) && !permissionCovers(data.permission, CONFIG.accessPermission)) {
+          notGranted.push(githubUsername);
+        }
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        notGranted.push(githubUsername);
+      }
+    }
+
+    // An outstanding invitation counts as granted — the attendee just hasn't accepted yet
+    if (notGranted.length > 0) {
+      const invited = CONFIG.accessMode === 'teams'
+        ? await this.pendingTeamMembers(group)
+        : await this.pendingRepoInvitees(repo);
+      for (const username of notGranted) {
+        (invited.has(username.toLowerCase()) ? report.invitedCollaborators : report.missingCollaborators).push(username);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Lowercase logins with a pending invitation to a repo at ACCESS_PERMISSION or more.
+   */
+  async pendingRepoInvitees(repo) {
+    const invitations = await octokit.paginate(octokit.rest.repos.listInvitations, { owner: CONFIG.targetOrg, repo, per_page: 100 });
+    return new Set(invitations
+      .filter(inv => permissionCovers(inv.permissions, CONFIG.accessPermission))
+      .map(inv => inv.invitee?.login?.toLowerCase()));
+  }
+
+  /**
+   * Lowercase logins of a group's members whose membership of its access
+   * team waits for them to accept the org invitation.
+   */
+  async pendingTeamMembers(group) {
+    const pending = new Set();
+    const name = CONFIG.attendeeTeams ? groupTeamName(CONFIG.accessTeam, group) : CONFIG.accessTeam;
+    const team = await findTeam(octokit, { org: CONFIG.targetOrg, name });
+    if (!team) return pending;
+
+    for (const { githubUsername } of group.members) {
+      try {
+        const { data } = await octokit.rest.teams.getMembershipForUserInOrg({ org: CONFIG.targetOrg, team_slug: team.slug, username: githubUsername });
+        if (data.state === 'pending') pending.add(githubUsername.toLowerCase());
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    }
+    return pending;
+  }
+
+  isRepositoryComplete(report) {
+    return report.exists &&
+      report.missingBranches.length === 0 &&
+      report.missingPullRequests.length === 0 &&
+      report.missingIssues.length === 0 &&
+      report.missingCollaborators.length === 0;
+  }
+
+  /**
+   * Fill in only the pieces `verifyRepository` found missing.
+   */
+  async repairRepository(report, repoConfig, extractDir, expected) {
+    const { group, repoName, sourceRepo } = report;
+    console.log(`  🔧 Repairing ${repoName}...`);
+
+    if (!report.exists) {
+      // Nothing there yet: run the normal creation flow (content, branches and PRs),
+      // from the template repository in template mode like the rest of the cohort
+      await this.createRepository(repoName, sourceRepo, repoConfig, extractDir, group);
+      await this.addGroupToTeam(group);
+      await this.grantAccess(group, repoName);
+      await this.createIssues(repoName, expected.issues);
+      return;
+    }
+
+    if (report.missingBranches.length > 0) {
+      await this.pushMissingBranches(repoName, sourceRepo, repoConfig, extractDir, report.missingBranches, group);
+    }
+
+    if (report.missingPullRequests.length > 0) {
+      await this.createPullRequestsForBranches(repoName, report.missingPullRequests);
+    }
+
+    if (report.missingIssues.length > 0) {
+      await this.createIssues(repoName, report.missingIssues);
+    }
+
+    if (report.missingCollaborators.length > 0 && CONFIG.accessMode === 'teams') {
+      await this.addGroupToTeam(group);
+      await this.grantAccess(group, repoName);
+    } else {
+      for (const username of report.missingCollaborators) {
+        await this.addCollaborator(repoName, username);
+      }
+    }
+  }
+
+  /**
+   * Rebuild and push only the given branches into an existing repo.
+   * Each branch is committed on top of the repo's current main so PRs can be
+   * opened against it; existing branches are never touched. A missing main is
+   * rebuilt first from the release and made the default branch.
+   */
+  async pushMissingBranches(repoName, sourceRepoName, repoConfig, extractDir, branchNames, group) {
+    const layout = await this.getBranchLayout(sourceRepoName, repoConfig, extractDir);
+    const tempDir = path.join(os.tmpdir(), `workshop-repair-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+    const targetUrl = `https://github.com/${CONFIG.targetOrg}/${repoName}.git`;
+    const missingMain = branchNames.includes('main');
+
+    const rebuild = async (branchName, base) => {
+      const branch = layout.branches.find(b => b.name === branchName);
+      console.log(`  📋 Rebuilding missing branch: ${branchName} (from directory: ${branch.dir})`);
+
+      await this.runGitCommand(base ? `git checkout -B ${branchName} ${base}` : `git checkout --orphan ${branchName}`, tempDir);
+      await this.runGitCommand('git rm -rf --quiet --ignore-unmatch .', tempDir);
+      await this.buildBranchContent(repoName, sourceRepoName, repoConfig, extractDir, layout, branch.dir, tempDir, group);
+      await this.runGitCommand('git add -A', tempDir);
+      await this.runGitCommand(`git commit -m "Content for ${branchName} branch" --allow-empty`, tempDir);
+      await this.pushWithRetry(repoName, [`git push origin ${branchName}`], tempDir);
+    };
+
+    try {
+      await fsPromises.mkdir(tempDir, { recursive: true });
+      await this.runGitCommand('git init', tempDir);
+      await this.runGitCommand('git config user.email "workshop@example.com"', tempDir);
+      await this.runGitCommand('git config user.name "Workshop Setup"', tempDir);
+      await this.runGitCommand(`git remote add origin ${targetUrl}`, tempDir);
+
+      let base;
+      if (missingMain) {
+        await rebuild('main', null);
+        // Pushed into a repo that still had other branches, main is not the default yet
+        await octokit.rest.repos.update({ owner: CONFIG.targetOrg, repo: repoName, default_branch: 'main' });
+        base = 'main';
+      } else {
+        await this.runGitCommand('git fetch origin main', tempDir);
+        base = 'FETCH_HEAD';
+      }
+
+      for (const branchName of branchNames.filter(name => name !== 'main')) {
+        await rebuild(branchName, base);
+      }
+    } finally {
+      await this.safeCleanup(tempDir);
+    }
+  }
+
+  /**
+   * Verify mode: check every attendee repo for missing artifacts and, with
+   * --repair, fill in only what is missing. Repos are never deleted.
+   */
+  async runVerify(repair = false) {
+    console.log(`🩺 Workshop Repository Verification${repair ? ' and Repair' : ''} Starting...\n`);
+
+    try {
+      await this.validateConfig();
+
+      const extractDir = await this.extractRelease();
+      const metadata = await this.loadMetadata(extractDir);
+      const repositories = this.getRepositoriesFromMetadata(metadata);
+      const groups = await this.loadGroups(extractDir);
+
+      // Expected artifacts only depend on the source repo and backend, so compute them once
+      const backends = [...new Set(groups.map(a => this.backendFor(a)))];
+      const expectedFor = {};
+      for (const [sourceRepoName, repoConfig] of Object.entries(repositories)) {
+        const layout = await this.getBranchLayout(sourceRepoName, repoConfig, extractDir);
+        for (const backend of backends) {
+          expectedFor[`${sourceRepoName}:${backend}`] = {
+            branches: layout.branches.map(b => b.name),
+            issues: repoConfig.contentType === 'demo-contents'
+              ? await this.loadIssueBlueprints(extractDir, sourceRepoName, backend)
+              : []
+          };
+        }
+      }
+
+      const reports = [];
+      for (const group of groups) {
+        console.log(`\n🔍 Checking repositories for ${describeGroup(group)}...`);
+
+        for (const [sourceRepoName, repoConfig] of Object.entries(repositories)) {
+          const newRepoName = this.repoNameFor(sourceRepoName, group);
+          const expected = expectedFor[`${sourceRepoName}:${this.backendFor(group)}`];
+
+          try {
+            let report = await this.verifyRepository(group, newRepoName, sourceRepoName, repoConfig, expected);
+            this.logVerifyReport(report);
+
+            if (repair && !this.isRepositoryComplete(report)) {
+              await this.repairRepository(report, repoConfig, extractDir, expected);
+              report = await this.verifyRepository(group, newRepoName, sourceRepoName, repoConfig, expected);
+              report.repaired = true;
+              this.logVerifyReport(report);
+            }
+
+            reports.push(report);
+          } catch (error) {
+            console.error(`  ❌ Could not verify ${newRepoName}: ${error.message}`);
+            reports.push({ group, repoName: newRepoName, sourceRepo: sourceRepoName, error: error.message });
           }
+        }
+      }
+
+      this.printVerifySummary(reports, repair);
 
-          // Prebuild Codespaces for the repository (best effort, don't fail if this fails)
-          // Only create prebuilds for octocatSupply repos
-          if (sourceRepoName.toLowerCase().includes('octocatsupply')) {
+      console.log('\n🧹 Cleaning up...');
+      await this.safeCleanup(CONFIG.workingDir);
+
+      // Non-zero exit when anything is still incomplete so this can gate a workshop
+      if (reports.some(r => r.error || !this.isRepositoryComplete(r))) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('💥 Verification failed:', error.message);
+      console.error(error.stack);
+      process.exit(1);
+    }
+  }
+
+  logVerifyReport(report) {
+    if (this.isRepositoryComplete(report)) {
+      console.log(`  ✅ ${report.repoName} is complete${report.invitedCollaborators.length > 0 ? ` (invitation pending: ${report.invitedCollaborators.join(', ')})` : ''}`);
+      return;
+    }
+    if (!report.exists) {
+      console.log(`  ❌ ${report.repoName} does not exist`);
+      return;
+    }
+    console.log(`  ⚠️  ${report.repoName} is incomplete:`);
+    if (report.missingBranches.length > 0) {
+      console.log(`     Missing branches: ${report.missingBranches.join(', ')}`);
+    }
+    if (report.missingPullRequests.length > 0) {
+      console.log(`     Missing PRs for: ${report.missingPullRequests.join(', ')}`);
+    }
+    if (report.missingIssues.length > 0) {
+      console.log(`     Missing issues: ${report.missingIssues.map(i => i.title).join(', ')}`);
+    }
+    if (report.missingCollaborators.length > 0) {
+      console.log(`     Without ${CONFIG.accessPermission} access: ${report.missingCollaborators.join(', ')}`);
+    }
+  }
+
+  printVerifySummary(reports, repair) {
+    const complete = reports.filter(r => !r.error && this.isRepositoryComplete(r));
+    const incomplete = reports.filter(r => !r.error && !this.isRepositoryComplete(r));
+    const errored = reports.filter(r => r.error);
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`📊 VERIFY${repair ? ' & REPAIR' : ''} SUMMARY`);
+    console.log('='.repeat(50));
+
+    console.log(`✅ Complete: ${complete.length}${repair ? ` (${complete.filter(r => r.repaired).length} repaired)` : ''}`);
+    console.log(`⚠️  Incomplete: ${incomplete.length}`);
+    console.log(`❌ Could not check: ${errored.length}`);
+
+    if (incomplete.length > 0) {
+      console.log('\n⚠️  Incomplete Repositories:');
+      incomplete.forEach(r => {
+        console.log(`  • ${r.repoName} for ${describeGroup(r.group)}${r.exists ? '' : ' (missing)'}`);
+      });
+      if (!repair) {
+        console.log('\n💡 Run with --repair to fill in the missing pieces');
+      }
+    }
+
+    if (errored.length > 0) {
+      console.log('\n❌ Could Not Check:');
+      errored.forEach(r => {
+        console.log(`  • ${r.repoName} - ${r.error}`);
+      });
+    }
+
+    const resultsFile = `verify-results-${new Date().toISOString().split('T')[0]}.json`;
+    const serialized = reports.map(r => ({
+      ...r,
+      missingIssues: (r.missingIssues || []).map(i => i.title)
+    }));
+    writeRedactedJson(resultsFile, serialized);
+    console.log(`\n💾 Detailed results saved to: ${resultsFile}`);
+  }
+
+  /**
+   * Plan mode: build each repo's content locally and report what a real run
+   * would create, plus an API-call and duration estimate. Makes no write API
+   * calls and pushes nothing.
+   */
+  async runPlan() {
+    console.log('🗺️  Workshop Repository Setup Plan (no changes will be made)...\n');
+
+    try {
+      this.loadManifest();
+      if (!fs.existsSync(CONFIG.csvFile)) {
+        throw new Error(`CSV file not found: ${CONFIG.csvFile}`);
+      }
+      if (!fs.existsSync(CONFIG.releaseTarball)) {
+        if (!hasCredentials()) {
+          throw new Error(`Release tarball not found at ${CONFIG.releaseTarball} and no GitHub credentials to download it`);
+        }
+        const { owner, repo, tag } = releaseSourceFromEnv();
+        await downloadReleaseAsset(octokit, owner, repo, tag, CONFIG.releaseTarball);
+      }
+
+      const extractDir = await this.extractRelease();
+      const metadata = await this.loadMetadata(extractDir);
+      const repositories = this.getRepositoriesFromMetadata(metadata);
+      const groups = await this.loadGroups(extractDir);
+
+      if (Object.keys(repositories).length === 0 || groups.length === 0) {
+        console.log('⚠️ Nothing to plan: no repositories in the release or no attendees in the CSV');
+        return;
+      }
+      await this.checkRepoNames(repositories, groups, { checkOrg: hasCredentials(), adopt: false });
+
+      // Build every branch once per backend in use (copy → overlays → prune → render)
+      // to validate the pipeline and measure the local build time per repo.
+      // repoPlans[backend][sourceRepoName] = plan
+      const repoPlans = {};
+      for (const group of groups) {
+        const backend = this.backendFor(group);
+        if (repoPlans[backend]) continue;
+        repoPlans[backend] = {};
+
+        for (const [sourceRepoName, repoConfig] of Object.entries(repositories)) {
+          const layout = await this.getBranchLayout(sourceRepoName, repoConfig, extractDir);
+          const previewName = this.repoNameFor(sourceRepoName, group);
+          const branches = [];
+          const buildStart = Date.now();
+
+          for (const branch of layout.branches) {
+            const tempDir = path.join(os.tmpdir(), `workshop-plan-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
             try {
-              await this.prebuildCodespaces(newRepoName);
-            } catch (error) {
-              console.log(`  ℹ️  Codespaces setup skipped for ${newRepoName}: ${error.message}`);
+              await fsPromises.mkdir(tempDir, { recursive: true });
+              await this.buildBranchContent(previewName, sourceRepoName, repoConfig, extractDir, layout, branch.dir, tempDir, group);
+              branches.push({ ...branch, fileCount: await this.countFiles(tempDir) });
+            } finally {
+              await this.safeCleanup(tempDir);
             }
-          } else {
-            console.log(`  ⏭️  Skipping Codespaces prebuild for ${newRepoName} (prebuilds only enabled for octocatSupply)`);
           }
 
-          console.log(`  ✅ Successfully set up repository: ${CONFIG.targetOrg}/${newRepoName}`);
-          this.results.success.push({
-            attendee,
-            repoName: newRepoName,
-            sourceRepo: sourceRepoName,
-            repoUrl: `https://github.com/${CONFIG.targetOrg}/${newRepoName}`
-          });
-          
-          return { status: 'success', repoName: newRepoName };
+          repoPlans[backend][sourceRepoName] = {
+            branches,
+            pullRequests: branches.filter(b => b.name !== 'main').map(b => b.name),
+            issues: repoConfig.contentType === 'demo-contents'
+              ? await this.loadIssueBlueprints(extractDir, sourceRepoName, backend)
+              : [],
+            codespaces: sourceRepoName.toLowerCase().includes('octocatsupply'),
+            buildSeconds: (Date.now() - buildStart) / 1000
+          };
+        }
+      }
+
+      this.printPlan(repoPlans, groups);
 
+      let rateLimit = null;
+      if (hasCredentials()) {
+        try {
+          const { data } = await octokit.rest.rateLimit.get();
+          rateLimit = { limit: data.rate.limit, remaining: data.rate.remaining, reset: data.rate.reset * 1000 };
         } catch (error) {
-          console.error(`  ❌ Failed to set up repository ${newRepoName}: ${error.message}`);
-          this.results.failed.push({
-            attendee,
-            repoName: newRepoName,
-            sourceRepo: sourceRepoName,
-            error: error.message
-          });
-          
-          return { status: 'failed', repoName: newRepoName, error: error.message };
+          console.warn(`⚠️  Could not read the current rate limit: ${error.message}`);
+        }
+      }
+
+      this.printPlanEstimate(this.estimatePlan(repoPlans, groups, rateLimit), rateLimit);
+
+      await this.safeCleanup(CONFIG.workingDir);
+    } catch (error) {
+      console.error('💥 Planning failed:', error.message);
+      console.error(error.stack);
+      process.exit(1);
+    }
+  }
+
+  async countFiles(dir) {
+    let count = 0;
+    const entries = await fsPromises.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.name === '.git') continue;
+      count += entry.isDirectory() ? await this.countFiles(path.join(dir, entry.name)) : 1;
+    }
+    return count;
+  }
+
+  printPlan(repoPlans, groups) {
+    console.log('\n' + '='.repeat(60));
+    console.log('🗺️  SETUP PLAN');
+    console.log('='.repeat(60));
+
+    console.log('\n📦 Per-repo content (identical for every attendee or team with the same backend):');
+    for (const [backend, plans] of Object.entries(repoPlans)) {
+      for (const [sourceRepoName, plan] of Object.entries(plans)) {
+        console.log(`\n  ${sourceRepoName} (backend: ${backend})`);
+        plan.branches.forEach(b => {
+          console.log(`    🌿 ${b.name} (from ${b.dir}, ${b.fileCount} files)`);
+        });
+        plan.pullRequests.forEach(branch => {
+          console.log(`    🔀 PR: ${branch} → main`);
+        });
+        plan.issues.forEach(issue => {
+          console.log(`    📝 Issue: ${issue.title}`);
+        });
+        if (plan.codespaces) {
+          console.log('    🚀 Codespaces settings update');
         }
+      }
+    }
+
+    console.log(`\n👥 Repositories per attendee/team (${groups.length}):`);
+    for (const group of groups) {
+      const backend = this.backendFor(group);
+      const names = Object.keys(repoPlans[backend]).map(sourceRepoName => `${CONFIG.targetOrg}/${this.repoNameFor(sourceRepoName, group)}`);
+      console.log(`  • ${describeGroup(group)} (${backend}): ${names.join(', ')}`);
+    }
+  }
+
+  /**
+   * Estimate API calls and wall-clock time of a real run from the batch and
+   * delay settings, the measured local build time and the current rate limit.
+   */
+  estimatePlan(repoPlans, groups, rateLimit) {
+    const secondsPerPush = parseFloat(process.env.PLAN_SECONDS_PER_PUSH || '10'); // create + push, network dependent
+
+    // Per backend: API calls (repo create, collaborator, PRs, issues, Codespaces checks)
+    // and time per attendee (repos run in batches of CONCURRENT_REPOS)
+    const perBackend = {};
+    for (const [backend, plansBySource] of Object.entries(repoPlans)) {
+      const plans = Object.values(plansBySource);
+      const repoSeconds = plans.map(plan => plan.buildSeconds + secondsPerPush + plan.pullRequests.length * 1);
+      let attendeeSeconds = 0;
+      for (let i = 0; i < repoSeconds.length; i += CONFIG.concurrentRepos) {
+        attendeeSeconds += Math.max(...repoSeconds.slice(i, i + CONFIG.concurrentRepos)) + 0.5;
+      }
+      // Template mode: generate + settings update + collaborator, then tree, commit and ref update per branch.
+      // Both modes tag the repo with the workshop topic (and custom property).
+      const tagCalls = CONFIG.workshopProperty ? 2 : 1;
+      const createCalls = plan => tagCalls + (CONFIG.useTemplateRepos ? 3 + plan.branches.length * 3 : 2);
+      perBackend[backend] = {
+        repos: plans.length,
+        writeCalls: plans.reduce((sum, plan) => sum + createCalls(plan) + plan.pullRequests.length + plan.issues.length + (plan.codespaces ? 1 : 0), 0),
+        readCalls: plans.reduce((sum, plan) => sum + (plan.codespaces ? 2 : 0) + (CONFIG.useTemplateRepos ? 1 : 0), 0),
+        issues: plans.reduce((sum, plan) => sum + plan.issues.length, 0),
+        attendeeSeconds
+      };
+    }
+
+    const totals = { repos: 0, writeCalls: 0, readCalls: 0, issues: 0 };
+    let slowestAttendee = 0;
+    for (const group of groups) {
+      const estimate = perBackend[this.backendFor(group)];
+      totals.repos += estimate.repos;
+      // One extra collaborator call per repo for every additional team member;
+      // with --access teams one grant per repo, plus a team membership per member
+      // (and a child team lookup and creation per group with --attendee-teams)
+      totals.writeCalls += estimate.writeCalls + (CONFIG.accessMode === 'teams'
+        ? group.members.length + (CONFIG.attendeeTeams ? 1 : 0)
+        : (group.members.length - 1) * estimate.repos);
+      totals.readCalls += CONFIG.accessMode === 'teams' && CONFIG.attendeeTeams ? 1 : 0;
+      totals.readCalls += estimate.readCalls;
+      if (CONFIG.inviteToOrg) {
+        // Membership check per member; an invitation (and user lookup) for those not in the org yet
+        totals.readCalls += group.members.length * 2;
+        totals.writeCalls += group.members.length;
+      }
+      totals.issues += estimate.issues;
+      slowestAttendee = Math.max(slowestAttendee, estimate.attendeeSeconds);
+    }
+    const totalCalls = totals.writeCalls + totals.readCalls + 2;
+
+    // Attendees run in a pool of CONCURRENT_ATTENDEES; a new one starts whenever one finishes
+    let seconds = Math.ceil(groups.length / CONFIG.concurrentAttendees) * slowestAttendee;
+
+    // Deferred issue pass runs sequentially (~1s per issue)
+    seconds += totals.issues;
+
+    // GitHub allows ~80 content-creating requests per minute and ~500 per hour,
+    // and the scheduler starts at most one every WRITE_INTERVAL_MS
+    const writeCalls = totals.writeCalls;
+    const contentCreationFloor = Math.max(
+      writeCalls / 80 * 60,
+      writeCalls * scheduler.options.writeIntervalMs / 1000,
+      (Math.ceil(writeCalls / 500) - 1) * 3600
+    );
+    seconds = Math.max(seconds, contentCreationFloor);
+
+    // Waiting for a primary rate-limit reset if the run needs more calls than remain
+    let rateLimitWait = 0;
+    if (rateLimit) {
+      const available = rateLimit.remaining - scheduler.options.rateLimitBuffer;
+      if (totalCalls > available) {
+        const extraWindows = Math.ceil((totalCalls - available) / Math.max(rateLimit.limit - scheduler.options.rateLimitBuffer, 1));
+        rateLimitWait = Math.max((rateLimit.reset - Date.now()) / 1000, 0) + (extraWindows - 1) * 3600;
+        seconds += rateLimitWait;
+      }
+    }
+
+    return {
+      repos: totals.repos,
+      totalCalls,
+      writeCalls,
+      issueCount: totals.issues,
+      contentCreationFloor,
+      rateLimitWait,
+      seconds,
+      secondsPerPush
+    };
+  }
+
+  printPlanEstimate(estimate, rateLimit) {
+    const formatDuration = (s) => `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m ${Math.round(s % 60)}s`;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('⏱️  ESTIMATE');
+    console.log('='.repeat(60));
+    console.log(`📦 Repositories: ${estimate.repos}`);
+    console.log(`📝 Issues: ${estimate.issueCount}`);
+    console.log(`🔢 API calls: ~${estimate.totalCalls} (${estimate.writeCalls} content-creating)`);
+    if (rateLimit) {
+      console.log(`ℹ️  Rate limit: ${rateLimit.remaining}/${rateLimit.limit} remaining (resets at ${new Date(rateLimit.reset).toLocaleTimeString()}, buffer ${scheduler.options.rateLimitBuffer})`);
+      if (estimate.rateLimitWait > 0) {
+        console.log(`⏰ Run needs more calls than remain — includes ~${formatDuration(estimate.rateLimitWait)} waiting for rate-limit reset`);
+      }
+    } else {
+      console.log('ℹ️  Rate limit: unknown (no GitHub credentials or request failed) — not included in estimate');
+    }
+    if (estimate.seconds === estimate.contentCreationFloor) {
+      console.log('⏰ Duration is bounded by GitHub\'s content-creation limits (~80 requests/minute, ~500/hour)');
+    }
+    console.log(`⏱️  Estimated duration: ~${formatDuration(estimate.seconds)}`);
+    console.log(`   Assumes ${estimate.secondsPerPush}s to create and push each repo (set PLAN_SECONDS_PER_PUSH to adjust)`);
+    console.log(`   Concurrency: ${CONFIG.concurrentAttendees} attendees × ${CONFIG.concurrentRepos} repos | Content-creating calls: ${scheduler.options.writeConcurrency} at a time (adaptive), ${scheduler.options.writeIntervalMs / 1000}s apart`);
+  }
+
+  /**
+   * Release version used to tag setup and upgrade commits ("Workshop-Release:" trailer).
+   */
+  getReleaseVersion() {
+    return String(this.metadata?.version || '1.0.0').replace(/[^\w.-]/g, '-');
+  }
+
+  /**
+   * Upgrade one attendee repo to the current release.
+   *
+   * The new release content is committed on top of the commit the repo was
+   * last set up (or upgraded) from, so git sees exactly the release changes and
+   * any attendee edits made since are merged rather than overwritten. The
+   * result is offered as a PR, or merged into main with `direct` when the
+   * merge is clean (falling back to a PR on conflicts).
+   */
+  async upgradeRepository(group, repoName, sourceRepoName, repoConfig, extractDir, layout, direct) {
+    const version = this.getReleaseVersion();
+    const tempDir = path.join(os.tmpdir(), `workshop-upgrade-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+    const targetUrl = `https://github.com/${CONFIG.targetOrg}/${repoName}.git`;
+    const result = { group, repoName, sourceRepo: sourceRepoName, version };
+
+    try {
+      await this.runGitCommand(`git clone --quiet ${targetUrl} ${tempDir}`);
+      await this.runGitCommand('git config user.email "workshop@example.com"', tempDir);
+      await this.runGitCommand('git config user.name "Workshop Setup"', tempDir);
+
+      // Base: the last release commit in main's history, or the initial setup commit
+      let base = (await this.runGitCommand('git log origin/main --format=%H -1 --grep="^Workshop-Release: "', tempDir)).trim();
+      if (!base) {
+        base = (await this.runGitCommand('git rev-list --max-parents=0 origin/main', tempDir)).trim().split('\n').pop();
+      }
+
+      // Rebuild main's content with the same pipeline used at setup time
+      await this.runGitCommand(`git checkout --quiet --detach ${base}`, tempDir);
+      await this.runGitCommand('git rm -rf --quiet .', tempDir);
+      await this.buildBranchContent(repoName, sourceRepoName, repoConfig, extractDir, layout, layout.mainBranchDir, tempDir, group);
+      await this.runGitCommand('git add -A', tempDir);
+
+      const changedFiles = (await this.runGitCommand(`git diff --cached --name-only ${base}`, tempDir))
+        .split('\n').filter(Boolean);
+      if (changedFiles.length === 0) {
+        console.log(`  ✅ ${repoName} already has the content of release ${version}`);
+        return { ...result, status: 'up-to-date', changedFiles };
+      }
+
+      const tree = (await this.runGitCommand('git write-tree', tempDir)).trim();
+      const branchName = `workshop-upgrade-${version}-${tree.slice(0, 7)}`;
+      const remoteBranches = await this.runGitCommand('git branch -r', tempDir);
+      if (remoteBranches.includes(`origin/${branchName}`)) {
+        console.log(`  ⏭️  ${repoName} already has upgrade branch ${branchName}, skipping`);
+        return { ...result, status: 'already-proposed', branch: branchName, changedFiles };
+      }
+
+      await this.runGitCommand(`git checkout --quiet -b ${branchName}`, tempDir);
+      await this.runGitCommand(`git commit --quiet -m "Upgrade workshop content to ${version}" -m "Workshop-Release: ${version}"`, tempDir);
+      console.log(`  📋 ${changedFiles.length} file(s) changed by release ${version}`);
+
+      if (direct) {
+        await this.runGitCommand('git checkout --quiet -B main origin/main', tempDir);
+        try {
+          await this.runGitCommand(`git merge --no-ff --no-edit ${branchName}`, tempDir);
+          await this.runGitCommand('git push origin main', tempDir);
+          console.log(`  ✅ Merged release ${version} into ${repoName} main`);
+          return { ...result, status: 'pushed', changedFiles };
+        } catch (error) {
+          // Conflicting attendee edits (or main moved meanwhile): never force, open a PR instead
+          await this.runGitCommand('git merge --abort', tempDir).catch(() => {});
+          console.log(`  ⚠️  ${repoName} cannot be updated directly, opening a PR instead`);
+        }
+      }
+
+      await this.runGitCommand(`git push origin ${branchName}`, tempDir);
+      const pr = await octokit.rest.pulls.create({
+        owner: CONFIG.targetOrg,
+        repo: repoName,
+        title: `Upgrade workshop content to ${version}`,
+        head: branchName,
+        base: 'main',
+        body: [
+          `This pull request updates the workshop content to release \`${version}\`.`,
+          '',
+          'Only files changed by the release are included. If you edited any of them, GitHub shows a conflict so you can keep your changes.',
+          '',
+          '**Changed files:**',
+          ...changedFiles.map(file => `- \`${file}\``)
+        ].join('\n')
       });
-      
-      results.push(...await Promise.all(batchPromises));
-      
-      // Small delay between batches to avoid abuse detection
-      if (i + CONFIG.concurrentRepos < repoEntries.length) {
-        await this.sleep(500);
+      console.log(`  ✅ Opened PR #${pr.data.number} in ${repoName}`);
+      return { ...result, status: 'pr-opened', prUrl: pr.data.html_url, changedFiles };
+    } finally {
+      await this.safeCleanup(tempDir);
+    }
+  }
+
+  /**
+   * Upgrade mode: roll the current release out to every existing attendee repo.
+   */
+  async runUpgrade(direct = false) {
+    console.log(`⬆️  Workshop Repository Upgrade Starting (${direct ? 'direct push' : 'pull requests'})...\n`);
+
+    try {
+      await this.validateConfig();
+
+      const extractDir = await this.extractRelease();
+      const metadata = await this.loadMetadata(extractDir);
+      const repositories = this.getRepositoriesFromMetadata(metadata);
+      const groups = await this.loadGroups(extractDir);
+      console.log(`📦 Upgrading to release ${this.getReleaseVersion()}`);
+
+      const layouts = {};
+      for (const [sourceRepoName, repoConfig] of Object.entries(repositories)) {
+        layouts[sourceRepoName] = await this.getBranchLayout(sourceRepoName, repoConfig, extractDir);
       }
+
+      const results = [];
+      for (const group of groups) {
+        console.log(`\n⬆️  Upgrading repositories for ${describeGroup(group)}...`);
+
+        for (const [sourceRepoName, repoConfig] of Object.entries(repositories)) {
+          const repoName = this.repoNameFor(sourceRepoName, group);
+          try {
+            if (await this.checkRepoState(repoName) !== 'populated') {
+              console.log(`  ⏭️  ${repoName} does not exist or is empty, skipping (run setup to create it)`);
+              results.push({ group, repoName, sourceRepo: sourceRepoName, status: 'missing' });
+              continue;
+            }
+            results.push(await this.upgradeRepository(
+              group, repoName, sourceRepoName, repoConfig, extractDir, layouts[sourceRepoName], direct
+            ));
+          } catch (error) {
+            console.error(`  ❌ Failed to upgrade ${repoName}: ${error.message}`);
+            results.push({ group, repoName, sourceRepo: sourceRepoName, status: 'failed', error: error.message });
+          }
+        }
+      }
+
+      this.printUpgradeSummary(results);
+
+      console.log('\n🧹 Cleaning up...');
+      await this.safeCleanup(CONFIG.workingDir);
+    } catch (error) {
+      console.error('💥 Upgrade failed:', error.message);
+      console.error(error.stack);
+      process.exit(1);
     }
-    
-    return results;
+  }
+
+  printUpgradeSummary(results) {
+    const byStatus = (status) => results.filter(r => r.status === status);
+
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 UPGRADE SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`🔀 PRs opened: ${byStatus('pr-opened').length}`);
+    console.log(`⬆️  Pushed to main: ${byStatus('pushed').length}`);
+    console.log(`✅ Already up to date: ${byStatus('up-to-date').length + byStatus('already-proposed').length}`);
+    console.log(`⏭️  Missing: ${byStatus('missing').length}`);
+    console.log(`❌ Failed: ${byStatus('failed').length}`);
+
+    if (byStatus('pr-opened').length > 0) {
+      console.log('\n🔀 Upgrade Pull Requests:');
+      byStatus('pr-opened').forEach(r => {
+        console.log(`  • ${r.repoName}: ${r.prUrl}`);
+      });
+    }
+
+    if (byStatus('failed').length > 0) {
+      console.log('\n❌ Failed Upgrades:');
+      byStatus('failed').forEach(r => {
+        console.log(`  • ${r.repoName} - ${r.error}`);
+      });
+    }
+
+    const resultsFile = `upgrade-results-${new Date().toISOString().split('T')[0]}.json`;
+    writeRedactedJson(resultsFile, results);
+    console.log(`\n💾 Detailed results saved to: ${resultsFile}`);
   }
 
   async run() {
@@ -1304,6 +2661,9 @@ class WorkshopRepoSetup {
     try {
       // Validate configuration
       await this.validateConfig();
+
+      // Open (or resume) the on-disk run journal
+      this.journal = this.openJournal();
       
       // Extract release tarball
       const extractDir = await this.extractRelease();
@@ -1320,54 +2680,48 @@ class WorkshopRepoSetup {
       }
 
       // Load attendees
-      const attendees = await this.loadAttendees();
+      const groups = await this.loadGroups(extractDir);
 
-      if (attendees.length === 0) {
+      if (groups.length === 0) {
         console.log('⚠️ No attendees found in CSV file');
         return;
       }
 
-      // Process attendees in batches for better performance
-      console.log(`\n🚀 Processing ${attendees.length} attendees in batches of ${CONFIG.concurrentAttendees}...`);
-      console.log(`   Per-repo delay: ${CONFIG.delayBetweenRepos / 1000}s | Batch delay: ${CONFIG.delayBetweenBatches / 1000}s`);
+      // Every name and visibility is checked before the first repo is created
+      await this.checkRepoNames(repositories, groups);
+      this.checkRepoVisibility(repositories);
+
+      // Repos completed by a previous run whose issue pass never finished
+      const awaitingIssues = this.journal.reposAwaitingIssues();
+      if (awaitingIssues.length > 0) {
+        console.log(`↩️  ${awaitingIssues.length} repo(s) from the previous run still need issues created`);
+        this.pendingIssues = awaitingIssues.map(entry => ({ ...entry, extractDir }));
+      }
+
+      // Work through attendees with a pool: a new attendee starts as soon as
+      // one finishes, while the request scheduler paces the API calls
+      console.log(`\n🚀 Processing ${groups.length} attendees/teams, ${CONFIG.concurrentAttendees} at a time...`);
+      if (CONFIG.useTemplateRepos) {
+        console.log('   🧩 Template mode: repos are generated from template repositories in the org');
+      }
       const startTime = Date.now();
+      let processedCount = 0;
       
-      for (let i = 0; i < attendees.length; i += CONFIG.concurrentAttendees) {
-        const batch = attendees.slice(i, i + CONFIG.concurrentAttendees);
-        const batchNum = Math.floor(i / CONFIG.concurrentAttendees) + 1;
-        const totalBatches = Math.ceil(attendees.length / CONFIG.concurrentAttendees);
-        
-        console.log(`\n📊 Batch ${batchNum}/${totalBatches} - Processing attendees ${i + 1}-${Math.min(i + CONFIG.concurrentAttendees, attendees.length)}/${attendees.length}`);
-        
-        // Check rate limit before each batch
-        await this.waitIfNeeded();
-        
-        // Stagger repo creation: start each attendee with a delay to avoid
-        // hammering the content-creation endpoint simultaneously.
-        const batchPromises = batch.map((attendee, idx) => 
-          this.sleep(idx * CONFIG.delayBetweenRepos).then(() =>
-            this.setupReposForAttendee(attendee, repositories, extractDir)
-          )
-        );
-        
-        await Promise.all(batchPromises);
+      await runPool(groups, CONFIG.concurrentAttendees, async (group) => {
+        await this.inviteGroupToOrg(group);
+        await this.addGroupToTeam(group);
+        await this.setupReposForGroup(group, repositories, extractDir);
+        processedCount++;
         
         // Calculate and display progress
-        const processedCount = Math.min(i + CONFIG.concurrentAttendees, attendees.length);
-        const percentComplete = Math.round((processedCount / attendees.length) * 100);
+        const percentComplete = Math.round((processedCount / groups.length) * 100);
         const elapsed = Math.round((Date.now() - startTime) / 1000);
         const avgTimePerAttendee = elapsed / processedCount;
-        const remaining = Math.round((attendees.length - processedCount) * avgTimePerAttendee);
-        
-        console.log(`\n⏱️  Progress: ${percentComplete}% complete | Elapsed: ${elapsed}s | Est. remaining: ${remaining}s`);
-        console.log(`   Success: ${this.results.success.length} | Skipped: ${this.results.skipped.length} | Failed: ${this.results.failed.length}`);
+        const remaining = Math.round((groups.length - processedCount) * avgTimePerAttendee);
         
-        // Delay between batches to avoid rate limiting
-        if (i + CONFIG.concurrentAttendees < attendees.length) {
-          console.log(`⏸️  Waiting ${CONFIG.delayBetweenBatches / 1000}s before next batch...`);
-          await this.sleep(CONFIG.delayBetweenBatches);
-        }
-      }
+        console.log(`\n⏱️  Progress: ${processedCount}/${groups.length} (${percentComplete}%) | Elapsed: ${elapsed}s | Est. remaining: ${remaining}s`);
+        console.log(`   Success: ${this.results.success.length} | Skipped: ${this.results.skipped.length} | Failed: ${this.results.failed.length} | ${scheduler.describe()}`);
+      });
       
       const totalTime = Math.round((Date.now() - startTime) / 1000);
       console.log(`\n✅ All repos created in ${totalTime}s (${Math.round(totalTime / 60)}m ${totalTime % 60}s)`);
@@ -1375,10 +2729,9 @@ class WorkshopRepoSetup {
       // Second pass: create issues (deferred to avoid interleaving with content-creation)
       if (this.pendingIssues && this.pendingIssues.length > 0) {
         console.log(`\n📝 Creating issues for ${this.pendingIssues.length} repositories...`);
-        for (const { repoName, sourceRepoName, extractDir: ed } of this.pendingIssues) {
+        for (const { repoName, sourceRepoName, extractDir: ed, backend } of this.pendingIssues) {
           try {
-            await this.waitIfNeeded();
-            const issues = await this.loadIssueBlueprints(ed, sourceRepoName);
+            const issues = await this.loadIssueBlueprints(ed, sourceRepoName, backend);
             await this.createIssues(repoName, issues);
           } catch (error) {
             console.log(`  ℹ️  Issue creation skipped for ${repoName}: ${error.message}`);
@@ -1387,6 +2740,12 @@ class WorkshopRepoSetup {
         console.log(`✅ Issue creation pass complete`);
       }
 
+      this.journal.finish({
+        success: this.results.success.length,
+        skipped: this.results.skipped.length,
+        failed: this.results.failed.length
+      });
+
       // Print summary
       this.printSummary();
       
@@ -1409,11 +2768,12 @@ class WorkshopRepoSetup {
     console.log(`✅ Successful: ${this.results.success.length}`);
     console.log(`⏭️ Skipped: ${this.results.skipped.length}`);
     console.log(`❌ Failed: ${this.results.failed.length}`);
+    logApiUsage(scheduler);
 
     if (this.results.success.length > 0) {
       console.log('\n✅ Successfully Created Repositories:');
       this.results.success.forEach(result => {
-        console.log(`  • ${result.repoName} (from ${result.sourceRepo}) for ${result.attendee.githubUsername}`);
+        console.log(`  • ${result.repoName} (from ${result.sourceRepo}) for ${describeGroup(result.group)}`);
         console.log(`    📎 ${result.repoUrl}`);
       });
     }
@@ -1428,21 +2788,42 @@ class WorkshopRepoSetup {
     if (this.results.failed.length > 0) {
       console.log('\n❌ Failed Repositories:');
       this.results.failed.forEach(result => {
-        console.log(`  • ${result.repoName} for ${result.attendee.githubUsername}`);
+        console.log(`  • ${result.repoName} for ${describeGroup(result.group)}`);
         console.log(`    Error: ${result.error}`);
       });
     }
 
-    // Write results to file
+    const { org: orgInvitations, repos: repoInvitations } = this.results.invitations;
+    if (orgInvitations.length > 0 || repoInvitations.length > 0) {
+      console.log(`\n📨 Pending invitations: ${orgInvitations.length} to ${CONFIG.targetOrg}, ${repoInvitations.length} to repositories`);
+    }
+    if (this.results.accessFailures.length > 0) {
+      console.log('\n🚫 Attendees Without Access:');
+      this.results.accessFailures.forEach(result => {
+        console.log(`  • ${result.username}${result.repoName ? ` on ${result.repoName}` : ` (org ${CONFIG.targetOrg})`} - ${result.error}`);
+      });
+    }
+
+    // Write results to file. Teams created by the run a resumed journal belongs to count too
+    const createdTeams = new Set([...this.createdTeams, ...(this.journal?.namesWith(STEPS.TEAM_CREATED) || [])]);
     const resultsFile = `setup-results-${new Date().toISOString().split('T')[0]}.json`;
-    fs.writeFileSync(resultsFile, JSON.stringify(this.results, null, 2));
+    writeRedactedJson(resultsFile, {
+      workshopId: CONFIG.workshopId,
+      targetOrg: CONFIG.targetOrg,
+      ...(CONFIG.accessMode === 'teams' ? { accessTeam: CONFIG.accessTeam, createdTeams: [...createdTeams] } : {}),
+      ...this.results
+    });
     console.log(`\n💾 Detailed results saved to: ${resultsFile}`);
+    console.log(`   Remove this run's repos with: node cleanup-repos.js --from-results ${resultsFile}`);
+    if (orgInvitations.length > 0 || repoInvitations.length > 0 || this.results.accessFailures.length > 0) {
+      console.log(`   Follow up on invitations with: node invitations-repos.js --from-results ${resultsFile}`);
+    }
   }
 }
 
 // CLI argument parsing
 const args = process.argv.slice(2);
-const cleanup = args.includes('--cleanup') || args.includes('-c');
+const cleanup = hasFlag(args, '--cleanup', '-c');
 
 if (cleanup) {
   console.log('🧹 Cleanup mode detected - redirecting to cleanup script...\n');
@@ -1457,8 +2838,31 @@ if (cleanup) {
 
 // Run the script
 if (require.main === module) {
-  const setup = new WorkshopRepoSetup();
-  setup.run().catch(error => {
+  if (hasFlag(args, '--resume') && !getArgValue(args, '--resume')) {
+    console.error('💥 --resume requires the path of a setup journal (setup-journal-*.jsonl)');
+    process.exit(1);
+  }
+
+  // --release <tarball> points at a different release package (e.g. the new one for --upgrade)
+  CONFIG.releaseTarball = getArgValue(args, '--release', CONFIG.releaseTarball);
+
+  const setup = new WorkshopRepoSetup({
+    resumeJournal: getArgValue(args, '--resume'),
+    journalFile: getArgValue(args, '--journal')
+  });
+  const verify = hasFlag(args, '--verify');
+  const repair = hasFlag(args, '--repair');
+  let mode;
+  if (hasFlag(args, '--plan')) {
+    mode = setup.runPlan();
+  } else if (hasFlag(args, '--upgrade')) {
+    mode = setup.runUpgrade(hasFlag(args, '--direct'));
+  } else if (verify || repair) {
+    mode = setup.runVerify(repair);
+  } else {
+    mode = setup.run();
+  }
+  mode.catch(error => {
     console.error('💥 Unexpected error:', error);
     process.exit(1);
   });
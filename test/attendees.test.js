@@ -0,0 +1,55 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAttendees, normalizeHeader, validateColumns, findAttendeeReferences, AttendeeCsvError } = require('../lib/attendees');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendees-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeCsv(content) {
+  const file = path.join(dir, 'attendees.csv');
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('normalizeHeader strips the BOM and turns separators into underscores', () => {
+  assert.equal(normalizeHeader('\uFEFFGitHub_Username'), 'github_username');
+  assert.equal(normalizeHeader(' Display Name '), 'display_name');
+  assert.equal(normalizeHeader('e-mail'), 'e_mail');
+  assert.equal(normalizeHeader('(notes)'), 'notes');
+  assert.equal(normalizeHeader('   '), '');
+});
+
+test('validateColumns reports unusable, duplicate and missing columns', () => {
+  assert.deepEqual(validateColumns(['github_username', 'email']), []);
+  assert.deepEqual(validateColumns(['1st', 'email', 'email']), [
+    'column "1st" must start with a letter',
+    'column "email" appears more than once',
+    'missing required column "github_username"'
+  ]);
+});
+
+test('loadAttendees reads a CSV saved by Excel', async () => {
+  const file = writeCsv('\uFEFFGitHub Username,Display Name,Backend,\r\nalice, Alice ,Python,\r\n,,,\r\nbob,Bob,,\r\n');
+  const attendees = await loadAttendees(file);
+  assert.deepEqual(attendees, [
+    { githubUsername: 'alice', email: null, backend: 'python', fields: { github_username: 'alice', display_name: 'Alice', backend: 'Python' } },
+    { githubUsername: 'bob', email: null, backend: null, fields: { github_username: 'bob', display_name: 'Bob', backend: '' } }
+  ]);
+});
+
+test('loadAttendees rejects a CSV without usable columns', async () => {
+  const file = writeCsv('username,1st\nalice,x\n');
+  await assert.rejects(loadAttendees(file), error => {
+    assert.ok(error instanceof AttendeeCsvError);
+    assert.deepEqual(error.problems, ['column "1st" must start with a letter', 'missing required column "github_username"']);
+    return true;
+  });
+});
+
+test('findAttendeeReferences finds the columns a template uses', () => {
+  const references = findAttendeeReferences('Hi <$ attendee.display_name $>! <% if attendee.track == "ghas" %>x<% endif %> attendee.ignored');
+  assert.deepEqual([...references], ['display_name', 'track']);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, lifecycleProblems, dueRules, exceedsPermission, describeRule } = require('../lib/lifecycle');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+test('parseDuration understands minutes, hours, days and weeks', () => {
+  assert.equal(parseDuration('90m'), 90 * 60 * 1000);
+  assert.equal(parseDuration('12h'), 12 * HOUR);
+  assert.equal(parseDuration(' 1.5d '), 1.5 * DAY);
+  assert.equal(parseDuration('2w'), 14 * DAY);
+  assert.equal(parseDuration('7'), null);
+  assert.equal(parseDuration('7y'), null);
+  assert.equal(parseDuration(undefined), null);
+});
+
+test('lifecycleProblems checks every rule', () => {
+  assert.deepEqual(lifecycleProblems('lifecycle', [
+    { after: '1d', action: 'downgrade', permission: 'read' },
+    { after: '30d', action: 'delete', backupDir: './backups' }
+  ]), []);
+  assert.deepEqual(lifecycleProblems('lifecycle', [
+    { after: 'soon', action: 'archive' },
+    { after: '1d', action: 'downgrade' },
+    { after: '1d', action: 'archive', backupDir: './backups' },
+    'delete'
+  ]), [
+    'lifecycle[0].after must be a duration such as "12h", "7d" or "2w"',
+    'lifecycle[1].permission must be one of: read, triage, write, maintain, admin',
+    'lifecycle[2].backupDir is only allowed as a path on a delete rule',
+    'lifecycle[3] must be an object'
+  ]);
+  assert.equal(lifecycleProblems('lifecycle', {}).length, 1);
+});
+
+test('dueRules returns the rules due, oldest first, and only the delete once it is due', () => {
+  const downgrade = { after: '1d', action: 'downgrade', permission: 'read' };
+  const archive = { after: '7d', action: 'archive' };
+  const deletion = { after: '30d', action: 'delete' };
+  const rules = [archive, deletion, downgrade];
+  const now = Date.parse('2026-06-01T00:00:00Z');
+  const createdDaysAgo = days => new Date(now - days * DAY).toISOString();
+
+  assert.deepEqual(dueRules(rules, createdDaysAgo(0.5), now), []);
+  assert.deepEqual(dueRules(rules, createdDaysAgo(1), now), [downgrade]);
+  assert.deepEqual(dueRules(rules, createdDaysAgo(8), now), [downgrade, archive]);
+  assert.deepEqual(dueRules(rules, createdDaysAgo(31), now), [deletion]);
+});
+
+test('exceedsPermission compares collaborator roles and API permission names', () => {
+  assert.equal(exceedsPermission('admin', 'read'), true);
+  assert.equal(exceedsPermission('write', 'write'), false);
+  assert.equal(exceedsPermission('push', 'read'), true);
+  assert.equal(exceedsPermission('pull', 'read'), false);
+  assert.equal(exceedsPermission('maintain', 'triage'), true);
+  assert.equal(exceedsPermission('custom-role', 'read'), false);
+});
+
+test('describeRule names the action and when it runs', () => {
+  assert.equal(describeRule({ after: '1d', action: 'downgrade', permission: 'read' }), 'downgrade to read after 1d');
+  assert.equal(describeRule({ after: '7d', action: 'archive' }), 'archive after 7d');
+});
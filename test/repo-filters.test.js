@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepoNaming } = require('../lib/repo-naming');
+const { parseRepoFilters, hasRepoFilters, describeRepoFilters, matchRepoFilters, globToRegExp } = require('../lib/repo-filters');
+
+test('globToRegExp matches whole names, case-insensitively', () => {
+  assert.equal(globToRegExp('octocat*').test('OctocatSupply-alice'), true);
+  assert.equal(globToRegExp('*-al?ce').test('octocatSupply-alice'), true);
+  assert.equal(globToRegExp('octocat.Supply').test('octocatXSupply'), false);
+  assert.equal(globToRegExp('alice').test('octocatSupply-alice'), false);
+});
+
+test('parseRepoFilters reads every filter flag', () => {
+  const filters = parseRepoFilters(['--attendee', 'Alice, bob', '--source-repo', 'octocatSupply', '--created-after', '2026-05-14', '--exclude', '*-keep']);
+  assert.deepEqual(filters.attendees, ['alice', 'bob']);
+  assert.deepEqual(filters.sourceRepos, ['octocatSupply']);
+  assert.equal(filters.createdAfter.toISOString(), '2026-05-14T00:00:00.000Z');
+  assert.equal(filters.createdBefore, null);
+  assert.deepEqual(filters.exclude, ['*-keep']);
+  assert.equal(hasRepoFilters(filters), true);
+  assert.equal(hasRepoFilters(parseRepoFilters([])), false);
+  assert.equal(describeRepoFilters(filters), 'attendee alice, bob; source repo octocatSupply; created after 2026-05-14T00:00:00.000Z; excluding *-keep');
+});
+
+test('parseRepoFilters rejects dates it cannot read', () => {
+  assert.throws(() => parseRepoFilters(['--created-before', 'next week']), /--created-before expects a date/);
+});
+
+test('matchRepoFilters requires every filter to match', () => {
+  const filters = parseRepoFilters(['--attendee', 'alice', '--created-before', '2026-06-01']);
+  const repo = { repoName: 'octocatSupply-alice', createdAt: '2026-05-20T10:00:00Z' };
+  assert.deepEqual(matchRepoFilters(repo, filters), ['attendee alice', 'created before 2026-06-01']);
+  assert.equal(matchRepoFilters({ ...repo, createdAt: '2026-06-02T10:00:00Z' }, filters), null);
+  assert.equal(matchRepoFilters({ ...repo, repoName: 'octocatSupply-bob' }, filters), null);
+});
+
+test('matchRepoFilters finds attendees in team repos and source repos from the group', () => {
+  const filters = parseRepoFilters(['--attendee', 'bob', '--source-repo', 'octocatSupply']);
+  const repo = {
+    repoName: 'summit-red-team',
+    sourceRepo: 'octocatSupply',
+    group: { members: [{ githubUsername: 'alice' }, { githubUsername: 'Bob' }] }
+  };
+  assert.deepEqual(matchRepoFilters(repo, filters), ['attendee bob', 'source repo octocatSupply']);
+  assert.equal(matchRepoFilters({ ...repo, sourceRepo: 'other' }, filters), null);
+});
+
+test('--attendee does not select another attendee whose username ends with it', () => {
+  const filters = parseRepoFilters(['--attendee', 'bob']);
+  const solo = username => ({ slug: username, team: null, members: [{ githubUsername: username, fields: {} }] });
+  const [bob, jimBob] = [solo('bob'), solo('jim-bob')];
+  const naming = createRepoNaming();
+
+  assert.equal(matchRepoFilters({ repoName: 'octocatSupply-jim-bob', group: jimBob }, filters), null);
+  assert.deepEqual(matchRepoFilters({ repoName: 'octocatSupply-bob', group: bob }, filters), ['attendee bob']);
+
+  // Without a known group the name is matched against every group
+  assert.equal(matchRepoFilters({ repoName: 'octocatSupply-jim-bob', group: null }, filters, { naming, groups: [bob, jimBob] }), null);
+  assert.deepEqual(matchRepoFilters({ repoName: 'octocatSupply-bob', group: null }, filters, { naming, groups: [bob, jimBob] }), ['attendee bob']);
+});
+
+test('matchRepoFilters never selects excluded repos', () => {
+  const filters = parseRepoFilters(['--name-glob', 'octocat*', '--exclude', '*-alice']);
+  assert.equal(matchRepoFilters({ repoName: 'octocatSupply-alice' }, filters), null);
+  assert.deepEqual(matchRepoFilters({ repoName: 'octocatSupply-bob' }, filters), ['name octocat*']);
+});
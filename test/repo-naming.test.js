@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitize, repoNameTemplateProblems, createRepoNaming, planRepoNames } = require('../lib/repo-naming');
+
+function solo(username, fields = {}) {
+  return { slug: username, team: null, members: [{ githubUsername: username, fields }], backend: null };
+}
+
+test('sanitize replaces characters GitHub does not allow in repo names', () => {
+  assert.equal(sanitize('  Red Team! '), 'Red-Team');
+  assert.equal(sanitize('a/b\\c'), 'a-b-c');
+  assert.equal(sanitize(undefined), '');
+});
+
+test('the default template reproduces <source>-<username>', () => {
+  const naming = createRepoNaming();
+  assert.equal(naming.nameFor('octocatSupply', solo('alice')), 'octocatSupply-alice');
+});
+
+test('{{event}} is an alias for {{workshop}}', () => {
+  const naming = createRepoNaming({ template: '{{event}}-{{source}}-{{username}}', workshopId: 'summit' });
+  assert.equal(naming.nameFor('octocatSupply', solo('alice')), 'summit-octocatSupply-alice');
+  assert.deepEqual(repoNameTemplateProblems('repoNameTemplate', '{{event}}-{{source}}'), []);
+});
+
+test('templates with unknown variables, bad characters or no {{source}} are rejected', () => {
+  assert.match(repoNameTemplateProblems('t', '{{source}}-{{nope}}')[0], /unknown variable \{\{nope\}\}/);
+  assert.match(repoNameTemplateProblems('t', '{{source}} {{username}}')[0], /characters GitHub does not allow/);
+  assert.match(repoNameTemplateProblems('t', '{{username}}')[0], /must include \{\{source\}\}/);
+  assert.deepEqual(repoNameTemplateProblems('t', '{{source}}-{{attendee.cohort}}'), []);
+});
+
+test('nameFor throws when a variable has no value for the group', () => {
+  const naming = createRepoNaming({ template: '{{source}}-{{attendee.cohort}}' });
+  assert.throws(() => naming.nameFor('octocatSupply', solo('alice')), /no value for \{\{attendee\.cohort\}\}/);
+  assert.equal(naming.nameFor('octocatSupply', solo('bob', { cohort: '2' })), 'octocatSupply-2');
+});
+
+test('matchRepo prefers the most specific group when usernames overlap', () => {
+  const naming = createRepoNaming();
+  const bob = solo('bob');
+  const jimBob = solo('jim-bob');
+  const groups = [bob, jimBob];
+
+  assert.deepEqual(naming.matchRepo('octocatSupply-jim-bob', groups), { group: jimBob, sourceRepo: 'octocatSupply' });
+  assert.deepEqual(naming.matchRepo('octocatSupply-bob', groups), { group: bob, sourceRepo: 'octocatSupply' });
+  assert.deepEqual(naming.matchRepo('OCTOCATSUPPLY-BOB', groups), { group: bob, sourceRepo: 'OCTOCATSUPPLY' });
+  assert.equal(naming.matchRepo('octocatSupply-carol', groups), null);
+});
+
+test('planRepoNames reports names that collide, case-insensitively', () => {
+  const naming = createRepoNaming({ template: '{{source}}' });
+  const { names, problems } = planRepoNames(naming, {
+    sourceRepoNames: ['octocatSupply'],
+    groups: [solo('alice'), solo('bob')]
+  });
+  assert.equal(names.length, 1);
+  assert.deepEqual(problems, ['octocatSupply (octocatSupply for bob) has the same name as octocatSupply (octocatSupply for alice)']);
+
+  const withTemplate = planRepoNames(createRepoNaming(), {
+    sourceRepoNames: ['octocatSupply'],
+    groups: [solo('Template')],
+    reserved: ['octocatSupply-template']
+  });
+  assert.match(withTemplate.problems[0], /same name as octocatSupply-template \(template repository\)/);
+});
+
+test('planRepoNames reports existing repos of other workshops', () => {
+  const { problems } = planRepoNames(createRepoNaming(), {
+    sourceRepoNames: ['octocatSupply'],
+    groups: [solo('alice'), solo('bob')],
+    existingRepos: [
+      { name: 'octocatSupply-alice', topics: ['workshop-summit'] },
+      { name: 'octocatSupply-bob', topics: ['workshop-other'] }
+    ],
+    workshopId: 'summit'
+  });
+  assert.deepEqual(problems, ['octocatSupply-bob already exists in the org and does not belong to workshop summit']);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_REPO_SETTINGS, repoSettingsProblems, resolveRepoSettings, renderRepoSettings, visibilitySupport } = require('../lib/repo-settings');
+
+test('repoSettingsProblems accepts valid settings', () => {
+  assert.deepEqual(repoSettingsProblems('repoSettings', {
+    visibility: 'private',
+    description: 'Demo',
+    topics: ['ghas', 'demo-2026'],
+    customProperties: { team: 'dev', regions: ['eu', 'us'] },
+    repos: { octocatSupply: { visibility: 'public' } }
+  }, { perRepo: true }), []);
+});
+
+test('repoSettingsProblems reports every invalid setting', () => {
+  assert.deepEqual(repoSettingsProblems('repoSettings', {
+    visibility: 'secret',
+    homepage: 1,
+    topics: ['Not A Topic'],
+    customProperties: { team: 1 },
+    repos: {},
+    colour: 'blue'
+  }), [
+    'repoSettings.visibility must be one of: private, internal, public',
+    'repoSettings.homepage must be a string',
+    'repoSettings.topics must be an array of topics (lowercase letters, digits and hyphens, at most 50 characters)',
+    'repoSettings.customProperties must be an object of property name -> string (or array of strings for multi-select properties)',
+    'repoSettings.repos is only allowed in the workshop manifest',
+    'repoSettings.colour is not a known repo setting (expected one of: visibility, description, homepage, topics, customProperties)'
+  ]);
+  assert.match(repoSettingsProblems('repoSettings', { topics: Array.from({ length: 20 }, (_, i) => `t${i}`) })[0], /has 20 topics/);
+  assert.deepEqual(repoSettingsProblems('repoSettings', []), ['repoSettings must be an object']);
+});
+
+test('resolveRepoSettings layers defaults, the release and the manifest', () => {
+  const settings = resolveRepoSettings('octocatSupply',
+    { visibility: 'private', topics: ['from-release'] },
+    { topics: ['from-manifest'], repos: { octocatSupply: { visibility: 'public' }, other: { description: 'x' } } });
+  assert.deepEqual(settings, { ...DEFAULT_REPO_SETTINGS, visibility: 'public', topics: ['from-manifest'] });
+  assert.equal(resolveRepoSettings('other', undefined, undefined).visibility, 'internal');
+});
+
+test('renderRepoSettings fills in the description and homepage', async () => {
+  const settings = await renderRepoSettings(
+    { ...DEFAULT_REPO_SETTINGS, homepage: 'https://example.com/<$ attendee.github_username $>' },
+    { source_repository: 'octocatSupply', attendee: { github_username: 'alice' } });
+  assert.equal(settings.description, 'Demo repository based on octocatSupply');
+  assert.equal(settings.homepage, 'https://example.com/alice');
+});
+
+test('visibilitySupport checks the plan and member settings', () => {
+  const org = { login: 'org', plan: { name: 'team' }, members_can_create_private_repositories: false };
+  assert.equal(visibilitySupport(org, 'internal').supported, false);
+  assert.equal(visibilitySupport(org, 'private').supported, false);
+  assert.equal(visibilitySupport(org, 'private', { isOwner: true }).supported, true);
+  assert.equal(visibilitySupport(org, 'public').supported, true);
+  assert.equal(visibilitySupport({ login: 'org' }, 'private').supported, null);
+});
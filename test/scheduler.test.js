@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RequestScheduler } = require('../lib/scheduler');
+
+function serverError(message = 'Internal Server Error', response = { headers: {} }) {
+  return Object.assign(new Error(message), { status: 500, response });
+}
+
+function quietScheduler() {
+  return new RequestScheduler({ retryDelayMs: 0, writeIntervalMs: 0, timeoutMs: 0 });
+}
+
+test('canRetry retries server errors on idempotent methods only', () => {
+  const scheduler = quietScheduler();
+  for (const method of ['GET', 'HEAD', 'PUT', 'DELETE']) {
+    assert.equal(scheduler.canRetry({ method }, serverError()), true, method);
+  }
+  for (const method of ['POST', 'PATCH']) {
+    assert.equal(scheduler.canRetry({ method }, serverError()), false, method);
+  }
+});
+
+test('canRetry retries a POST whose connection failed before reaching GitHub', () => {
+  const scheduler = quietScheduler();
+  assert.equal(scheduler.canRetry({ method: 'POST' }, serverError('connect ECONNREFUSED 140.82.112.6:443', null)), true);
+  assert.equal(scheduler.canRetry({ method: 'POST' }, serverError('The operation was aborted due to timeout', null)), false);
+});
+
+test('canRetry never retries client errors', () => {
+  const scheduler = quietScheduler();
+  assert.equal(scheduler.canRetry({ method: 'GET' }, Object.assign(new Error('Not Found'), { status: 404 })), false);
+});
+
+test('schedule retries a failed GET and gives up on a failed POST', async () => {
+  const scheduler = quietScheduler();
+  const log = console.log;
+  console.log = () => {};
+  try {
+    let attempts = 0;
+    const response = await scheduler.schedule({ method: 'GET', url: '/repos/org/repo' }, async () => {
+      if (++attempts === 1) throw serverError();
+      return { headers: {}, data: 'ok' };
+    });
+    assert.equal(response.data, 'ok');
+    assert.equal(attempts, 2);
+
+    attempts = 0;
+    await assert.rejects(scheduler.schedule({ method: 'POST', url: '/orgs/org/repos' }, async () => {
+      attempts++;
+      throw serverError();
+    }), { status: 500 });
+    assert.equal(attempts, 1);
+  } finally {
+    console.log = log;
+  }
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { groupAttendees, describeGroup, teamSlug } = require('../lib/teams');
+
+function attendee(githubUsername, fields = {}, backend = null) {
+  return { githubUsername, email: null, backend, fields: { github_username: githubUsername, ...fields } };
+}
+
+test('teamSlug turns a team name into a repo name suffix', () => {
+  assert.equal(teamSlug('Red Team'), 'red-team');
+  assert.equal(teamSlug('  Team #1! '), 'team-1');
+});
+
+test('every attendee gets their own repos by default', () => {
+  const groups = groupAttendees([attendee('alice'), attendee('bob', {}, 'python')]);
+  assert.deepEqual(groups.map(group => [group.slug, group.team, group.backend]), [['alice', null, null], ['bob', null, 'python']]);
+  assert.equal(describeGroup(groups[0]), 'alice');
+});
+
+test('attendees with the same team column share repos', () => {
+  const groups = groupAttendees([attendee('alice', { team: 'Red Team' }), attendee('bob'), attendee('carol', { team: 'red team' })]);
+  assert.deepEqual(groups.map(group => group.slug), ['red-team', 'bob']);
+  assert.equal(describeGroup(groups[0]), 'team Red Team (alice, carol)');
+});
+
+test('auto teams do not change when the CSV is reordered', () => {
+  const attendees = [attendee('dave'), attendee('alice'), attendee('Carol'), attendee('bob'), attendee('erin')];
+  const describe = groups => groups.map(group => [group.slug, group.members.map(m => m.githubUsername)]);
+  const expected = [
+    ['team-alice', ['alice', 'bob']],
+    ['team-carol', ['Carol', 'dave']],
+    ['team-erin', ['erin']]
+  ];
+  assert.deepEqual(describe(groupAttendees(attendees, { teamSize: 2 })), expected);
+  assert.deepEqual(describe(groupAttendees([...attendees].reverse(), { teamSize: 2 })), expected);
+});
+
+test('auto team names are lowercase like the team slugs built elsewhere', () => {
+  const groups = groupAttendees([attendee('Alice'), attendee('BOB'), attendee('carol')], { teamSize: 2 });
+  assert.deepEqual(groups.map(group => [group.slug, group.team]), [['team-alice', 'team-alice'], ['team-carol', 'team-carol']]);
+  assert.equal(groups[0].slug, teamSlug(groups[0].team));
+});
+
+test('groupAttendees reports duplicates, clashing suffixes and mixed backends', () => {
+  assert.throws(() => groupAttendees([attendee('alice'), attendee('Alice')]), /Alice is listed more than once/);
+  assert.throws(() => groupAttendees([attendee('alice', { team: 'bob' }), attendee('bob')]), /would both use repo suffix "-bob"/);
+  assert.throws(() => groupAttendees([attendee('alice', { team: 'red' }, 'python'), attendee('bob', { team: 'red' }, 'java')]),
+    /team red mixes backends \(python, java\)/);
+  assert.throws(() => groupAttendees([attendee('alice', { team: '!!!' })]), /has no letters or digits/);
+});
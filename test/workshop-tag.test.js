@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { workshopIdFrom, requireExplicitWorkshopId, workshopTopic, hasWorkshopTopic, otherWorkshopTopics } = require('../lib/workshop-tag');
+
+test('workshopTopic makes a valid topic from any workshop ID', () => {
+  assert.equal(workshopTopic('Summit 2026'), 'workshop-summit-2026');
+  assert.equal(workshopTopic('default'), 'workshop-default');
+  assert.equal(workshopTopic('x'.repeat(60)).length, 50);
+  assert.equal(workshopTopic(`${'a'.repeat(40)}--b`), `workshop-${'a'.repeat(40)}`);
+  assert.throws(() => workshopTopic('!!!'), /must contain letters or digits/);
+});
+
+test('hasWorkshopTopic and otherWorkshopTopics tell workshops apart', () => {
+  const repo = { topics: ['demo', 'workshop-summit', 'workshop-meetup'] };
+  assert.equal(hasWorkshopTopic(repo, 'Summit'), true);
+  assert.equal(hasWorkshopTopic({}, 'summit'), false);
+  assert.deepEqual(otherWorkshopTopics(repo.topics, 'summit'), ['workshop-meetup']);
+  assert.deepEqual(otherWorkshopTopics(['demo', 'workshop-summit'], 'summit'), []);
+});
+
+test('the workshop ID comes from --workshop-id, then WORKSHOP_ID', () => {
+  assert.equal(workshopIdFrom(['--workshop-id', 'summit'], { WORKSHOP_ID: 'env' }), 'summit');
+  assert.equal(workshopIdFrom([], { WORKSHOP_ID: 'env' }), 'env');
+  assert.equal(workshopIdFrom([], {}), 'default');
+  assert.throws(() => requireExplicitWorkshopId([], 'Cleanup', {}), /Cleanup finds repos by workshop topic/);
+  assert.doesNotThrow(() => requireExplicitWorkshopId(['--workshop-id', 'default'], 'Cleanup', {}));
+});
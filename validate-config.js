@@ -1,155 +1,449 @@
 #!/usr/bin/env node
+// Usage: node validate-config.js [--json] [--download] [--profile <name>] [--team-size <n>] [--workshop-id <id>]
 
-const { Octokit } = require('@octokit/rest');
 const fs = require('fs');
-const csv = require('csv-parser');
+const fsPromises = fs.promises;
+const os = require('os');
+const path = require('path');
+const { hasFlag, getArgValue } = require('./lib/cli-args');
+const { loadWorkshopConfig } = require('./lib/workshop-config');
+const { loadAttendees, attendeeColumns, findUnsupportedBackends } = require('./lib/attendees');
+const { groupAttendees } = require('./lib/teams');
+const { hasCredentials, isAppAuth, describeAuth } = require('./lib/github-auth');
+const { createGitHubClient, releaseSourceFromEnv, findReleaseAsset, downloadReleaseAsset, logApiUsage } = require('./lib/github-client');
+const { installConsoleRedaction } = require('./lib/redact');
+const { extractReleaseTarball, readReleaseMetadata, branchLayout } = require('./lib/release');
+const { createRepoNaming, planRepoNames } = require('./lib/repo-naming');
+const { resolveRepoSettings, visibilitySupport } = require('./lib/repo-settings');
+const { workshopIdFrom } = require('./lib/workshop-tag');
 require('dotenv').config();
 
+// Keep tokens out of everything this script prints
+installConsoleRedaction();
+
+const args = process.argv.slice(2);
+
 // Configuration
 const CONFIG = {
-  sourceOrg: process.env.SOURCE_ORG || 'your-source-org',
-  sourceRepo: process.env.SOURCE_REPO || 'demo-repo',
   targetOrg: process.env.TARGET_ORG || 'your-target-org',
   csvFile: process.env.CSV_FILE || 'attendees.csv',
-  githubToken: process.env.GITHUB_TOKEN,
+  releaseTarball: process.env.RELEASE_TARBALL || './release.tar.gz',
+  backend: process.env.BACKEND || 'nodejs',
+  teamSize: parseInt(getArgValue(args, '--team-size', process.env.TEAM_SIZE || '1')),
+  workshopId: workshopIdFrom(args),
+  json: hasFlag(args, '--json'), // Print only the report, as JSON, to stdout
+  download: hasFlag(args, '--download') // Download a missing release tarball (as setup would) so its contents are checked too
 };
 
-async function validateConfiguration() {
-  console.log('🔍 Validating Workshop Setup Configuration...\n');
+// Classic token scopes setup needs, and ones other scripts need
+const REQUIRED_SCOPES = {
+  repo: 'create repos and add collaborators',
+  workflow: 'push .github/workflows'
+};
+const RECOMMENDED_SCOPES = {
+  delete_repo: 'cleanup deletes repos',
+  'read:org': 'check org membership'
+};
+
+// Scopes that include another one
+const IMPLIED_SCOPES = { 'admin:org': ['read:org', 'write:org'], 'write:org': ['read:org'] };
+
+const ICONS = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+
+/**
+ * Pass/warn/fail results of every check. Each result is printed as it is
+ * added, unless the report is printed as JSON at the end.
+ */
+class PreflightReport {
+  constructor() {
+    this.checks = [];
+  }
+
+  add(status, check, message) {
+    this.checks.push({ check, status, message });
+    console.log(`${ICONS[status]} ${message}`);
+  }
+
+  pass(check, message) { this.add('pass', check, message); }
+  warn(check, message) { this.add('warn', check, message); }
+  fail(check, message) { this.add('fail', check, message); }
+
+  get ok() {
+    return !this.checks.some(result => result.status === 'fail');
+  }
 
-  // Check GitHub token
-  if (!CONFIG.githubToken) {
-    console.error('❌ GITHUB_TOKEN is missing');
-    return false;
+  toJSON() {
+    const count = status => this.checks.filter(result => result.status === status).length;
+    return {
+      ok: this.ok,
+      summary: { pass: count('pass'), warn: count('warn'), fail: count('fail') },
+      checks: this.checks
+    };
   }
-  console.log('✅ GitHub token provided');
+}
+
+/**
+ * Scopes granted by a classic token, from the `x-oauth-scopes` header, or
+ * null for tokens that do not report any (fine-grained tokens).
+ */
+function grantedScopes(headers) {
+  const header = headers['x-oauth-scopes'];
+  if (header === undefined) return null;
+  const scopes = header.split(',').map(scope => scope.trim()).filter(Boolean);
+  return new Set(scopes.flatMap(scope => [scope, ...(IMPLIED_SCOPES[scope] || [])]));
+}
+
+async function checkAuthentication(report, octokit) {
+  if (isAppAuth()) {
+    const { installationId } = await octokit.auth({ type: 'installation' });
+    report.pass('auth', `Authenticated as GitHub App installation ${installationId}`);
+    report.pass('token-scopes', 'GitHub App permissions come from the installation (see README for the list)');
+    return;
+  }
+
+  const { data: user, headers } = await octokit.rest.users.getAuthenticated();
+  report.pass('auth', `Authenticated as: ${user.login}`);
 
-  // Initialize Octokit
-  const octokit = new Octokit({ auth: CONFIG.githubToken });
+  const scopes = grantedScopes(headers);
+  if (scopes === null) {
+    report.warn('token-scopes', 'Token does not report scopes (fine-grained token?); make sure it has Administration, Contents, Issues, Pull requests and Workflows write access to the org');
+    return;
+  }
+  const missing = Object.keys(REQUIRED_SCOPES).filter(scope => !scopes.has(scope));
+  if (missing.length > 0) {
+    report.fail('token-scopes', `Token is missing scope(s) ${missing.map(scope => `${scope} (${REQUIRED_SCOPES[scope]})`).join(', ')}`);
+  } else {
+    report.pass('token-scopes', `Token scopes: ${headers['x-oauth-scopes']}`);
+  }
+  const recommended = Object.keys(RECOMMENDED_SCOPES).filter(scope => !scopes.has(scope));
+  if (recommended.length > 0) {
+    report.warn('token-scopes', `Token has no ${recommended.map(scope => `${scope} (${RECOMMENDED_SCOPES[scope]})`).join(', ')}`);
+  }
+}
 
+/**
+ * The target org must exist. Resolves to { org, isOwner } for the visibility
+ * check, or null when the org cannot be read.
+ */
+async function checkTargetOrg(report, octokit) {
+  let org;
   try {
-    // Test API access
-    const { data: user } = await octokit.rest.users.getAuthenticated();
-    console.log(`✅ Authenticated as: ${user.login}`);
+    ({ data: org } = await octokit.rest.orgs.get({ org: CONFIG.targetOrg }));
   } catch (error) {
-    console.error('❌ GitHub authentication failed:', error.message);
-    return false;
+    report.fail('target-org', `Target organization ${CONFIG.targetOrg} not found: ${error.message}`);
+    return null;
   }
+  report.pass('target-org', `Target organization found: ${org.login}`);
 
-  // Check source repository
+  // Organization membership/permissions (apps get theirs from the installation)
+  let role = null;
+  if (!isAppAuth()) {
+    try {
+      const { data: membership } = await octokit.rest.orgs.getMembershipForAuthenticatedUser({ org: CONFIG.targetOrg });
+      role = membership.role;
+      if (role === 'admin') {
+        report.pass('org-membership', `Organization membership: ${role}`);
+      } else {
+        report.warn('org-membership', `Organization membership: ${role}; you may need admin permissions to create repositories and add collaborators`);
+      }
+    } catch (error) {
+      report.warn('org-membership', 'Could not verify organization permissions');
+    }
+  }
+
+  return { org, isOwner: role === 'admin' || isAppAuth() };
+}
+
+/**
+ * The org must allow the visibility of every demo repo setup creates, from
+ * the release's metadata.json (when it could be read) and the manifest's
+ * repoSettings. Plan and repo-creation settings are only visible to org owners.
+ */
+function checkRepoVisibility(report, target, workshop, metadata) {
+  const sourceRepoNames = metadata
+    ? Object.keys(metadata.demoContents).filter(repoName => !repoName.includes('overlay'))
+    : [null, ...Object.keys(workshop.repoSettings.repos || {})];
+  const demos = new Map(); // visibility -> [source repo names]
+  for (const sourceRepoName of sourceRepoNames) {
+    const { visibility } = resolveRepoSettings(sourceRepoName, metadata?.demoContents[sourceRepoName]?.repoSettings, workshop.repoSettings);
+    demos.set(visibility, [...(demos.get(visibility) || []), ...(sourceRepoName ? [sourceRepoName] : [])]);
+  }
+
+  for (const [visibility, names] of demos) {
+    const { supported, reason } = visibilitySupport(target.org, visibility, { isOwner: target.isOwner });
+    const message = names.length > 0 ? `${reason} (${names.join(', ')})` : reason;
+    if (supported === false) {
+      report.fail('repo-visibility', `${message}; set repoSettings.visibility in the workshop manifest`);
+    } else if (supported === null) {
+      report.warn('repo-visibility', message);
+    } else {
+      report.pass('repo-visibility', message);
+    }
+  }
+}
+
+async function checkAttendees(report, octokit, workshop) {
+  if (!fs.existsSync(CONFIG.csvFile)) {
+    report.fail('csv', `CSV file not found: ${CONFIG.csvFile}`);
+    return null;
+  }
+
+  let rows;
   try {
-    const { data: sourceRepo } = await octokit.rest.repos.get({
-      owner: CONFIG.sourceOrg,
-      repo: CONFIG.sourceRepo
-    });
-    console.log(`✅ Source repository found: ${sourceRepo.full_name}`);
-    console.log(`   Default branch: ${sourceRepo.default_branch}`);
+    rows = await loadAttendees(CONFIG.csvFile);
   } catch (error) {
-    console.error(`❌ Source repository ${CONFIG.sourceOrg}/${CONFIG.sourceRepo} not found:`, error.message);
-    return false;
+    report.fail('csv', error.message);
+    return null;
   }
+  if (rows.length === 0) {
+    report.fail('csv', 'No valid attendees found in CSV file');
+    return null;
+  }
+  report.pass('csv', `CSV file validated with ${rows.length} attendees (template columns: ${attendeeColumns(rows).map(c => `attendee.${c}`).join(', ')})`);
 
-  // Check target organization
+  // Every attendee's backend (or BACKEND for attendees without one) must be supported
+  const backendProblems = findUnsupportedBackends(rows, workshop.backends, CONFIG.backend);
+  if (backendProblems.length > 0) {
+    backendProblems.forEach(problem => report.fail('backends', problem));
+  } else {
+    report.pass('backends', `Backends supported: ${[...new Set(rows.map(a => a.backend || CONFIG.backend))].join(', ')}`);
+  }
+
+  // Team column / TEAM_SIZE must produce unique repo names with one backend per team
   try {
-    const { data: org } = await octokit.rest.orgs.get({ org: CONFIG.targetOrg });
-    console.log(`✅ Target organization found: ${org.login}`);
+    const teams = groupAttendees(rows, { teamSize: CONFIG.teamSize }).filter(g => g.team);
+    if (teams.length > 0) {
+      report.pass('teams', `Teams: ${teams.map(g => `${g.team} (${g.members.length})`).join(', ')}`);
+    }
   } catch (error) {
-    console.error(`❌ Target organization ${CONFIG.targetOrg} not found:`, error.message);
-    return false;
+    report.fail('teams', error.message);
+  }
+
+  // Check a few attendee usernames
+  if (octokit) {
+    for (const { githubUsername: username } of rows.slice(0, 3)) {
+      try {
+        await octokit.rest.users.getByUsername({ username });
+        report.pass('usernames', `${username} - valid GitHub user`);
+      } catch (error) {
+        report.fail('usernames', `${username} - GitHub user not found`);
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Find the release tarball locally, or check that setup can download it.
+ * Returns the local path when the contents can be checked.
+ */
+async function checkReleaseTarball(report, octokit) {
+  if (fs.existsSync(CONFIG.releaseTarball)) {
+    report.pass('release-tarball', `Release tarball found: ${CONFIG.releaseTarball}`);
+    return CONFIG.releaseTarball;
   }
 
-  // Check organization membership/permissions
+  const { owner, repo, tag } = releaseSourceFromEnv();
+  if (!octokit) {
+    report.fail('release-tarball', `Release tarball not found at ${CONFIG.releaseTarball}, and it cannot be downloaded without credentials`);
+    return null;
+  }
   try {
-    const { data: membership } = await octokit.rest.orgs.getMembershipForAuthenticatedUser({
-      org: CONFIG.targetOrg
-    });
-    console.log(`✅ Organization membership: ${membership.role}`);
-    
-    if (membership.role !== 'admin') {
-      console.warn('⚠️  Warning: You may need admin permissions to create repositories and add collaborators');
+    const { release, asset } = await findReleaseAsset(octokit, owner, repo, tag);
+    if (!CONFIG.download) {
+      report.pass('release-tarball', `Release tarball will be downloaded from ${owner}/${repo} (${release.tag_name}, ${(asset.size / 1024 / 1024).toFixed(1)} MB)`);
+      report.warn('release-contents', 'Release contents not checked; run with --download to fetch the tarball and check them');
+      return null;
     }
+    await downloadReleaseAsset(octokit, owner, repo, tag, CONFIG.releaseTarball);
+    report.pass('release-tarball', `Release tarball downloaded from ${owner}/${repo} (${release.tag_name}) to ${CONFIG.releaseTarball}`);
+    return CONFIG.releaseTarball;
   } catch (error) {
-    console.warn('⚠️  Warning: Could not verify organization permissions');
+    report.fail('release-tarball', `Release tarball not found at ${CONFIG.releaseTarball} and not downloadable from ${owner}/${repo} (${tag}): ${error.message}`);
+    return null;
   }
+}
 
-  // Check CSV file
-  if (!fs.existsSync(CONFIG.csvFile)) {
-    console.error(`❌ CSV file not found: ${CONFIG.csvFile}`);
-    return false;
-  }
-
-  // Validate CSV content
-  const attendees = [];
-  await new Promise((resolve, reject) => {
-    fs.createReadStream(CONFIG.csvFile)
-      .pipe(csv())
-      .on('data', (row) => {
-        if (row.github_username) {
-          attendees.push(row.github_username.trim());
-        }
-      })
-      .on('end', resolve)
-      .on('error', reject);
-  });
-
-  if (attendees.length === 0) {
-    console.error('❌ No valid attendees found in CSV file');
-    return false;
-  }
-
-  console.log(`✅ CSV file validated with ${attendees.length} attendees`);
-
-  // Check a few random attendee usernames
-  const samplesToCheck = Math.min(3, attendees.length);
-  console.log(`\n🔍 Validating sample GitHub usernames (${samplesToCheck} of ${attendees.length}):`);
-  
-  for (let i = 0; i < samplesToCheck; i++) {
-    const username = attendees[i];
+/**
+ * Check the release the way setup reads it: a well-formed metadata.json,
+ * the branch directories of every demoContents entry, the api-<backend>
+ * folder of each backend in use and the manifest's requiredBranches.
+ */
+async function checkReleaseContents(report, tarball, workshop, backends) {
+  const extractDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'workshop-validate-'));
+  let release = null;
+  try {
+    await extractReleaseTarball(tarball, extractDir);
+
+    let metadata;
     try {
-      await octokit.rest.users.getByUsername({ username });
-      console.log(`   ✅ ${username} - valid GitHub user`);
+      metadata = await readReleaseMetadata(extractDir);
     } catch (error) {
-      console.log(`   ❌ ${username} - GitHub user not found`);
+      report.fail('release-metadata', error.message);
+      return;
     }
+    report.pass('release-metadata', `metadata.json is well-formed (demo: ${metadata.name || 'unknown'}, ${Object.keys(metadata.demoContents).length} repositories)`);
+    release = metadata;
+
+    for (const [repoName, repoConfig] of Object.entries(metadata.demoContents)) {
+      let layout;
+      try {
+        layout = await branchLayout(extractDir, repoName, repoConfig);
+      } catch (error) {
+        report.fail('release-branches', `${repoName}: ${error.message.replace(extractDir + path.sep, '')}`);
+        continue;
+      }
+
+      const dirs = layout.branches.map(branch => branch.dir);
+      const missing = [
+        ...(repoConfig.mainBranch && layout.mainBranchDir !== repoConfig.mainBranch ? [repoConfig.mainBranch] : []),
+        ...(repoConfig.additionalBranches || []).filter(name => !dirs.includes(name) && !dirs.includes(`${layout.mainBranchDir}-${name}`))
+      ];
+      if (missing.length > 0) {
+        report.fail('release-branches', `${repoName}: missing branch director${missing.length === 1 ? 'y' : 'ies'} ${missing.join(', ')}`);
+      } else {
+        report.pass('release-branches', `${repoName}: branches ${layout.branches.map(branch => branch.name).join(', ')}`);
+      }
+
+      // Overlays are merged into the base repos, so only those need the backends
+      if (repoName.includes('overlay')) continue;
+
+      const missingApis = backends.filter(backend => !fs.existsSync(path.join(layout.sourcePath, layout.mainBranchDir, `api-${backend}`)));
+      if (missingApis.length > 0) {
+        report.fail('release-backends', `${repoName}: ${missingApis.map(backend => `api-${backend}`).join(', ')} missing from ${layout.mainBranchDir}/`);
+      } else {
+        report.pass('release-backends', `${repoName}: ${backends.map(backend => `api-${backend}`).join(', ')} present`);
+      }
+
+      const branchNames = layout.branches.map(branch => branch.name);
+      const missingRequired = workshop.requiredBranches.filter(name => !branchNames.includes(name));
+      if (missingRequired.length > 0) {
+        report.warn('required-branches', `${repoName}: release has no ${missingRequired.join(', ')} branch (listed in requiredBranches)`);
+      }
+    }
+  } finally {
+    await fsPromises.rm(extractDir, { recursive: true, force: true });
   }
+  return release;
+}
 
-  // Check required branches in source repo
-  console.log('\n🌿 Checking required branches in source repository:');
-  const requiredBranches = ['main', 'feature-add-tos-download', 'feature-add-cart-page'];
-  
-  for (const branch of requiredBranches) {
+/**
+ * Name every attendee repo of the release's demo repos the way setup will,
+ * and fail on names setup would refuse: empty values, over 100 characters,
+ * duplicates, or names another workshop already uses in the org.
+ */
+async function checkRepoNames(report, octokit, workshop, rows, metadata) {
+  let groups;
+  try {
+    groups = groupAttendees(rows, { teamSize: CONFIG.teamSize });
+  } catch (error) {
+    return; // Already reported by the teams check
+  }
+  const naming = createRepoNaming({ template: workshop.repoNameTemplate, workshopId: CONFIG.workshopId, defaultBackend: CONFIG.backend });
+  const sourceRepoNames = Object.keys(metadata.demoContents).filter(repoName => !repoName.includes('overlay'));
+  let existingRepos = null;
+  if (octokit) {
     try {
-      await octokit.rest.repos.getBranch({
-        owner: CONFIG.sourceOrg,
-        repo: CONFIG.sourceRepo,
-        branch: branch
-      });
-      console.log(`   ✅ ${branch} - exists`);
+      existingRepos = await octokit.paginate(octokit.rest.repos.listForOrg, { org: CONFIG.targetOrg, type: 'all', per_page: 100 });
     } catch (error) {
-      if (branch === 'main') {
-        console.log(`   ❌ ${branch} - missing (required)`);
-      } else {
-        console.log(`   ⚠️  ${branch} - will be created from main branch`);
-      }
+      report.warn('repo-names', `Could not list the repositories of ${CONFIG.targetOrg} to check for name clashes: ${error.message}`);
+    }
+  }
+
+  const { names, problems } = planRepoNames(naming, { sourceRepoNames, groups, existingRepos, workshopId: CONFIG.workshopId });
+  if (problems.length > 0) {
+    problems.forEach(problem => report.fail('repo-names', problem));
+  } else {
+    report.pass('repo-names', `${names.length} repository names from ${naming.template}, e.g. ${names[0]?.repoName}${existingRepos ? '; none taken by another workshop' : ''}`);
+  }
+}
+
+/**
+ * Run every preflight check. Checks that need what an earlier one found to
+ * be missing are left out. Resolves to the PreflightReport.
+ */
+async function validateConfiguration() {
+  console.log('🔍 Validating Workshop Setup Configuration...\n');
+  const report = new PreflightReport();
+
+  // Load and schema-check the workshop manifest
+  let workshop;
+  try {
+    workshop = loadWorkshopConfig({ profile: getArgValue(args, '--profile') });
+    report.pass('manifest', `Workshop manifest valid: ${workshop.manifestPath || 'built-in defaults'}${workshop.profile ? ` (profile: ${workshop.profile})` : ''}`);
+  } catch (error) {
+    report.fail('manifest', error.message);
+    return report;
+  }
+
+  // GitHub credentials (personal access token or GitHub App), throttled and retried like setup
+  let octokit = null;
+  let scheduler = null;
+  if (!hasCredentials()) {
+    report.fail('credentials', 'GITHUB_TOKEN (or GITHUB_APP_ID with a private key) is missing');
+  } else {
+    try {
+      ({ octokit, scheduler } = createGitHubClient({ org: CONFIG.targetOrg }));
+      report.pass('credentials', `Credentials provided: ${describeAuth()}`);
+      await checkAuthentication(report, octokit);
+    } catch (error) {
+      report.fail('auth', `GitHub authentication failed: ${error.message}`);
+      octokit = null;
     }
   }
 
-  console.log('\n✅ Configuration validation completed successfully!');
-  console.log('\nConfiguration Summary:');
-  console.log(`   Source: ${CONFIG.sourceOrg}/${CONFIG.sourceRepo}`);
+  const target = octokit ? await checkTargetOrg(report, octokit) : null;
+
+  const rows = await checkAttendees(report, octokit, workshop);
+  const backends = [...new Set([CONFIG.backend, ...(rows || []).map(a => a.backend).filter(Boolean)])];
+
+  const tarball = await checkReleaseTarball(report, octokit);
+  let metadata = null;
+  if (tarball) {
+    try {
+      metadata = await checkReleaseContents(report, tarball, workshop, backends);
+    } catch (error) {
+      report.fail('release-contents', `Could not read ${tarball}: ${error.message}`);
+    }
+  }
+
+  if (target) {
+    checkRepoVisibility(report, target, workshop, metadata);
+  }
+
+  if (rows && metadata) {
+    await checkRepoNames(report, octokit, workshop, rows, metadata);
+  }
+
+  const { pass, warn, fail } = report.toJSON().summary;
+  console.log(`\n${report.ok ? '✅ Configuration validation passed' : '❌ Configuration validation failed'}: ${pass} passed, ${warn} warning(s), ${fail} failed`);
   console.log(`   Target Org: ${CONFIG.targetOrg}`);
-  console.log(`   Attendees: ${attendees.length}`);
   console.log(`   CSV File: ${CONFIG.csvFile}`);
+  console.log(`   Release: ${CONFIG.releaseTarball}`);
+  if (scheduler) {
+    logApiUsage(scheduler);
+  }
 
-  return true;
+  return report;
 }
 
 // Run validation
 if (require.main === module) {
-  validateConfiguration().catch(error => {
-    console.error('💥 Validation failed:', error.message);
-    process.exit(1);
-  });
+  if (CONFIG.json) {
+    // Progress goes to stderr so stdout holds only the report
+    console.log = console.error;
+  }
+  validateConfiguration()
+    .then(report => {
+      if (CONFIG.json) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+      }
+      process.exit(report.ok ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Validation failed:', error.message);
+      process.exit(1);
+    });
 }
 
-module.exports = { validateConfiguration };
\ No newline at end of file
+module.exports = { validateConfiguration, PreflightReport };